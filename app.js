@@ -9,11 +9,21 @@ const morgan = require("morgan");
 const MongoStore = require("connect-mongo");
 const helmet = require("helmet");
 const { connectDB } = require("./config/db");
+const { migrateLegacyTrackingUnits } = require("./config/trackingUnitsMigration");
+const { seedMealCatalog } = require("./config/mealCatalogSeed");
+const { seedAdmins } = require("./config/adminSeed");
+const { seedRecommendationRules } = require("./config/recommendationRuleSeed");
+const { seedReferralTiers } = require("./config/referralTierSeed");
 const bodyParser = require("body-parser");
 const authRoute = require("./routes/authRoute");
 const trackingRoute = require("./routes/trackingRoutes");
+const mealCatalogRoute = require("./routes/mealCatalogRoutes");
+const recommendationRuleRoute = require("./routes/recommendationRuleRoutes");
+const referralRoute = require("./routes/referralRoutes");
+const { startJobs } = require("./config/jobs");
+const { stopScheduler } = require("./helpers/jobScheduler");
 
-connectDB();
+connectDB().then(migrateLegacyTrackingUnits).then(seedAdmins).then(seedMealCatalog).then(seedRecommendationRules).then(seedReferralTiers).then(startJobs);
 
 const PORT = process.env.PORT || 5000;
 
@@ -30,6 +40,10 @@ const corsOptions = {
 };
 
 
+// Progress photos arrive as base64 data URLs, larger than the default body limit
+app.use("/api/v1/calories/photos", express.json({ limit: "10mb" }));
+// Imported weigh-in history arrives as CSV text inside the JSON body
+app.use("/api/v1/calories/import", express.json({ limit: "5mb" }));
 app.use(express.json());
 app.use(cors(corsOptions));
 app.use(express.urlencoded({ extended: false }));
@@ -54,6 +68,9 @@ app.use(
 
 app.use("/api/v1/auth", authRoute);
 app.use("/api/v1/calories", trackingRoute);
+app.use("/api/v1/catalog", mealCatalogRoute);
+app.use("/api/v1/recommendation-rules", recommendationRuleRoute);
+app.use("/api/v1/referrals", referralRoute);
 
 // Serve frontend
 app.get("/", (req, res) => {
@@ -71,6 +88,7 @@ app.listen(PORT, () => {
 });
 
 process.on("SIGINT", async () => {
+  stopScheduler();
   console.log("[-] Sayonara...");
   process.exit(0);
 });
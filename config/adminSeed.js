@@ -0,0 +1,21 @@
+const User = require('../models/userModel');
+
+// Grants the admin role to the accounts listed in ADMIN_EMAILS (comma
+// separated) on startup. Admin routes are unreachable otherwise, since no
+// endpoint hands out the role. Removing an email does not demote the account.
+exports.seedAdmins = async () => {
+    const emails = (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim())
+        .filter(Boolean);
+    if (!emails.length) return;
+
+    try {
+        const result = await User.updateMany({ email: { $in: emails }, role: { $ne: 'admin' } }, { role: 'admin' });
+        if (result.modifiedCount) {
+            console.log(`[+] Granted admin role to ${result.modifiedCount} account(s)`);
+        }
+    } catch (err) {
+        console.error('Admin seeding failed:', err.message);
+    }
+};
@@ -0,0 +1,22 @@
+const { registerJobHandler, ensureJob, startScheduler } = require('../helpers/jobScheduler');
+const { runReminderJob, getNextReminderRun } = require('../controllers/reminderController');
+const { sendDueDigests } = require('../controllers/digestController');
+const { runNotificationJob } = require('../helpers/notificationHelper');
+
+// Due digests are checked hourly; each user still gets at most one a week
+const DIGEST_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const nextDigestCheck = () => new Date(Date.now() + DIGEST_CHECK_INTERVAL_MS);
+
+exports.startJobs = async () => {
+    registerJobHandler('reminder', runReminderJob, { nextRunAt: getNextReminderRun });
+    registerJobHandler('notification', runNotificationJob);
+    registerJobHandler('weeklyDigests', async () => {
+        const { sent, failed } = await sendDueDigests();
+        if (sent || failed.length) console.log(`[+] Weekly digests sent: ${sent}, failed: ${failed.length}`);
+        return nextDigestCheck();
+    }, { nextRunAt: nextDigestCheck });
+
+    await ensureJob('weeklyDigests', { key: 'weeklyDigests' });
+    startScheduler();
+};
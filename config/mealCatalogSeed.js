@@ -0,0 +1,43 @@
+const MealCatalog = require('../models/mealCatalogModel');
+
+// Starter catalog, inserted once when the collection is empty
+const seedMeals = [
+    { name: 'Protein smoothie', servingSize: '400 ml', calories: 320, protein: 30, carbs: 35, fat: 6, tags: ['high-protein', 'vegetarian', 'quick'], mealSlots: ['morning'] },
+    { name: 'Greek yogurt with berries', servingSize: '250 g', calories: 220, protein: 20, carbs: 24, fat: 4, tags: ['high-protein', 'vegetarian', 'quick'], mealSlots: ['morning'] },
+    { name: 'Scrambled eggs on wholegrain toast', servingSize: '3 eggs, 1 slice', calories: 380, protein: 24, carbs: 22, fat: 21, tags: ['high-protein', 'vegetarian'], mealSlots: ['morning'] },
+    { name: 'Overnight oats with banana', servingSize: '1 jar', calories: 410, protein: 14, carbs: 68, fat: 9, tags: ['vegetarian', 'high-fiber'], mealSlots: ['morning'] },
+    { name: 'Veggie egg-white omelette', servingSize: '1 omelette', calories: 180, protein: 22, carbs: 8, fat: 5, tags: ['high-protein', 'low-carb', 'vegetarian'], mealSlots: ['morning'] },
+    { name: 'Avocado and smoked salmon toast', servingSize: '2 slices', calories: 460, protein: 24, carbs: 34, fat: 25, tags: ['omega-3'], mealSlots: ['morning', 'afternoon'] },
+    { name: 'Cottage cheese with pineapple', servingSize: '200 g', calories: 210, protein: 24, carbs: 20, fat: 3, tags: ['high-protein', 'vegetarian', 'quick'], mealSlots: ['morning', 'night'] },
+    { name: 'Bacon, eggs and spinach', servingSize: '1 plate', calories: 430, protein: 26, carbs: 4, fat: 34, tags: ['keto', 'low-carb'], mealSlots: ['morning'] },
+    { name: 'Grilled chicken salad', servingSize: '1 bowl', calories: 420, protein: 38, carbs: 18, fat: 22, tags: ['high-protein', 'low-carb'], mealSlots: ['afternoon', 'night'] },
+    { name: 'Turkey and hummus wrap', servingSize: '1 wrap', calories: 480, protein: 32, carbs: 48, fat: 16, tags: ['high-protein'], mealSlots: ['afternoon'] },
+    { name: 'Quinoa and black bean bowl', servingSize: '1 bowl', calories: 520, protein: 20, carbs: 78, fat: 13, tags: ['vegetarian', 'vegan', 'high-fiber'], mealSlots: ['afternoon', 'night'] },
+    { name: 'Tuna poke bowl', servingSize: '1 bowl', calories: 560, protein: 36, carbs: 62, fat: 16, tags: ['high-protein', 'omega-3'], mealSlots: ['afternoon'] },
+    { name: 'Lentil soup with rye bread', servingSize: '1 bowl, 1 slice', calories: 390, protein: 21, carbs: 58, fat: 7, tags: ['vegetarian', 'vegan', 'high-fiber'], mealSlots: ['afternoon', 'night'] },
+    { name: 'Chicken burrito bowl', servingSize: '1 bowl', calories: 640, protein: 42, carbs: 70, fat: 18, tags: ['high-protein'], mealSlots: ['afternoon'] },
+    { name: 'Cobb salad', servingSize: '1 bowl', calories: 540, protein: 34, carbs: 10, fat: 40, tags: ['keto', 'low-carb'], mealSlots: ['afternoon', 'night'] },
+    { name: 'Tofu stir-fry with brown rice', servingSize: '1 plate', calories: 500, protein: 24, carbs: 62, fat: 16, tags: ['vegetarian', 'vegan'], mealSlots: ['afternoon', 'night'] },
+    { name: 'Turkey with sweet potato', servingSize: '150 g turkey, 1 potato', calories: 450, protein: 40, carbs: 45, fat: 10, tags: ['high-protein'], mealSlots: ['night'] },
+    { name: 'Baked salmon with asparagus', servingSize: '150 g salmon', calories: 420, protein: 36, carbs: 8, fat: 26, tags: ['high-protein', 'low-carb', 'omega-3', 'keto'], mealSlots: ['night'] },
+    { name: 'Lean beef chili', servingSize: '1 bowl', calories: 480, protein: 38, carbs: 36, fat: 18, tags: ['high-protein', 'high-fiber'], mealSlots: ['night'] },
+    { name: 'Zucchini noodles with pesto chicken', servingSize: '1 plate', calories: 460, protein: 36, carbs: 12, fat: 30, tags: ['low-carb', 'keto'], mealSlots: ['night'] },
+    { name: 'Chickpea curry with basmati rice', servingSize: '1 plate', calories: 580, protein: 19, carbs: 88, fat: 16, tags: ['vegetarian', 'vegan', 'high-fiber'], mealSlots: ['night'] },
+    { name: 'Grilled cod with quinoa and greens', servingSize: '1 plate', calories: 410, protein: 38, carbs: 40, fat: 9, tags: ['high-protein'], mealSlots: ['night'] },
+    { name: 'Whole-wheat pasta primavera', servingSize: '1 plate', calories: 540, protein: 20, carbs: 86, fat: 13, tags: ['vegetarian'], mealSlots: ['afternoon', 'night'] },
+    { name: 'Steak with roasted vegetables', servingSize: '180 g steak', calories: 620, protein: 48, carbs: 18, fat: 38, tags: ['high-protein', 'low-carb', 'keto'], mealSlots: ['night'] }
+];
+
+exports.seedMealCatalog = async () => {
+    try {
+        const count = await MealCatalog.estimatedDocumentCount();
+        if (count > 0) return;
+
+        await MealCatalog.insertMany(seedMeals);
+        console.log(`[+] Seeded meal catalog with ${seedMeals.length} meals`);
+    } catch (err) {
+        console.error('Meal catalog seeding failed:', err.message);
+    }
+};
+
+exports.seedMeals = seedMeals;
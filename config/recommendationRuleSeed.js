@@ -0,0 +1,141 @@
+const RecommendationRule = require('../models/recommendationRuleModel');
+
+// Starter rules, inserted once when the collection is empty. The weightLeft
+// rules carry over the original fixed focus areas at the lowest priority.
+// Metric values are in kg, so messages only template unit-free metrics.
+const seedRules = [
+    {
+        name: 'Plateau',
+        category: 'plateau',
+        priority: 100,
+        conditions: [{ metric: 'plateau', operator: 'eq', value: true }],
+        focusArea: 'Break through your plateau',
+        message: 'Your trend has stalled. See the plateau suggestions for ways to get it moving again.'
+    },
+    {
+        name: 'No recent weigh-in',
+        category: 'consistency',
+        priority: 70,
+        conditions: [{ metric: 'daysSinceWeighIn', operator: 'gte', value: 7 }],
+        focusArea: 'Weigh in regularly',
+        message: 'It has been {{daysSinceWeighIn}} days since your last weigh-in. Regular weigh-ins keep your trend and targets accurate.'
+    },
+    {
+        name: 'Losing too fast',
+        category: 'progress',
+        priority: 65,
+        goalTypes: ['lose'],
+        conditions: [{ metric: 'weeklyTrendChange', operator: 'lt', value: -1 }],
+        focusArea: 'Slow down the pace',
+        message: 'Your trend is falling by more than 1 kg (2.2 lb) a week, which risks muscle loss. Consider eating a little more.'
+    },
+    {
+        name: 'Low adherence',
+        category: 'consistency',
+        priority: 60,
+        conditions: [{ metric: 'adherence', operator: 'lt', value: 60 }],
+        focusArea: 'Get back on plan',
+        message: 'Your latest weekly adherence was {{adherence}}%. Plan one meal a day ahead to make the target easier to hit.'
+    },
+    {
+        name: 'Eating over target',
+        category: 'nutrition',
+        priority: 55,
+        goalTypes: ['lose', 'maintain'],
+        conditions: [{ metric: 'intakeVsTarget', operator: 'gt', value: 110 }],
+        focusArea: 'Tighten up portions',
+        message: 'You averaged {{intakeVsTarget}}% of your calorie target over the last week.'
+    },
+    {
+        name: 'Eating under target while gaining',
+        category: 'nutrition',
+        priority: 55,
+        goalTypes: ['gain'],
+        conditions: [{ metric: 'intakeVsTarget', operator: 'lt', value: 90 }],
+        focusArea: 'Eat enough to grow',
+        message: 'You averaged {{intakeVsTarget}}% of your calorie target over the last week. Add a calorie-dense snack to close the gap.'
+    },
+    {
+        name: 'Patchy food logging',
+        category: 'consistency',
+        priority: 50,
+        conditions: [{ metric: 'loggedDays', operator: 'lt', value: 4 }],
+        focusArea: 'Log your meals',
+        message: 'You logged food on {{loggedDays}} of the last 7 days. Logging most days makes your targets far more reliable.'
+    },
+    {
+        name: 'Short sleep',
+        category: 'sleep',
+        priority: 30,
+        conditions: [{ metric: 'averageSleepHours', operator: 'lt', value: 6.5 }],
+        message: 'You are averaging {{averageSleepHours}} hours of sleep. Short sleep tends to raise appetite, so aim for 7 or more.'
+    },
+    {
+        name: 'Lose: far from goal',
+        category: 'activity',
+        priority: 10,
+        goalTypes: ['lose'],
+        conditions: [{ metric: 'weightLeft', operator: 'gt', value: 5 }],
+        focusArea: 'Increase physical activity',
+        message: 'You still have a way to go. More daily activity widens the deficit without cutting food further.'
+    },
+    {
+        name: 'Lose: close to goal',
+        category: 'consistency',
+        priority: 10,
+        goalTypes: ['lose'],
+        conditions: [{ metric: 'weightLeft', operator: 'lte', value: 5 }],
+        focusArea: 'Maintain consistency',
+        message: 'You are close to your goal. Keep doing what is working.'
+    },
+    {
+        name: 'Gain: far from goal',
+        category: 'nutrition',
+        priority: 10,
+        goalTypes: ['gain'],
+        conditions: [{ metric: 'weightLeft', operator: 'gt', value: 2 }],
+        focusArea: 'Hit your protein target and keep progressive strength training',
+        message: 'Protein and progressive training make sure the weight you gain is mostly muscle.'
+    },
+    {
+        name: 'Gain: close to goal',
+        category: 'nutrition',
+        priority: 10,
+        goalTypes: ['gain'],
+        conditions: [{ metric: 'weightLeft', operator: 'lte', value: 2 }],
+        focusArea: 'Ease the surplus as you approach your goal',
+        message: 'You are close to your goal. Trim the surplus so you land on it.'
+    },
+    {
+        name: 'Maintain: drifted from target',
+        category: 'nutrition',
+        priority: 10,
+        goalTypes: ['maintain'],
+        conditions: [{ metric: 'weightLeft', operator: 'gt', value: 1 }],
+        focusArea: 'Bring intake back to maintenance to return to your target weight',
+        message: 'You have drifted from your target weight.'
+    },
+    {
+        name: 'Maintain: on target',
+        category: 'consistency',
+        priority: 10,
+        goalTypes: ['maintain'],
+        conditions: [{ metric: 'weightLeft', operator: 'lte', value: 1 }],
+        focusArea: 'Keep intake close to maintenance and weigh in regularly',
+        message: 'You are holding close to your target weight.'
+    }
+];
+
+exports.seedRecommendationRules = async () => {
+    try {
+        const count = await RecommendationRule.estimatedDocumentCount();
+        if (count > 0) return;
+
+        await RecommendationRule.insertMany(seedRules);
+        console.log(`[+] Seeded ${seedRules.length} recommendation rules`);
+    } catch (err) {
+        console.error('Recommendation rule seeding failed:', err.message);
+    }
+};
+
+exports.seedRules = seedRules;
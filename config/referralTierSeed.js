@@ -0,0 +1,21 @@
+const ReferralTier = require('../models/referralTierModel');
+
+// Starter tiers, inserted once when the collection is empty. Insider keeps the
+// original rule of authorizing a user after two referrals.
+const seedTiers = [
+    { name: 'Insider', conversions: 2, grantsAuthorization: true, description: 'Unlocks full access to SlimPath' },
+    { name: 'Ambassador', conversions: 5, description: 'Ambassador badge on your profile' },
+    { name: 'Champion', conversions: 10, description: 'Champion badge on your profile' }
+];
+
+exports.seedReferralTiers = async () => {
+    try {
+        const count = await ReferralTier.estimatedDocumentCount();
+        if (count > 0) return;
+
+        await ReferralTier.insertMany(seedTiers);
+        console.log(`[+] Seeded ${seedTiers.length} referral tiers`);
+    } catch (err) {
+        console.error('Referral tier seeding failed:', err.message);
+    }
+};
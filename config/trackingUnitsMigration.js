@@ -0,0 +1,57 @@
+const Tracking = require('../models/trackingModel');
+const {
+    toCanonicalWeight,
+    guessLegacyUnitSystem,
+    legacyHeightToCm
+} = require('../helpers/unitsHelper');
+
+// Plans created before values were stored in kg/cm have no `units` field.
+// Reading the raw collection keeps schema defaults from hiding them.
+exports.migrateLegacyTrackingUnits = async () => {
+    try {
+        const legacyPlans = await Tracking.collection
+            .find({ units: { $exists: false } })
+            .toArray();
+        if (legacyPlans.length === 0) return;
+
+        const operations = legacyPlans.map(plan => {
+            // One system per plan so a series crossing the old threshold stays consistent
+            const unitSystem = guessLegacyUnitSystem(plan.weeklyProgress?.[0]?.currentWeight ?? plan.currentWeight);
+            const toKg = (value) => (typeof value === 'number' ? toCanonicalWeight(value, unitSystem) : value);
+
+            const update = {
+                units: { weight: 'kg', height: 'cm' },
+                entryUnitSystem: unitSystem,
+                currentWeight: toKg(plan.currentWeight),
+                goalWeight: toKg(plan.goalWeight),
+                height: legacyHeightToCm(plan.height),
+                weeklyProgress: (plan.weeklyProgress || []).map(week => ({
+                    ...week,
+                    currentWeight: toKg(week.currentWeight)
+                }))
+            };
+
+            if (plan.chartData) {
+                update.chartData = {
+                    ...plan.chartData,
+                    weightProgress: (plan.chartData.weightProgress || []).map(point => ({
+                        ...point,
+                        weight: toKg(point.weight)
+                    })),
+                    progressTrend: (plan.chartData.progressTrend || []).map(point => ({
+                        ...point,
+                        actual: toKg(point.actual),
+                        predicted: toKg(point.predicted)
+                    }))
+                };
+            }
+
+            return { updateOne: { filter: { _id: plan._id, units: { $exists: false } }, update: { $set: update } } };
+        });
+
+        const result = await Tracking.collection.bulkWrite(operations);
+        console.log(`[+] Migrated ${result.modifiedCount} legacy tracking plans to kg/cm`);
+    } catch (err) {
+        console.error('Tracking units migration failed:', err.message);
+    }
+};
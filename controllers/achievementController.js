@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const Achievement = require('../models/achievementModel');
+const FoodLog = require('../models/foodLogModel');
+const Tracking = require('../models/trackingModel');
+const User = require('../models/userModel');
+const WeighIn = require('../models/weighInModel');
+const {
+    BADGES,
+    toDayNumber,
+    toWeekNumber,
+    calculateRunStreak,
+    getEarnedBadges
+} = require('../helpers/achievementHelper');
+const { handleError } = require('../helpers/errorHelper');
+
+// Distinct UTC day numbers with at least one entry
+async function loadEntryDays(Model, userId, dateField) {
+    const days = await Model.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(userId) } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: `$${dateField}` } } } }
+    ]);
+    return days.map(day => toDayNumber(`${day._id}T00:00:00.000Z`));
+}
+
+// Recomputes streaks and awards newly earned badges after a weigh-in, import or
+// food log. Existing badges are left alone, so re-running never duplicates one.
+// Resolves to the new awards; failures are logged, not thrown.
+exports.evaluateAchievements = async (userId, { tracking, adherenceStreak } = {}) => {
+    try {
+        const user = await User.findById(userId).select('streaks');
+        if (!user) return [];
+
+        const plan = tracking || await Tracking.findCurrent(userId);
+        const [foodDays, weighInDays] = await Promise.all([
+            loadEntryDays(FoodLog, userId, 'consumedAt'),
+            loadEntryDays(WeighIn, userId, 'measuredAt')
+        ]);
+
+        const today = toDayNumber(new Date());
+        const stored = user.streaks || {};
+        const streaks = {
+            logging: calculateRunStreak(foodDays, today),
+            weighIn: calculateRunStreak(weighInDays.map(toWeekNumber), toWeekNumber(today)),
+            adherence: adherenceStreak
+                ? { current: adherenceStreak.current, best: Math.max(adherenceStreak.best, (stored.adherence && stored.adherence.best) || 0) }
+                : { current: (stored.adherence && stored.adherence.current) || 0, best: (stored.adherence && stored.adherence.best) || 0 }
+        };
+
+        // Deleted entries can shorten a run, but the best run ever seen stays
+        for (const name of ['logging', 'weighIn']) {
+            const previousBest = (stored[name] && stored[name].best) || 0;
+            streaks[name].best = Math.max(streaks[name].best, previousBest);
+        }
+
+        await User.updateOne({ _id: userId }, { streaks: { ...streaks, updatedAt: new Date() } });
+
+        const earned = getEarnedBadges({
+            streaks,
+            weighInCount: weighInDays.length,
+            foodLogCount: foodDays.length,
+            tracking: plan
+        });
+
+        const awarded = [];
+        for (const { badge, tracking: planId, data } of earned) {
+            try {
+                const result = await Achievement.updateOne(
+                    { user: userId, badge, tracking: planId },
+                    { $setOnInsert: { awardedAt: new Date(), data } },
+                    { upsert: true }
+                );
+                if (result.upsertedCount) {
+                    awarded.push({ badge, ...BADGES[badge], tracking: planId, data });
+                }
+            } catch (error) {
+                // A concurrent evaluation awarded it first
+                if (error.code !== 11000) throw error;
+            }
+        }
+
+        return awarded;
+    } catch (error) {
+        console.error('Achievement evaluation failed:', error.message);
+        return [];
+    }
+};
+
+const renderAchievement = (achievement) => ({
+    badge: achievement.badge,
+    title: BADGES[achievement.badge].title,
+    description: BADGES[achievement.badge].description,
+    tracking: achievement.tracking,
+    awardedAt: achievement.awardedAt,
+    data: achievement.data
+});
+
+// Earned badges newest first, the badges still to earn, and current streaks
+exports.getAchievements = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const user = await User.findById(userId).select('streaks');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const [achievements, plan] = await Promise.all([
+            Achievement.find({ user: userId }).sort({ awardedAt: -1 }),
+            Tracking.findCurrent(userId).select('_id')
+        ]);
+
+        // Plan milestones count as locked until earned on the current plan
+        const isEarned = (badge, { scope }) => achievements.some(achievement => achievement.badge === badge
+            && (scope !== 'plan' || (plan && String(achievement.tracking) === String(plan._id))));
+
+        res.status(200).json({
+            streaks: user.streaks,
+            achievements: achievements.map(renderAchievement),
+            locked: Object.entries(BADGES)
+                .filter(([badge, definition]) => !isEarned(badge, definition))
+                .map(([badge, { title, description, scope }]) => ({ badge, title, description, scope }))
+        });
+    } catch (error) {
+        handleError(res, error, 'Achievement Retrieval Error');
+    }
+};
+
+// Re-runs the evaluation on demand, e.g. to backfill badges for old history
+exports.reevaluateAchievements = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const user = await User.exists({ _id: userId });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const awarded = await exports.evaluateAchievements(userId);
+
+        res.status(200).json({ awarded });
+    } catch (error) {
+        handleError(res, error, 'Achievement Evaluation Error');
+    }
+};
+
+module.exports = exports;
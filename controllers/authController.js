@@ -2,7 +2,13 @@ const cloudinary = require('../config/cloudinary');
 const User = require('../models/userModel');
 const crypto = require('crypto');
 const { generateReferralCode } = require('../helpers/refferalCodeHelper');
-const  { sendWelcomeEmail, sendResetEmail } = require('../helpers/authHelper');
+const  { renderWelcomeEmail, renderResetEmail } = require('../helpers/authHelper');
+const { notify } = require('../helpers/notificationHelper');
+const { isValidUnitSystem } = require('../helpers/unitsHelper');
+const { isValidTimeZone } = require('../helpers/dateHelper');
+const { rescheduleUserReminders } = require('./reminderController');
+const { recordReferralConversion } = require('./referralController');
+const { isSelfReferral } = require('../helpers/referralHelper');
 
 
 const validateEmail = (email) => {
@@ -15,11 +21,20 @@ const validatePassword = (password) => {
   return passwordRegex.test(password);
 };
 
+const getVerificationUrl = (token) => `${process.env.API_URL}/api/v1/auth/verify-email/${token}`;
+
+// Verification doesn't block signup; it is what lets a referral count
+const sendVerificationEmail = (user, token) => notify(user._id, {
+  category: 'transactional',
+  title: 'Confirm your email address',
+  body: `Hi ${user.username}, confirm your email address for SlimPath: ${getVerificationUrl(token)}`
+}).catch(error => console.error('Verification notification error:', error));
+
 
 
 exports.register = async (req, res) => {
   try {
-    const { username, email, password, referredBy } = req.body;
+    const { username, email, password, referredBy, unitSystem } = req.body;
 
     // Validate input
     if (!username || !email || !password) {
@@ -44,6 +59,13 @@ exports.register = async (req, res) => {
       });
     }
 
+    if (unitSystem !== undefined && !isValidUnitSystem(unitSystem)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid unit system. Must be metric or imperial'
+      });
+    }
+
     const existingUser = await User.findOne({ email });
     if (existingUser) {
       return res.status(409).json({
@@ -52,25 +74,57 @@ exports.register = async (req, res) => {
       });
     }
 
+    // Rewards are granted later, once the new user converts
+    let referrer = null;
+    if (referredBy) {
+      referrer = await User.findOne({ referralCode: referredBy }).select('email');
+      if (!referrer) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid referral code'
+        });
+      }
+
+      if (isSelfReferral(referrer, email)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'You cannot use your own referral code'
+        });
+      }
+    }
+
+    const verificationToken = crypto.randomBytes(32).toString('hex');
     const newUser = new User({
       username,
       email,
       password,
-      referredBy
+      referredBy,
+      unitSystem,
+      emailVerificationToken: verificationToken
     });
 
-    // Handle referral logic
-    if (referredBy) {
-      const referrer = await User.findOne({ referralCode: referredBy });
-      if (referrer) {
-        referrer.referrals.push(newUser._id);
-        referrer.isAuthorized = referrer.referrals.length >= 2;
-        await referrer.save();
-      }
+    await newUser.save();
+
+    if (referrer) {
+      await User.updateOne({ _id: referrer._id }, { $addToSet: { referrals: newUser._id } });
     }
 
-    await newUser.save();
-    sendWelcomeEmail(email, username);
+    // Delivery outcomes are recorded on the notification; signup doesn't wait for them
+    notify(newUser._id, {
+      category: 'transactional',
+      title: 'Welcome to SlimPath!',
+      body: 'Thank you for choosing SlimPath in your journey to slim and healthy living.',
+      email: renderWelcomeEmail(username)
+    }).catch(error => console.error('Welcome notification error:', error));
+    sendVerificationEmail(newUser, verificationToken);
+
+    if (referrer) {
+      notify(referrer._id, {
+        category: 'social',
+        title: 'A friend joined SlimPath',
+        body: `${username} signed up with your referral code.`
+      }).catch(error => console.error('Referral notification error:', error));
+    }
 
     const refreshToken = newUser.generateRefreshToken();
     await newUser.save();
@@ -84,7 +138,9 @@ exports.register = async (req, res) => {
         email: newUser.email,
         referralCode: newUser.referralCode,
         isAuthorized: newUser.isAuthorized,
+        emailVerified: newUser.emailVerified,
         profileImage: newUser.profileImage,
+        unitSystem: newUser.unitSystem,
         refreshToken: refreshToken,
         accessToken: newUser.generateToken()
       }
@@ -100,6 +156,54 @@ exports.register = async (req, res) => {
 };
 
 
+// Opened from the verification email, so it answers with a page rather than JSON
+exports.verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { emailVerificationToken: req.params.token },
+      { emailVerified: true, $unset: { emailVerificationToken: 1 } }
+    );
+
+    if (!user) {
+      return res.status(404).type('html').send('<p>This verification link is no longer valid.</p>');
+    }
+
+    await recordReferralConversion(user._id);
+
+    res.status(200).type('html').send('<p>Your email address is confirmed. Welcome to SlimPath!</p>');
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).type('html').send('<p>Something went wrong while confirming your email. Please try the link again.</p>');
+  }
+};
+
+exports.resendVerificationEmail = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email address is already verified'
+      });
+    }
+
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+    await User.updateOne({ _id: req.user._id }, { emailVerificationToken: verificationToken });
+    sendVerificationEmail(req.user, verificationToken);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Verification email error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while sending verification email',
+      details: error.message
+    });
+  }
+};
+
 // Refresh token endpoint
 exports.refreshToken = async (req, res) => {
   const { refreshToken } = req.body;
@@ -182,6 +286,7 @@ exports.login = async (req, res) => {
         referralCode: user.referralCode,
         isAuthorized: user.isAuthorized,
         profileImage: user.profileImage,
+        unitSystem: user.unitSystem,
         refreshToken: refreshToken,
         accessToken: accessToken,
         lastLogin: user.lastLogin
@@ -251,6 +356,8 @@ exports.updateUsernameOrEmail = async (req, res) => {
       }
 
       updateFields.email = newEmail;
+      updateFields.emailVerified = false;
+      updateFields.emailVerificationToken = crypto.randomBytes(32).toString('hex');
     }
 
     if (Object.keys(updateFields).length === 0) {
@@ -266,6 +373,10 @@ exports.updateUsernameOrEmail = async (req, res) => {
       { new: true }
     );
 
+    if (updateFields.emailVerificationToken) {
+      sendVerificationEmail(updatedUser, updateFields.emailVerificationToken);
+    }
+
     res.status(200).json({ 
       status: 'success',
       message: 'Profile updated successfully', 
@@ -275,6 +386,7 @@ exports.updateUsernameOrEmail = async (req, res) => {
         email: updatedUser.email,
         referralCode: updatedUser.referralCode,
         isAuthorized: updatedUser.isAuthorized,
+        emailVerified: updatedUser.emailVerified,
         profileImage: updatedUser.profileImage
       }
     });
@@ -288,6 +400,98 @@ exports.updateUsernameOrEmail = async (req, res) => {
   }
 };
 
+// Update preferences
+exports.updatePreferences = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { unitSystem, sex, weeklyDigest, timeZone } = req.body;
+
+    let updateFields = {};
+
+    if (unitSystem !== undefined) {
+      if (!isValidUnitSystem(unitSystem)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid unit system. Must be metric or imperial'
+        });
+      }
+
+      updateFields.unitSystem = unitSystem;
+    }
+
+    if (sex !== undefined) {
+      if (!['male', 'female'].includes(sex)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid sex. Must be male or female'
+        });
+      }
+
+      updateFields.sex = sex;
+    }
+
+    if (timeZone !== undefined) {
+      if (!isValidTimeZone(timeZone)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid time zone. Use an IANA name such as Europe/London'
+        });
+      }
+
+      updateFields.timeZone = timeZone;
+    }
+
+    if (weeklyDigest !== undefined) {
+      if (typeof weeklyDigest !== 'boolean') {
+        return res.status(400).json({
+          status: 'error',
+          message: 'weeklyDigest must be true or false'
+        });
+      }
+
+      updateFields['weeklyDigest.enabled'] = weeklyDigest;
+      if (weeklyDigest && !(req.user.weeklyDigest && req.user.weeklyDigest.unsubscribeToken)) {
+        updateFields['weeklyDigest.unsubscribeToken'] = crypto.randomBytes(24).toString('hex');
+      }
+    }
+
+    if (Object.keys(updateFields).length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No preferences provided'
+      });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      userId,
+      updateFields,
+      { new: true, runValidators: true }
+    );
+
+    if (updateFields.timeZone && updateFields.timeZone !== req.user.timeZone) {
+      await rescheduleUserReminders(userId, updatedUser.timeZone);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Preferences updated successfully',
+      preferences: {
+        unitSystem: updatedUser.unitSystem,
+        sex: updatedUser.sex,
+        timeZone: updatedUser.timeZone,
+        weeklyDigest: updatedUser.weeklyDigest.enabled
+      }
+    });
+  } catch (error) {
+    console.error('Preferences update error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during preferences update',
+      details: error.message
+    });
+  }
+};
+
 // Update password
 exports.updatePassword = async (req, res) => {
   try {
@@ -381,7 +585,7 @@ exports.toggleAuthorization = async (req, res) => {
 // Get all users
 exports.getAllUsers = async (req, res) => {
   try {
-    const users = await User.find().select('-password -refreshToken');
+    const users = await User.find().select('-password -refreshToken -emailVerificationToken -weeklyDigest.unsubscribeToken -pushSubscriptions');
     res.status(200).json({ users });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -418,7 +622,12 @@ exports.resetPasswordRequest = async (req, res) => {
     user.resetPasswordExpiry = resetTokenExpiry;
     await user.save();
 
-    sendResetEmail(user.username, email, resetToken);
+    notify(user._id, {
+      category: 'transactional',
+      title: 'Password reset requested',
+      body: 'We emailed you a link to reset your password. It expires in 1 hour.',
+      email: renderResetEmail(user.username, resetToken)
+    }).catch(error => console.error('Reset notification error:', error));
 
     res.status(200).json({
       status: 'success',
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const User = require('../models/userModel');
+const { buildTrackingReport } = require('./trackingController');
+const { buildDigestSummary, renderDigestEmail, describeDigest } = require('../helpers/digestHelper');
+const { notify } = require('../helpers/notificationHelper');
+const { MS_PER_DAY } = require('../helpers/dateHelper');
+const { handleError } = require('../helpers/errorHelper');
+
+// Digests go out at most once a week; an hour of slack keeps a fixed weekly
+// schedule from drifting when the previous run finished slightly late
+const DIGEST_INTERVAL_MS = 7 * MS_PER_DAY - 60 * 60 * 1000;
+
+const getUnsubscribeUrl = (token) => `${process.env.API_URL}/api/v1/calories/digest/unsubscribe/${token}`;
+
+// Rendered digest for a user, or null when they have no plan to report on
+async function buildDigest(user, asOf = new Date()) {
+    const report = await buildTrackingReport(user._id, user.unitSystem);
+    if (!report) return null;
+
+    const summary = buildDigestSummary(report, asOf);
+    return {
+        summary,
+        html: renderDigestEmail({
+            username: user.username,
+            summary,
+            unsubscribeUrl: getUnsubscribeUrl(user.weeklyDigest.unsubscribeToken || 'preview')
+        })
+    };
+}
+
+// Returns the email exactly as it would be sent, without sending it
+exports.previewDigest = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('username email unitSystem weeklyDigest');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const digest = await buildDigest(user);
+        if (!digest) {
+            return res.status(404).json({ error: 'No tracking data found' });
+        }
+
+        if (req.query.format === 'json') {
+            return res.status(200).json(digest.summary);
+        }
+        res.status(200).type('html').send(digest.html);
+    } catch (error) {
+        handleError(res, error, 'Digest Preview Error');
+    }
+};
+
+// Linked from the email itself, so it answers with a page rather than JSON
+exports.unsubscribeDigest = async (req, res) => {
+    try {
+        const user = await User.findOneAndUpdate(
+            { 'weeklyDigest.unsubscribeToken': req.params.token },
+            { 'weeklyDigest.enabled': false }
+        );
+
+        if (!user) {
+            return res.status(404).type('html').send('<p>This unsubscribe link is no longer valid.</p>');
+        }
+
+        res.status(200).type('html').send('<p>You have been unsubscribed from the SlimPath weekly digest.</p>');
+    } catch (error) {
+        handleError(res, error, 'Digest Unsubscribe Error');
+    }
+};
+
+// Sends every opted-in user whose last digest is a week old. Failures are
+// collected per user so one bad address doesn't stop the run.
+exports.sendDueDigests = async (asOf = new Date()) => {
+    const users = await User.find({
+        'weeklyDigest.enabled': true,
+        $or: [
+            { 'weeklyDigest.lastSentAt': { $exists: false } },
+            { 'weeklyDigest.lastSentAt': { $lte: new Date(asOf.getTime() - DIGEST_INTERVAL_MS) } }
+        ]
+    }).select('username email unitSystem weeklyDigest');
+
+    const result = { sent: 0, skipped: 0, failed: [] };
+    for (const user of users) {
+        try {
+            if (!user.weeklyDigest.unsubscribeToken) {
+                user.weeklyDigest.unsubscribeToken = crypto.randomBytes(24).toString('hex');
+            }
+
+            const digest = await buildDigest(user, asOf);
+            if (!digest) {
+                result.skipped++;
+                continue;
+            }
+
+            await notify(user._id, {
+                category: 'digests',
+                title: 'Your weekly progress',
+                body: describeDigest(digest.summary),
+                link: '/dashboard',
+                email: { subject: 'Your SlimPath weekly progress', html: digest.html }
+            });
+            await User.updateOne({ _id: user._id }, {
+                'weeklyDigest.lastSentAt': asOf,
+                'weeklyDigest.unsubscribeToken': user.weeklyDigest.unsubscribeToken
+            });
+            result.sent++;
+        } catch (error) {
+            result.failed.push({ userId: user._id, error: error.message });
+        }
+    }
+
+    return result;
+};
+
+module.exports = exports;
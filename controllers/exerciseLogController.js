@@ -0,0 +1,300 @@
+const mongoose = require('mongoose');
+const ExerciseLog = require('../models/exerciseLogModel');
+const Tracking = require('../models/trackingModel');
+const { getDayRange, parseDateRange, toDayKey, MS_PER_DAY } = require('../helpers/dateHelper');
+const {
+    EXERCISE_TYPES,
+    INTENSITIES,
+    estimateCaloriesBurned,
+    netFromGross,
+    getImpliedActivityLevel
+} = require('../helpers/exerciseHelper');
+const { handleError } = require('../helpers/errorHelper');
+
+// Two consecutive weeks must point to the same level before a change is suggested
+const SUGGESTION_WEEKS = 2;
+
+function validateExerciseEntry(body, isUpdate = false) {
+    const { type, intensity, durationMinutes, caloriesBurned, performedAt } = body;
+
+    if (!isUpdate || type !== undefined) {
+        if (!EXERCISE_TYPES.includes(type)) {
+            return `Exercise type must be one of: ${EXERCISE_TYPES.join(', ')}`;
+        }
+    }
+
+    if (intensity !== undefined && !INTENSITIES.includes(intensity)) {
+        return `Intensity must be one of: ${INTENSITIES.join(', ')}`;
+    }
+
+    if (!isUpdate || durationMinutes !== undefined) {
+        if (typeof durationMinutes !== 'number' || durationMinutes < 1) {
+            return 'Duration must be at least 1 minute';
+        }
+    }
+
+    if (caloriesBurned !== undefined && (typeof caloriesBurned !== 'number' || caloriesBurned < 0)) {
+        return 'Calories burned must be a non-negative number';
+    }
+
+    if (performedAt !== undefined && isNaN(new Date(performedAt).getTime())) {
+        return 'Invalid performedAt timestamp';
+    }
+
+    return null;
+}
+
+// Calories from the MET table unless the user supplied their own figure
+function calculateCalories(entry, weight, caloriesBurned) {
+    if (caloriesBurned !== undefined) {
+        return {
+            met: undefined,
+            caloriesBurned,
+            netCalories: netFromGross(caloriesBurned, entry.durationMinutes, weight),
+            calorieSource: 'manual'
+        };
+    }
+
+    return {
+        ...estimateCaloriesBurned({ ...entry, weight }),
+        calorieSource: 'estimated'
+    };
+}
+
+function getPlanWeight(tracking) {
+    return tracking.trendWeight || tracking.currentWeight;
+}
+
+// Exercise totals for [start, end), used by the daily food summary
+exports.getExerciseTotals = async (userId, start, end) => {
+    const entries = await ExerciseLog.find({ user: userId, performedAt: { $gte: start, $lt: end } })
+        .select('durationMinutes caloriesBurned netCalories');
+
+    return entries.reduce((totals, entry) => {
+        totals.sessions++;
+        totals.minutes += entry.durationMinutes;
+        totals.caloriesBurned += entry.caloriesBurned;
+        totals.netCalories += entry.netCalories || 0;
+        return totals;
+    }, { sessions: 0, minutes: 0, caloriesBurned: 0, netCalories: 0 });
+};
+
+// Suggests a different activityLevel when the last weeks of logged exercise
+// consistently match another level better than the plan's
+function suggestActivityLevel(tracking, weeklyNetCalories) {
+    const bmr = tracking.energyModel && tracking.energyModel.bmr;
+    // A week with nothing logged says more about logging than about activity
+    if (!bmr || weeklyNetCalories.length < SUGGESTION_WEEKS || weeklyNetCalories.includes(0)) return null;
+
+    const impliedLevels = weeklyNetCalories.map(netCalories => getImpliedActivityLevel(netCalories / 7, bmr));
+    const suggested = impliedLevels[0];
+
+    if (impliedLevels.some(level => level !== suggested) || suggested === tracking.activityLevel) {
+        return null;
+    }
+
+    const averageDailyNetCalories = Math.round(weeklyNetCalories.reduce((a, b) => a + b, 0) / (weeklyNetCalories.length * 7));
+
+    return {
+        current: tracking.activityLevel,
+        suggested,
+        averageDailyNetCalories,
+        message: `Your logged exercise over the last ${SUGGESTION_WEEKS} weeks (about ${averageDailyNetCalories} kcal a day) matches ${suggested} better than ${tracking.activityLevel}. Consider updating your activity level.`
+    };
+}
+
+exports.createExerciseEntry = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const validationError = validateExerciseEntry(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        // Calorie estimates depend on body weight, which comes from the plan
+        const tracking = await Tracking.findCurrent(userId).select('_id currentWeight trendWeight');
+        if (!tracking) {
+            return res.status(404).json({ error: 'No active plan found' });
+        }
+
+        const { type, intensity = 'moderate', durationMinutes, caloriesBurned, performedAt, notes } = req.body;
+
+        const entry = await ExerciseLog.create({
+            user: userId,
+            tracking: tracking._id,
+            type,
+            intensity,
+            durationMinutes,
+            ...calculateCalories({ type, intensity, durationMinutes }, getPlanWeight(tracking), caloriesBurned),
+            notes,
+            performedAt
+        });
+
+        res.status(201).json(entry);
+    } catch (error) {
+        handleError(res, error, 'Exercise Entry Creation Error');
+    }
+};
+
+exports.getExerciseEntries = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { date, from, to } = req.query;
+
+        const filter = { user: userId };
+
+        if (date) {
+            const range = getDayRange(date);
+            if (!range) {
+                return res.status(400).json({ error: 'Invalid date. Expected YYYY-MM-DD' });
+            }
+            filter.performedAt = { $gte: range.start, $lt: range.end };
+        } else if (from || to) {
+            const range = parseDateRange(from, to);
+            if (!range) {
+                return res.status(400).json({ error: 'Invalid from or to date' });
+            }
+            filter.performedAt = range;
+        }
+
+        const entries = await ExerciseLog.find(filter).sort({ performedAt: -1 });
+
+        res.status(200).json(entries);
+    } catch (error) {
+        handleError(res, error, 'Exercise Entries Retrieval Error');
+    }
+};
+
+exports.updateExerciseEntry = async (req, res) => {
+    try {
+        const { entryId } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.isValidObjectId(entryId)) {
+            return res.status(404).json({ error: 'Exercise entry not found' });
+        }
+
+        const validationError = validateExerciseEntry(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const entry = await ExerciseLog.findOne({ _id: entryId, user: userId });
+        if (!entry) {
+            return res.status(404).json({ error: 'Exercise entry not found' });
+        }
+
+        for (const key of ['type', 'intensity', 'durationMinutes', 'notes', 'performedAt']) {
+            if (req.body[key] !== undefined) entry[key] = req.body[key];
+        }
+
+        // Keep a user-entered total unless a new one is given; estimates follow the new details
+        const tracking = await Tracking.findById(entry.tracking).select('currentWeight trendWeight');
+        if (tracking) {
+            const caloriesBurned = req.body.caloriesBurned !== undefined
+                ? req.body.caloriesBurned
+                : entry.calorieSource === 'manual' ? entry.caloriesBurned : undefined;
+            const details = { type: entry.type, intensity: entry.intensity, durationMinutes: entry.durationMinutes };
+            Object.assign(entry, calculateCalories(details, getPlanWeight(tracking), caloriesBurned));
+        } else if (req.body.caloriesBurned !== undefined) {
+            entry.caloriesBurned = req.body.caloriesBurned;
+            entry.calorieSource = 'manual';
+        }
+
+        await entry.save();
+
+        res.status(200).json(entry);
+    } catch (error) {
+        handleError(res, error, 'Exercise Entry Update Error');
+    }
+};
+
+exports.deleteExerciseEntry = async (req, res) => {
+    try {
+        const { entryId } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.isValidObjectId(entryId)) {
+            return res.status(404).json({ error: 'Exercise entry not found' });
+        }
+
+        const entry = await ExerciseLog.findOneAndDelete({ _id: entryId, user: userId });
+
+        if (!entry) {
+            return res.status(404).json({ error: 'Exercise entry not found' });
+        }
+
+        res.status(200).json({ message: 'Exercise entry deleted successfully' });
+    } catch (error) {
+        handleError(res, error, 'Exercise Entry Deletion Error');
+    }
+};
+
+// Seven days ending on `date` (default today), with eat-back calories per day
+// and an activityLevel suggestion
+exports.getWeeklySummary = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const range = getDayRange(req.query.date);
+        if (!range) {
+            return res.status(400).json({ error: 'Invalid date. Expected YYYY-MM-DD' });
+        }
+
+        const end = range.end;
+        const weekStart = new Date(end.getTime() - 7 * MS_PER_DAY);
+        const suggestionStart = new Date(end.getTime() - SUGGESTION_WEEKS * 7 * MS_PER_DAY);
+
+        const [tracking, entries] = await Promise.all([
+            Tracking.findCurrent(userId),
+            ExerciseLog.find({ user: userId, performedAt: { $gte: suggestionStart, $lt: end } })
+                .sort({ performedAt: 1 })
+        ]);
+
+        const eatBackFraction = tracking ? tracking.exerciseEatBackFraction || 0 : 0;
+
+        const days = [];
+        for (let day = weekStart.getTime(); day < end.getTime(); day += MS_PER_DAY) {
+            const dayEntries = entries.filter(entry => toDayKey(entry.performedAt) === toDayKey(day));
+            const netCalories = dayEntries.reduce((sum, entry) => sum + (entry.netCalories || 0), 0);
+
+            days.push({
+                date: toDayKey(day),
+                sessions: dayEntries.length,
+                minutes: dayEntries.reduce((sum, entry) => sum + entry.durationMinutes, 0),
+                caloriesBurned: dayEntries.reduce((sum, entry) => sum + entry.caloriesBurned, 0),
+                netCalories,
+                eatBackCalories: Math.round(netCalories * eatBackFraction)
+            });
+        }
+
+        const weeklyNetCalories = [];
+        for (let week = 0; week < SUGGESTION_WEEKS; week++) {
+            const blockStart = suggestionStart.getTime() + week * 7 * MS_PER_DAY;
+            weeklyNetCalories.push(entries
+                .filter(entry => entry.performedAt >= blockStart && entry.performedAt < blockStart + 7 * MS_PER_DAY)
+                .reduce((sum, entry) => sum + (entry.netCalories || 0), 0));
+        }
+
+        res.status(200).json({
+            from: toDayKey(weekStart),
+            to: toDayKey(end.getTime() - MS_PER_DAY),
+            activityLevel: tracking ? tracking.activityLevel : null,
+            eatBackFraction,
+            totals: {
+                sessions: days.reduce((sum, day) => sum + day.sessions, 0),
+                minutes: days.reduce((sum, day) => sum + day.minutes, 0),
+                caloriesBurned: days.reduce((sum, day) => sum + day.caloriesBurned, 0),
+                netCalories: days.reduce((sum, day) => sum + day.netCalories, 0),
+                eatBackCalories: days.reduce((sum, day) => sum + day.eatBackCalories, 0)
+            },
+            days,
+            activityLevelSuggestion: tracking ? suggestActivityLevel(tracking, weeklyNetCalories) : null
+        });
+    } catch (error) {
+        handleError(res, error, 'Exercise Summary Error');
+    }
+};
+
+module.exports = exports;
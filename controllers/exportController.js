@@ -0,0 +1,222 @@
+const PDFDocument = require('pdfkit');
+const Tracking = require('../models/trackingModel');
+const User = require('../models/userModel');
+const WeighIn = require('../models/weighInModel');
+const FoodLog = require('../models/foodLogModel');
+const ExerciseLog = require('../models/exerciseLogModel');
+const SleepLog = require('../models/sleepLogModel');
+const BodyMeasurement = require('../models/bodyMeasurementModel');
+const { buildTrackingReport } = require('./trackingController');
+const { toCSV } = require('../helpers/csvHelper');
+const { writeProgressReport } = require('../helpers/reportHelper');
+const {
+    isValidUnitSystem,
+    resolveUnitSystem,
+    fromCanonicalWeight,
+    fromCanonicalLength,
+    weightLabel,
+    lengthLabel
+} = require('../helpers/unitsHelper');
+const { handleError } = require('../helpers/errorHelper');
+
+const EXPORT_FORMATS = ['csv', 'json', 'pdf'];
+const CSV_DATASETS = ['weighIns', 'foodLogs', 'planChanges'];
+
+// One row per thing that changed a plan: creation, pauses, plateaus, notes and closing
+function buildPlanChanges(plans, unitSystem) {
+    const changes = [];
+    const weight = (value) => fromCanonicalWeight(value, unitSystem);
+
+    for (const plan of plans) {
+        const base = { trackingId: plan._id };
+
+        changes.push({
+            ...base,
+            date: plan.createdAt,
+            event: 'created',
+            details: `${plan.goalType || 'lose'} from ${weight(plan.startingWeight || plan.currentWeight)} to ${weight(plan.goalWeight)} ${weightLabel(unitSystem)} over ${plan.durationWeeks} weeks at ${plan.dailyCalories} kcal`
+        });
+
+        for (const pause of plan.pauses || []) {
+            changes.push({ ...base, date: pause.startedAt, event: 'paused', details: pause.reason || '' });
+            if (pause.endedAt) changes.push({ ...base, date: pause.endedAt, event: 'resumed', details: '' });
+        }
+
+        for (const plateau of plan.plateaus || []) {
+            changes.push({ ...base, date: plateau.startedAt, event: 'plateauStarted', details: `${plateau.windowDays}-day window` });
+            if (plateau.endedAt) changes.push({ ...base, date: plateau.endedAt, event: 'plateauEnded', details: '' });
+        }
+
+        for (const note of plan.progressNotes || []) {
+            changes.push({ ...base, date: note.date, event: 'note', details: note.note });
+        }
+
+        if (plan.endedAt) {
+            changes.push({ ...base, date: plan.endedAt, event: plan.status, details: plan.outcome && plan.outcome.goalReached ? 'Goal reached' : '' });
+        }
+    }
+
+    return changes.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+function renderOutcome(outcome, unitSystem) {
+    if (!outcome) return null;
+    return {
+        endWeight: fromCanonicalWeight(outcome.endWeight, unitSystem),
+        weightChange: fromCanonicalWeight(outcome.weightChange, unitSystem),
+        goalReached: outcome.goalReached,
+        pausedDays: outcome.pausedDays
+    };
+}
+
+async function loadExportData(userId, unitSystem) {
+    const [plans, weighIns, foodLogs, exerciseLogs, sleepLogs, measurements] = await Promise.all([
+        Tracking.find({ user: userId }).sort({ createdAt: 1 }),
+        WeighIn.find({ user: userId }).sort({ measuredAt: 1 }),
+        FoodLog.find({ user: userId }).sort({ consumedAt: 1 }),
+        ExerciseLog.find({ user: userId }).sort({ performedAt: 1 }),
+        SleepLog.find({ user: userId }).sort({ wakeDate: 1 }),
+        BodyMeasurement.find({ user: userId }).sort({ measuredAt: 1 })
+    ]);
+
+    return {
+        plans,
+        planChanges: buildPlanChanges(plans, unitSystem),
+        weighIns: weighIns.map(weighIn => ({
+            date: weighIn.measuredAt,
+            trackingId: weighIn.tracking,
+            weight: fromCanonicalWeight(weighIn.weight, unitSystem),
+            trendWeight: fromCanonicalWeight(weighIn.trendWeight, unitSystem),
+            source: weighIn.source
+        })),
+        foodLogs: foodLogs.map(entry => ({
+            date: entry.consumedAt,
+            trackingId: entry.tracking,
+            mealSlot: entry.mealSlot,
+            name: entry.name,
+            calories: entry.calories,
+            protein: entry.protein,
+            carbs: entry.carbs,
+            fat: entry.fat
+        })),
+        exerciseLogs: exerciseLogs.map(entry => entry.toJSON()),
+        sleepLogs: sleepLogs.map(entry => entry.toJSON()),
+        measurements: measurements.map(entry => {
+            const rendered = entry.toJSON();
+            for (const field of ['waist', 'hips', 'chest', 'arms', 'thighs']) {
+                rendered[field] = fromCanonicalLength(entry[field], unitSystem);
+            }
+            return rendered;
+        })
+    };
+}
+
+const CSV_COLUMNS = {
+    weighIns: [
+        { key: 'date' },
+        { key: 'weight' },
+        { key: 'trendWeight', header: 'trend_weight' },
+        { key: 'source' },
+        { key: 'trackingId', header: 'tracking_id' }
+    ],
+    foodLogs: [
+        { key: 'date' },
+        { key: 'mealSlot', header: 'meal_slot' },
+        { key: 'name' },
+        { key: 'calories' },
+        { key: 'protein' },
+        { key: 'carbs' },
+        { key: 'fat' },
+        { key: 'trackingId', header: 'tracking_id' }
+    ],
+    planChanges: [
+        { key: 'date' },
+        { key: 'event' },
+        { key: 'details' },
+        { key: 'trackingId', header: 'tracking_id' }
+    ]
+};
+
+// format=csv (with dataset=weighIns|foodLogs|planChanges), json or pdf
+exports.exportTracking = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const format = req.query.format || 'json';
+        const dataset = req.query.dataset || 'weighIns';
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+        if (format === 'csv' && !CSV_DATASETS.includes(dataset)) {
+            return res.status(400).json({ error: `Invalid dataset. Must be one of: ${CSV_DATASETS.join(', ')}` });
+        }
+
+        const user = await User.findById(userId).select('username email unitSystem');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const unitSystem = resolveUnitSystem(req.query.unitSystem, user.unitSystem);
+        if (!isValidUnitSystem(unitSystem)) {
+            return res.status(400).json({ error: 'Invalid unit system. Must be metric or imperial' });
+        }
+
+        const stamp = new Date().toISOString().slice(0, 10);
+
+        if (format === 'pdf') {
+            const report = await buildTrackingReport(userId, unitSystem);
+            if (!report) {
+                return res.status(404).json({ error: 'No tracking data found' });
+            }
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="progress-report-${stamp}.pdf"`);
+
+            const doc = new PDFDocument({ size: 'A4', margin: 50 });
+            doc.pipe(res);
+            writeProgressReport(doc, { user, report });
+            doc.end();
+            return;
+        }
+
+        const data = await loadExportData(userId, unitSystem);
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${dataset}-${stamp}.csv"`);
+            return res.status(200).send(toCSV(CSV_COLUMNS[dataset], data[dataset]));
+        }
+
+        res.setHeader('Content-Disposition', `attachment; filename="tracking-export-${stamp}.json"`);
+        res.status(200).json({
+            exportedAt: new Date(),
+            user: { id: user._id, username: user.username, email: user.email },
+            unitSystem,
+            units: { weight: weightLabel(unitSystem), length: lengthLabel(unitSystem), energy: 'kcal' },
+            currentPlan: await buildTrackingReport(userId, unitSystem),
+            plans: data.plans.map(plan => ({
+                id: plan._id,
+                status: plan.status,
+                goalType: plan.goalType,
+                createdAt: plan.createdAt,
+                endedAt: plan.endedAt,
+                startingWeight: fromCanonicalWeight(plan.startingWeight || plan.currentWeight, unitSystem),
+                goalWeight: fromCanonicalWeight(plan.goalWeight, unitSystem),
+                durationWeeks: plan.durationWeeks,
+                dailyCalories: plan.dailyCalories,
+                macroTargets: plan.macroTargets,
+                outcome: renderOutcome(plan.endedAt ? plan.outcome : plan.getOutcome(), unitSystem)
+            })),
+            planChanges: data.planChanges,
+            weighIns: data.weighIns,
+            foodLogs: data.foodLogs,
+            exerciseLogs: data.exerciseLogs,
+            sleepLogs: data.sleepLogs,
+            measurements: data.measurements
+        });
+    } catch (error) {
+        handleError(res, error, 'Export Error');
+    }
+};
+
+module.exports = exports;
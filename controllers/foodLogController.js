@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+const FoodLog = require('../models/foodLogModel');
+const Tracking = require('../models/trackingModel');
+const { getDayRange, parseDateRange } = require('../helpers/dateHelper');
+const { getExerciseTotals } = require('./exerciseLogController');
+const { evaluateAchievements } = require('./achievementController');
+const { handleError } = require('../helpers/errorHelper');
+
+const MEAL_SLOTS = ['morning', 'afternoon', 'night'];
+const MACROS = ['protein', 'carbs', 'fat'];
+
+function validateFoodEntry(body, isUpdate = false) {
+    const { name, calories, mealSlot, consumedAt } = body;
+
+    if (!isUpdate || name !== undefined) {
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return 'Food name is required';
+        }
+    }
+
+    if (!isUpdate || calories !== undefined) {
+        if (typeof calories !== 'number' || calories < 0) {
+            return 'Calories must be a non-negative number';
+        }
+    }
+
+    if (!isUpdate || mealSlot !== undefined) {
+        if (!MEAL_SLOTS.includes(mealSlot)) {
+            return `Meal slot must be one of: ${MEAL_SLOTS.join(', ')}`;
+        }
+    }
+
+    for (const macro of MACROS) {
+        if (body[macro] !== undefined && (typeof body[macro] !== 'number' || body[macro] < 0)) {
+            return `${macro} must be a non-negative number`;
+        }
+    }
+
+    if (consumedAt !== undefined && isNaN(new Date(consumedAt).getTime())) {
+        return 'Invalid consumedAt timestamp';
+    }
+
+    return null;
+}
+
+function pickFoodFields(body) {
+    const fields = {};
+    for (const key of ['name', 'calories', 'mealSlot', 'consumedAt', ...MACROS]) {
+        if (body[key] !== undefined) fields[key] = body[key];
+    }
+    return fields;
+}
+
+exports.buildDailySummary = async (userId, date) => {
+    const range = getDayRange(date);
+    if (!range) {
+        throw new Error('Invalid date. Expected YYYY-MM-DD');
+    }
+
+    const [tracking, entries, exercise] = await Promise.all([
+        Tracking.findCurrent(userId),
+        FoodLog.find({ user: userId, consumedAt: { $gte: range.start, $lt: range.end } })
+            .sort({ consumedAt: 1 }),
+        getExerciseTotals(userId, range.start, range.end)
+    ]);
+
+    const slots = {};
+    for (const slot of MEAL_SLOTS) {
+        const slotEntries = entries.filter(entry => entry.mealSlot === slot);
+        const consumed = slotEntries.reduce((sum, entry) => sum + entry.calories, 0);
+        const target = tracking?.mealDistribution?.[slot]?.calories || 0;
+
+        slots[slot] = {
+            target,
+            consumed,
+            remaining: target - consumed,
+            macroTargets: tracking?.mealDistribution?.[slot]?.macros,
+            entries: slotEntries.length
+        };
+    }
+
+    const macros = MACROS.reduce((acc, macro) => {
+        acc[macro] = entries.reduce((sum, entry) => sum + (entry[macro] || 0), 0);
+        return acc;
+    }, {});
+
+    // Part of the day's exercise can be eaten back on top of the plan's target
+    const eatBackFraction = tracking ? tracking.exerciseEatBackFraction || 0 : 0;
+    const eatBackCalories = Math.round(exercise.netCalories * eatBackFraction);
+    const dailyCalories = tracking ? tracking.dailyCalories + eatBackCalories : null;
+    const consumedCalories = entries.reduce((sum, entry) => sum + entry.calories, 0);
+
+    return {
+        date: range.start.toISOString().slice(0, 10),
+        baseDailyCalories: tracking ? tracking.dailyCalories : null,
+        dailyCalories,
+        consumedCalories,
+        remainingCalories: dailyCalories !== null ? dailyCalories - consumedCalories : null,
+        percentOfTarget: dailyCalories ? Math.round((consumedCalories / dailyCalories) * 100) : null,
+        exercise: { ...exercise, eatBackFraction, eatBackCalories },
+        slots,
+        macros,
+        macroTargets: tracking ? tracking.macroTargets : null,
+        entries
+    };
+};
+
+exports.createFoodEntry = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const validationError = validateFoodEntry(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const tracking = await Tracking.findCurrent(userId).select('_id');
+
+        const entry = await FoodLog.create({
+            user: userId,
+            tracking: tracking ? tracking._id : undefined,
+            ...pickFoodFields(req.body)
+        });
+
+        await evaluateAchievements(userId);
+
+        res.status(201).json(entry);
+    } catch (error) {
+        handleError(res, error, 'Food Entry Creation Error');
+    }
+};
+
+exports.getFoodEntries = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { date, from, to } = req.query;
+
+        const filter = { user: userId };
+
+        if (date) {
+            const range = getDayRange(date);
+            if (!range) {
+                return res.status(400).json({ error: 'Invalid date. Expected YYYY-MM-DD' });
+            }
+            filter.consumedAt = { $gte: range.start, $lt: range.end };
+        } else if (from || to) {
+            const range = parseDateRange(from, to);
+            if (!range) {
+                return res.status(400).json({ error: 'Invalid from or to date' });
+            }
+            filter.consumedAt = range;
+        }
+
+        const entries = await FoodLog.find(filter).sort({ consumedAt: -1 });
+
+        res.status(200).json(entries);
+    } catch (error) {
+        handleError(res, error, 'Food Entries Retrieval Error');
+    }
+};
+
+exports.updateFoodEntry = async (req, res) => {
+    try {
+        const { entryId } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.isValidObjectId(entryId)) {
+            return res.status(404).json({ error: 'Food entry not found' });
+        }
+
+        const validationError = validateFoodEntry(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const entry = await FoodLog.findOneAndUpdate(
+            { _id: entryId, user: userId },
+            pickFoodFields(req.body),
+            { new: true, runValidators: true }
+        );
+
+        if (!entry) {
+            return res.status(404).json({ error: 'Food entry not found' });
+        }
+
+        await evaluateAchievements(userId);
+
+        res.status(200).json(entry);
+    } catch (error) {
+        handleError(res, error, 'Food Entry Update Error');
+    }
+};
+
+exports.deleteFoodEntry = async (req, res) => {
+    try {
+        const { entryId } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.isValidObjectId(entryId)) {
+            return res.status(404).json({ error: 'Food entry not found' });
+        }
+
+        const entry = await FoodLog.findOneAndDelete({ _id: entryId, user: userId });
+
+        if (!entry) {
+            return res.status(404).json({ error: 'Food entry not found' });
+        }
+
+        // Refreshes the current logging streak; badges already earned stay
+        await evaluateAchievements(userId);
+
+        res.status(200).json({ message: 'Food entry deleted successfully' });
+    } catch (error) {
+        handleError(res, error, 'Food Entry Deletion Error');
+    }
+};
+
+exports.getDailySummary = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        if (req.query.date && !getDayRange(req.query.date)) {
+            return res.status(400).json({ error: 'Invalid date. Expected YYYY-MM-DD' });
+        }
+
+        const summary = await exports.buildDailySummary(userId, req.query.date);
+
+        res.status(200).json(summary);
+    } catch (error) {
+        handleError(res, error, 'Daily Summary Error');
+    }
+};
+
+module.exports = exports;
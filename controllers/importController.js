@@ -0,0 +1,178 @@
+const WeighIn = require('../models/weighInModel');
+const Tracking = require('../models/trackingModel');
+const User = require('../models/userModel');
+const { rebuildPlanProgress } = require('./trackingController');
+const { evaluateAchievements } = require('./achievementController');
+const { parseWeighInExport, IMPORT_FORMATS, DATE_FORMATS } = require('../helpers/importHelper');
+const { toDayKey, MS_PER_DAY } = require('../helpers/dateHelper');
+const {
+    isValidUnitSystem,
+    resolveUnitSystem,
+    fromCanonicalWeight,
+    weightLabel
+} = require('../helpers/unitsHelper');
+const { handleError } = require('../helpers/errorHelper');
+
+function validateImportRequest(body) {
+    const { csv, format, mapping } = body;
+
+    if (typeof csv !== 'string' || !csv.trim()) {
+        return 'csv must contain the exported file as text';
+    }
+
+    if (format !== undefined && !IMPORT_FORMATS.includes(format)) {
+        return `Invalid format. Must be one of: ${IMPORT_FORMATS.join(', ')}`;
+    }
+
+    if (mapping !== undefined) {
+        if (typeof mapping !== 'object' || mapping === null) {
+            return 'mapping must be an object';
+        }
+        if (format === 'custom' && (!mapping.date || !mapping.weight)) {
+            return 'The custom format needs mapping.date and mapping.weight column names';
+        }
+        if (mapping.dateFormat !== undefined && !DATE_FORMATS.includes(mapping.dateFormat)) {
+            return `Invalid date format. Must be one of: ${DATE_FORMATS.join(', ')}`;
+        }
+        if (mapping.unit !== undefined && !['kg', 'lbs'].includes(mapping.unit)) {
+            return 'mapping.unit must be kg or lbs';
+        }
+    } else if (format === 'custom') {
+        return 'The custom format needs mapping.date and mapping.weight column names';
+    }
+
+    return null;
+}
+
+// One weigh-in per day: the earliest row of each day wins, and days that
+// already have a weigh-in are left alone
+async function splitDuplicates(userId, rows) {
+    const sorted = [...rows].sort((a, b) => a.measuredAt - b.measuredAt);
+    if (!sorted.length) return { fresh: [], duplicates: [] };
+
+    const rangeStart = new Date(`${toDayKey(sorted[0].measuredAt)}T00:00:00.000Z`);
+    const rangeEnd = new Date(new Date(`${toDayKey(sorted[sorted.length - 1].measuredAt)}T00:00:00.000Z`).getTime() + MS_PER_DAY);
+    const existing = await WeighIn.find({ user: userId, measuredAt: { $gte: rangeStart, $lt: rangeEnd } }).select('measuredAt');
+    const loggedDays = new Set(existing.map(weighIn => toDayKey(weighIn.measuredAt)));
+
+    const fresh = [];
+    const duplicates = [];
+    const importedDays = new Set();
+    for (const row of sorted) {
+        const day = toDayKey(row.measuredAt);
+        if (loggedDays.has(day)) {
+            duplicates.push({ ...row, reason: 'A weigh-in is already logged for this day' });
+        } else if (importedDays.has(day)) {
+            duplicates.push({ ...row, reason: 'An earlier row in the file covers this day' });
+        } else {
+            importedDays.add(day);
+            fresh.push(row);
+        }
+    }
+
+    return { fresh, duplicates };
+}
+
+function renderRow(row, unitSystem, tracking) {
+    return {
+        line: row.line,
+        measuredAt: row.measuredAt,
+        weight: fromCanonicalWeight(row.weight, unitSystem),
+        reason: row.reason,
+        attachedToPlan: tracking ? row.measuredAt >= tracking.createdAt : undefined
+    };
+}
+
+// Pass dryRun: true to preview what would be imported without saving anything
+exports.importWeighIns = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { format, mapping, dryRun } = req.body;
+
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const unitSystem = resolveUnitSystem(req.body.unitSystem, user.unitSystem);
+        if (!isValidUnitSystem(unitSystem)) {
+            return res.status(400).json({ error: 'Invalid unit system. Must be metric or imperial' });
+        }
+
+        const validationError = validateImportRequest(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const parsed = parseWeighInExport(req.body.csv, { format, mapping, defaultUnit: weightLabel(unitSystem) });
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const { fresh, duplicates } = await splitDuplicates(user._id, parsed.rows);
+        const tracking = await Tracking.findCurrent(userId);
+
+        // Only history from the plan's start onwards feeds its progress
+        const attached = tracking ? fresh.filter(row => row.measuredAt >= tracking.createdAt) : [];
+
+        const summary = {
+            format: parsed.format,
+            enteredUnit: parsed.unit,
+            totalRows: parsed.rows.length + parsed.errors.length,
+            toImport: fresh.length,
+            duplicates: duplicates.length,
+            invalid: parsed.errors.length,
+            attachedToPlan: attached.length
+        };
+
+        const preview = {
+            unitSystem,
+            unit: weightLabel(unitSystem),
+            dryRun: Boolean(dryRun),
+            summary,
+            weighIns: fresh.map(row => renderRow(row, unitSystem, tracking)),
+            duplicates: duplicates.map(row => renderRow(row, unitSystem, tracking)),
+            errors: parsed.errors
+        };
+
+        if (dryRun || !fresh.length) {
+            return res.status(200).json(preview);
+        }
+
+        await WeighIn.insertMany(fresh.map(row => ({
+            user: user._id,
+            tracking: tracking && row.measuredAt >= tracking.createdAt ? tracking._id : undefined,
+            weight: row.weight,
+            enteredWeight: row.enteredWeight,
+            enteredUnit: row.enteredUnit,
+            source: 'import',
+            measuredAt: row.measuredAt
+        })));
+
+        let plan = null;
+        if (attached.length) {
+            await rebuildPlanProgress(tracking, user);
+            tracking.progressNotes.push({
+                note: `Imported ${attached.length} weigh-ins from ${parsed.format}`,
+                date: new Date()
+            });
+            await tracking.save();
+
+            plan = {
+                trackingId: tracking._id,
+                currentWeight: fromCanonicalWeight(tracking.currentWeight, unitSystem),
+                trendWeight: fromCanonicalWeight(tracking.trendWeight, unitSystem),
+                dailyCalories: tracking.dailyCalories,
+                progressPatterns: tracking.progressPatterns
+            };
+        }
+
+        const achievements = await evaluateAchievements(user._id, { tracking: attached.length ? tracking : undefined });
+
+        res.status(201).json({ ...preview, plan, achievements });
+    } catch (error) {
+        handleError(res, error, 'Weigh-in Import Error');
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,146 @@
+const MealCatalog = require('../models/mealCatalogModel');
+const { handleError } = require('../helpers/errorHelper');
+
+const MEAL_SLOTS = ['morning', 'afternoon', 'night'];
+const NUTRITION_FIELDS = ['calories', 'protein', 'carbs', 'fat'];
+
+function validateMeal(body, isUpdate = false) {
+    const { name, mealSlots, tags } = body;
+
+    if (!isUpdate || name !== undefined) {
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return 'Meal name is required';
+        }
+    }
+
+    if (!isUpdate && body.calories === undefined) {
+        return 'Calories are required';
+    }
+
+    for (const field of NUTRITION_FIELDS) {
+        if (body[field] !== undefined && (typeof body[field] !== 'number' || body[field] < 0)) {
+            return `${field} must be a non-negative number`;
+        }
+    }
+
+    if (!isUpdate || mealSlots !== undefined) {
+        if (!Array.isArray(mealSlots) || !mealSlots.length || mealSlots.some(slot => !MEAL_SLOTS.includes(slot))) {
+            return `Meal slots must be a non-empty list of: ${MEAL_SLOTS.join(', ')}`;
+        }
+    }
+
+    if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string'))) {
+        return 'Tags must be a list of strings';
+    }
+
+    return null;
+}
+
+function pickMealFields(body) {
+    const fields = {};
+    for (const key of ['name', 'description', 'servingSize', 'tags', 'mealSlots', 'isActive', ...NUTRITION_FIELDS]) {
+        if (body[key] !== undefined) fields[key] = body[key];
+    }
+    return fields;
+}
+
+exports.getMeals = async (req, res) => {
+    try {
+        const { slot, tag, includeInactive } = req.query;
+
+        const filter = {};
+        if (includeInactive !== 'true') filter.isActive = true;
+        if (slot) filter.mealSlots = slot;
+        if (tag) filter.tags = tag;
+
+        const meals = await MealCatalog.find(filter).sort({ name: 1 });
+
+        res.status(200).json(meals);
+    } catch (error) {
+        handleError(res, error, 'Meal Catalog Retrieval Error');
+    }
+};
+
+exports.getMeal = async (req, res) => {
+    try {
+        const meal = await MealCatalog.findById(req.params.id);
+
+        if (!meal) {
+            return res.status(404).json({ error: 'Meal not found' });
+        }
+
+        res.status(200).json(meal);
+    } catch (error) {
+        handleError(res, error, 'Meal Retrieval Error');
+    }
+};
+
+exports.createMeal = async (req, res) => {
+    try {
+        const validationError = validateMeal(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const existingMeal = await MealCatalog.findOne({ name: req.body.name.trim() });
+        if (existingMeal) {
+            return res.status(409).json({ error: 'A meal with this name already exists' });
+        }
+
+        const meal = await MealCatalog.create(pickMealFields(req.body));
+
+        res.status(201).json(meal);
+    } catch (error) {
+        handleError(res, error, 'Meal Creation Error');
+    }
+};
+
+exports.updateMeal = async (req, res) => {
+    try {
+        const validationError = validateMeal(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        if (req.body.name !== undefined) {
+            const existingMeal = await MealCatalog.findOne({ name: req.body.name.trim(), _id: { $ne: req.params.id } });
+            if (existingMeal) {
+                return res.status(409).json({ error: 'A meal with this name already exists' });
+            }
+        }
+
+        const meal = await MealCatalog.findByIdAndUpdate(
+            req.params.id,
+            pickMealFields(req.body),
+            { new: true, runValidators: true }
+        );
+
+        if (!meal) {
+            return res.status(404).json({ error: 'Meal not found' });
+        }
+
+        res.status(200).json(meal);
+    } catch (error) {
+        // Lost a race with another rename to the same name
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'A meal with this name already exists' });
+        }
+        handleError(res, error, 'Meal Update Error');
+    }
+};
+
+exports.deleteMeal = async (req, res) => {
+    try {
+        const meal = await MealCatalog.findByIdAndDelete(req.params.id);
+
+        if (!meal) {
+            return res.status(404).json({ error: 'Meal not found' });
+        }
+
+        res.status(200).json({ message: 'Meal deleted successfully' });
+    } catch (error) {
+        handleError(res, error, 'Meal Deletion Error');
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,233 @@
+const BodyMeasurement = require('../models/bodyMeasurementModel');
+const Tracking = require('../models/trackingModel');
+const User = require('../models/userModel');
+const { recalculatePlan } = require('./trackingController');
+const { findNearest, parseDateRange } = require('../helpers/dateHelper');
+const { MAX_BODY_FAT_PERCENTAGE, isValidBodyFatPercentage } = require('../helpers/energyHelper');
+const {
+    isValidUnitSystem,
+    resolveUnitSystem,
+    toCanonicalLength,
+    fromCanonicalLength,
+    lengthLabel
+} = require('../helpers/unitsHelper');
+const { handleError } = require('../helpers/errorHelper');
+
+const LENGTH_FIELDS = ['waist', 'hips', 'chest', 'arms', 'thighs'];
+const MEASUREMENT_FIELDS = [...LENGTH_FIELDS, 'bodyFatPercentage'];
+
+// How far from a requested date a measurement may be and still be compared
+const COMPARE_TOLERANCE_DAYS = 14;
+
+function validateMeasurement(body) {
+    if (!MEASUREMENT_FIELDS.some(field => body[field] !== undefined)) {
+        return `At least one measurement is required: ${MEASUREMENT_FIELDS.join(', ')}`;
+    }
+
+    for (const field of LENGTH_FIELDS) {
+        if (body[field] !== undefined && (typeof body[field] !== 'number' || body[field] <= 0)) {
+            return `${field} must be a positive number`;
+        }
+    }
+
+    const { bodyFatPercentage, measuredAt } = body;
+    if (bodyFatPercentage !== undefined && !isValidBodyFatPercentage(bodyFatPercentage)) {
+        return `Body fat percentage must be above 0 and below ${MAX_BODY_FAT_PERCENTAGE}`;
+    }
+
+    if (measuredAt !== undefined && isNaN(new Date(measuredAt).getTime())) {
+        return 'Invalid measuredAt timestamp';
+    }
+
+    return null;
+}
+
+function renderMeasurement(measurement, unitSystem) {
+    const rendered = { ...measurement.toJSON() };
+    for (const field of LENGTH_FIELDS) {
+        rendered[field] = fromCanonicalLength(measurement[field], unitSystem);
+    }
+    return rendered;
+}
+
+async function resolveRequestUnits(userId, declared) {
+    const user = await User.findById(userId).select('unitSystem sex');
+    return { user, unitSystem: resolveUnitSystem(declared, user && user.unitSystem) };
+}
+
+exports.createMeasurement = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const { user, unitSystem } = await resolveRequestUnits(userId, req.body.unitSystem);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!isValidUnitSystem(unitSystem)) {
+            return res.status(400).json({ error: 'Invalid unit system. Must be metric or imperial' });
+        }
+
+        const validationError = validateMeasurement(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const tracking = await Tracking.findCurrent(userId);
+
+        const fields = {};
+        for (const field of LENGTH_FIELDS) {
+            if (req.body[field] !== undefined) fields[field] = toCanonicalLength(req.body[field], unitSystem);
+        }
+
+        const measurement = await BodyMeasurement.create({
+            user: user._id,
+            tracking: tracking ? tracking._id : undefined,
+            ...fields,
+            bodyFatPercentage: req.body.bodyFatPercentage,
+            entryUnitSystem: unitSystem,
+            notes: req.body.notes,
+            measuredAt: req.body.measuredAt
+        });
+
+        // The newest body-fat reading switches the plan to lean-mass based energy estimates
+        let plan = null;
+        if (measurement.bodyFatPercentage !== undefined && tracking) {
+            const newerReading = await BodyMeasurement.exists({
+                user: user._id,
+                bodyFatPercentage: { $exists: true },
+                measuredAt: { $gt: measurement.measuredAt }
+            });
+
+            if (!newerReading) {
+                tracking.bodyFatPercentage = measurement.bodyFatPercentage;
+                await recalculatePlan(tracking, user);
+                await tracking.save();
+                plan = {
+                    trackingId: tracking._id,
+                    dailyCalories: tracking.dailyCalories,
+                    energyModel: tracking.energyModel,
+                    safetyWarnings: tracking.safetyWarnings
+                };
+            }
+        }
+
+        res.status(201).json({
+            unitSystem,
+            unit: lengthLabel(unitSystem),
+            measurement: renderMeasurement(measurement, unitSystem),
+            plan
+        });
+    } catch (error) {
+        handleError(res, error, 'Measurement Creation Error');
+    }
+};
+
+// History with one chart series per measurement
+exports.getMeasurements = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { from, to } = req.query;
+
+        const { user, unitSystem } = await resolveRequestUnits(userId, req.query.unitSystem);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!isValidUnitSystem(unitSystem)) {
+            return res.status(400).json({ error: 'Invalid unit system. Must be metric or imperial' });
+        }
+
+        const filter = { user: userId };
+        if (from || to) {
+            const range = parseDateRange(from, to);
+            if (!range) {
+                return res.status(400).json({ error: 'Invalid from or to date' });
+            }
+            filter.measuredAt = range;
+        }
+
+        const measurements = await BodyMeasurement.find(filter).sort({ measuredAt: 1 });
+        const rendered = measurements.map(measurement => renderMeasurement(measurement, unitSystem));
+
+        const chartData = {};
+        for (const field of MEASUREMENT_FIELDS) {
+            chartData[field] = rendered
+                .filter(measurement => measurement[field] !== undefined && measurement[field] !== null)
+                .map(measurement => ({ date: measurement.measuredAt, value: measurement[field] }));
+        }
+
+        res.status(200).json({
+            unitSystem,
+            unit: lengthLabel(unitSystem),
+            measurements: rendered,
+            chartData
+        });
+    } catch (error) {
+        handleError(res, error, 'Measurement Retrieval Error');
+    }
+};
+
+// Each measurement closest to the two dates, and the change between them
+exports.compareMeasurements = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const fromDate = new Date(req.query.from);
+        const toDate = new Date(req.query.to);
+        if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+            return res.status(400).json({ error: 'Both from and to dates are required' });
+        }
+
+        const { user, unitSystem } = await resolveRequestUnits(userId, req.query.unitSystem);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!isValidUnitSystem(unitSystem)) {
+            return res.status(400).json({ error: 'Invalid unit system. Must be metric or imperial' });
+        }
+
+        const measurements = await BodyMeasurement.find({ user: userId }).sort({ measuredAt: 1 });
+
+        const comparison = {};
+        for (const field of MEASUREMENT_FIELDS) {
+            const withField = measurements.filter(measurement => measurement[field] !== undefined && measurement[field] !== null);
+            const before = findNearest(withField, fromDate, measurement => measurement.measuredAt, COMPARE_TOLERANCE_DAYS);
+            const after = findNearest(withField, toDate, measurement => measurement.measuredAt, COMPARE_TOLERANCE_DAYS);
+            const render = (value) => (field === 'bodyFatPercentage' ? Math.round(value * 10) / 10 : fromCanonicalLength(value, unitSystem));
+
+            comparison[field] = {
+                from: before ? { date: before.measuredAt, value: render(before[field]) } : null,
+                to: after ? { date: after.measuredAt, value: render(after[field]) } : null,
+                change: before && after ? render(after[field] - before[field]) : null
+            };
+        }
+
+        res.status(200).json({
+            unitSystem,
+            unit: lengthLabel(unitSystem),
+            from: fromDate,
+            to: toDate,
+            comparison
+        });
+    } catch (error) {
+        handleError(res, error, 'Measurement Comparison Error');
+    }
+};
+
+exports.deleteMeasurement = async (req, res) => {
+    try {
+        const { entryId } = req.params;
+        const userId = req.user._id;
+
+        const measurement = await BodyMeasurement.findOneAndDelete({ _id: entryId, user: userId });
+
+        if (!measurement) {
+            return res.status(404).json({ error: 'Measurement not found' });
+        }
+
+        res.status(200).json({ message: 'Measurement deleted successfully' });
+    } catch (error) {
+        handleError(res, error, 'Measurement Deletion Error');
+    }
+};
+
+module.exports = exports;
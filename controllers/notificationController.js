@@ -0,0 +1,250 @@
+const Notification = require('../models/notificationModel');
+const User = require('../models/userModel');
+const { CATEGORIES, CHANNELS } = require('../helpers/notificationHelper');
+const { isPushConfigured } = require('../helpers/notificationChannels');
+const { isValidLocalTime } = require('../helpers/dateHelper');
+const { handleError } = require('../helpers/errorHelper');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function validatePreferences(body) {
+    for (const category of CATEGORIES) {
+        const channels = body[category];
+        if (channels === undefined) continue;
+
+        if (typeof channels !== 'object' || channels === null) {
+            return `${category} must be an object of channel settings`;
+        }
+        for (const [channel, enabled] of Object.entries(channels)) {
+            if (!CHANNELS.includes(channel)) {
+                return `Unknown channel ${channel}. Must be one of: ${CHANNELS.join(', ')}`;
+            }
+            if (typeof enabled !== 'boolean') {
+                return `${category}.${channel} must be true or false`;
+            }
+            if (category === 'transactional' && channel === 'email') {
+                return 'Transactional emails such as password resets cannot be turned off';
+            }
+        }
+    }
+
+    const { quietHours } = body;
+    if (quietHours !== undefined) {
+        if (typeof quietHours !== 'object' || quietHours === null) {
+            return 'quietHours must be an object';
+        }
+        if (quietHours.enabled !== undefined && typeof quietHours.enabled !== 'boolean') {
+            return 'quietHours.enabled must be true or false';
+        }
+        for (const key of ['start', 'end']) {
+            if (quietHours[key] !== undefined && !isValidLocalTime(quietHours[key])) {
+                return `quietHours.${key} must be a 24-hour HH:MM string`;
+            }
+        }
+        if (quietHours.start !== undefined && quietHours.start === quietHours.end) {
+            return 'Quiet hours must start and end at different times';
+        }
+    }
+
+    return null;
+}
+
+exports.getNotifications = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { unread, category, before } = req.query;
+        const limit = Math.min(Number(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+        if (category !== undefined && !CATEGORIES.includes(category)) {
+            return res.status(400).json({ error: `Invalid category. Must be one of: ${CATEGORIES.join(', ')}` });
+        }
+
+        if (before !== undefined && isNaN(new Date(before).getTime())) {
+            return res.status(400).json({ error: 'Invalid before timestamp' });
+        }
+
+        const filter = { user: userId, inbox: true };
+        if (unread === 'true') filter.readAt = { $exists: false };
+        if (category) filter.category = category;
+        if (before) filter.createdAt = { $lt: new Date(before) };
+
+        const [notifications, unreadCount] = await Promise.all([
+            Notification.find(filter).sort({ createdAt: -1 }).limit(limit).select('-email -deliveries'),
+            Notification.countDocuments({ user: userId, inbox: true, readAt: { $exists: false } })
+        ]);
+
+        res.status(200).json({ unreadCount, notifications });
+    } catch (error) {
+        handleError(res, error, 'Notification Retrieval Error');
+    }
+};
+
+// Body { read: false } marks it unread again
+exports.markNotificationRead = async (req, res) => {
+    try {
+        const { notificationId } = req.params;
+        const userId = req.user._id;
+        const read = req.body.read !== undefined ? req.body.read : true;
+
+        if (typeof read !== 'boolean') {
+            return res.status(400).json({ error: 'read must be true or false' });
+        }
+
+        const notification = await Notification.findOneAndUpdate(
+            { _id: notificationId, user: userId, inbox: true },
+            read ? { readAt: new Date() } : { $unset: { readAt: 1 } },
+            { new: true }
+        ).select('-email -deliveries');
+
+        if (!notification) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        res.status(200).json(notification);
+    } catch (error) {
+        handleError(res, error, 'Notification Update Error');
+    }
+};
+
+exports.markAllNotificationsRead = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const result = await Notification.updateMany(
+            { user: userId, inbox: true, readAt: { $exists: false } },
+            { readAt: new Date() }
+        );
+
+        res.status(200).json({ updated: result.modifiedCount });
+    } catch (error) {
+        handleError(res, error, 'Notification Update Error');
+    }
+};
+
+exports.deleteNotification = async (req, res) => {
+    try {
+        const { notificationId } = req.params;
+        const userId = req.user._id;
+
+        const notification = await Notification.findOneAndDelete({ _id: notificationId, user: userId });
+        if (!notification) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        res.status(200).json({ message: 'Notification deleted successfully' });
+    } catch (error) {
+        handleError(res, error, 'Notification Deletion Error');
+    }
+};
+
+exports.getNotificationPreferences = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('notificationPreferences timeZone pushSubscriptions');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.status(200).json({
+            timeZone: user.timeZone,
+            preferences: user.notificationPreferences,
+            pushSubscriptions: user.pushSubscriptions.length
+        });
+    } catch (error) {
+        handleError(res, error, 'Notification Preferences Retrieval Error');
+    }
+};
+
+// Partial update: only the categories, channels and quiet-hour fields sent change
+exports.updateNotificationPreferences = async (req, res) => {
+    try {
+        const validationError = validatePreferences(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const update = {};
+        for (const category of CATEGORIES) {
+            for (const [channel, enabled] of Object.entries(req.body[category] || {})) {
+                update[`notificationPreferences.${category}.${channel}`] = enabled;
+            }
+        }
+        for (const [key, value] of Object.entries(req.body.quietHours || {})) {
+            if (['enabled', 'start', 'end'].includes(key)) update[`notificationPreferences.quietHours.${key}`] = value;
+        }
+
+        if (!Object.keys(update).length) {
+            return res.status(400).json({ error: 'No preferences provided' });
+        }
+
+        const user = await User.findByIdAndUpdate(req.user._id, update, { new: true, runValidators: true })
+            .select('notificationPreferences');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.status(200).json({ preferences: user.notificationPreferences });
+    } catch (error) {
+        handleError(res, error, 'Notification Preferences Update Error');
+    }
+};
+
+exports.getPushPublicKey = (req, res) => {
+    if (!isPushConfigured()) {
+        return res.status(404).json({ error: 'Web push is not configured' });
+    }
+    res.status(200).json({ publicKey: process.env.VAPID_PUBLIC_KEY });
+};
+
+// Body is the browser's PushSubscription JSON; re-subscribing replaces the old keys
+exports.addPushSubscription = async (req, res) => {
+    try {
+        const { endpoint, keys } = req.body;
+
+        if (typeof endpoint !== 'string' || !endpoint.startsWith('https://')) {
+            return res.status(400).json({ error: 'A push subscription endpoint URL is required' });
+        }
+        if (!keys || typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string') {
+            return res.status(400).json({ error: 'Push subscription keys p256dh and auth are required' });
+        }
+
+        const user = await User.findByIdAndUpdate(req.user._id, { $pull: { pushSubscriptions: { endpoint } } });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const updated = await User.findByIdAndUpdate(
+            req.user._id,
+            { $push: { pushSubscriptions: { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } } } },
+            { new: true }
+        ).select('pushSubscriptions');
+
+        res.status(201).json({ pushSubscriptions: updated.pushSubscriptions.length });
+    } catch (error) {
+        handleError(res, error, 'Push Subscription Error');
+    }
+};
+
+exports.removePushSubscription = async (req, res) => {
+    try {
+        const { endpoint } = req.query;
+        if (!endpoint) {
+            return res.status(400).json({ error: 'endpoint is required' });
+        }
+
+        const result = await User.updateOne(
+            { _id: req.user._id },
+            { $pull: { pushSubscriptions: { endpoint } } }
+        );
+
+        if (!result.modifiedCount) {
+            return res.status(404).json({ error: 'Push subscription not found' });
+        }
+
+        res.status(200).json({ message: 'Push subscription removed successfully' });
+    } catch (error) {
+        handleError(res, error, 'Push Subscription Removal Error');
+    }
+};
+
+module.exports = exports;
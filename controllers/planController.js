@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const Tracking = require('../models/trackingModel');
+const { initializeTracking } = require('./trackingController');
+const { resolveUnitSystem, fromCanonicalHeight } = require('../helpers/unitsHelper');
+const { isValidPlateauWindow } = require('../helpers/plateauHelper');
+const { isValidEatBackFraction } = require('../helpers/exerciseHelper');
+const { handleError } = require('../helpers/errorHelper');
+
+// Plan settings a new phase may override; the user comes from the session and
+// everything else is carried over or server-owned
+const PHASE_FIELDS = [
+    'currentWeight', 'goalWeight', 'durationWeeks', 'age', 'height', 'activityLevel', 'sex',
+    'bodyFatPercentage', 'bmrModel', 'goalType', 'macroPreset', 'unitSystem', 'guardrailMode',
+    'exerciseEatBackFraction', 'plateauWindowDays', 'trendHalfLifeDays'
+];
+
+async function findUserPlan(req) {
+    if (!mongoose.isValidObjectId(req.params.trackingId)) return null;
+    return Tracking.findOne({ _id: req.params.trackingId, user: req.user._id });
+}
+
+function planSummary(tracking) {
+    return {
+        trackingId: tracking._id,
+        status: tracking.status,
+        exerciseEatBackFraction: tracking.exerciseEatBackFraction,
+        plateauWindowDays: tracking.plateauWindowDays,
+        pauses: tracking.pauses,
+        endedAt: tracking.endedAt,
+        outcome: tracking.outcome
+    };
+}
+
+// Start a new phase, carrying over profile details from the current plan.
+// initializeTracking archives the plan that was running before.
+exports.startPhase = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { currentWeight } = req.body;
+
+        const previousPlan = await Tracking.findCurrent(userId);
+        if (!previousPlan) {
+            return res.status(404).json({ error: 'No current plan to continue from' });
+        }
+
+        if (currentWeight === undefined || currentWeight === null) {
+            return res.status(400).json({ error: 'Current weight is required to start a new phase' });
+        }
+
+        // Stored height is canonical; express it in the units of this request
+        const unitSystem = resolveUnitSystem(req.body.unitSystem, req.user.unitSystem);
+
+        const overrides = {};
+        for (const field of PHASE_FIELDS) {
+            if (req.body[field] !== undefined) overrides[field] = req.body[field];
+        }
+
+        req.body = {
+            age: previousPlan.age,
+            height: fromCanonicalHeight(previousPlan.height, unitSystem),
+            activityLevel: previousPlan.activityLevel,
+            sex: previousPlan.sex,
+            bodyFatPercentage: previousPlan.bodyFatPercentage,
+            macroPreset: previousPlan.macroPreset,
+            exerciseEatBackFraction: previousPlan.exerciseEatBackFraction,
+            plateauWindowDays: previousPlan.plateauWindowDays,
+            trendHalfLifeDays: previousPlan.trendHalfLifeDays,
+            ...overrides,
+            userId
+        };
+
+        return initializeTracking(req, res);
+    } catch (error) {
+        handleError(res, error, 'Phase Start Error');
+    }
+};
+
+exports.pausePlan = async (req, res) => {
+    try {
+        const tracking = await findUserPlan(req);
+        if (!tracking) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        if (tracking.status !== 'active') {
+            return res.status(409).json({ error: `Only active plans can be paused. This plan is ${tracking.status}` });
+        }
+
+        tracking.status = 'paused';
+        tracking.pauses.push({ startedAt: new Date(), reason: req.body.reason });
+        await tracking.save();
+
+        res.status(200).json(planSummary(tracking));
+    } catch (error) {
+        handleError(res, error, 'Plan Pause Error');
+    }
+};
+
+exports.resumePlan = async (req, res) => {
+    try {
+        const tracking = await findUserPlan(req);
+        if (!tracking) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        if (tracking.status !== 'paused') {
+            return res.status(409).json({ error: `Only paused plans can be resumed. This plan is ${tracking.status}` });
+        }
+
+        const otherActivePlan = await Tracking.findOne({
+            user: tracking.user,
+            _id: { $ne: tracking._id },
+            status: 'active'
+        });
+        if (otherActivePlan) {
+            return res.status(409).json({ error: 'Another plan is already active' });
+        }
+
+        const openPause = tracking.pauses.find(pause => !pause.endedAt);
+        if (openPause) openPause.endedAt = new Date();
+        tracking.status = 'active';
+        await tracking.save();
+
+        res.status(200).json(planSummary(tracking));
+    } catch (error) {
+        // Another plan was started or resumed at the same time
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'Another plan is already active' });
+        }
+        handleError(res, error, 'Plan Resume Error');
+    }
+};
+
+exports.completePlan = async (req, res) => {
+    try {
+        const tracking = await findUserPlan(req);
+        if (!tracking) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        if (!['active', 'paused'].includes(tracking.status)) {
+            return res.status(409).json({ error: `Plan is already ${tracking.status}` });
+        }
+
+        // Maintenance plans have no goal weight to reach and can be completed at any time
+        if (tracking.goalType !== 'maintain' && !tracking.isGoalReached) {
+            return res.status(400).json({ error: 'Goal weight has not been reached yet' });
+        }
+
+        tracking.close('completed');
+        await tracking.save();
+
+        res.status(200).json(planSummary(tracking));
+    } catch (error) {
+        handleError(res, error, 'Plan Completion Error');
+    }
+};
+
+exports.archivePlan = async (req, res) => {
+    try {
+        const tracking = await findUserPlan(req);
+        if (!tracking) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        if (tracking.status === 'archived') {
+            return res.status(409).json({ error: 'Plan is already archived' });
+        }
+
+        // Completed plans keep their outcome; open plans record it now
+        if (tracking.status === 'completed') {
+            tracking.status = 'archived';
+        } else {
+            tracking.close('archived');
+        }
+        await tracking.save();
+
+        res.status(200).json(planSummary(tracking));
+    } catch (error) {
+        handleError(res, error, 'Plan Archive Error');
+    }
+};
+
+// Settings that can change without a new weigh-in
+exports.updatePlanSettings = async (req, res) => {
+    try {
+        const { exerciseEatBackFraction, plateauWindowDays } = req.body;
+
+        if (exerciseEatBackFraction !== undefined && !isValidEatBackFraction(exerciseEatBackFraction)) {
+            return res.status(400).json({ error: 'Exercise eat-back fraction must be between 0 and 1' });
+        }
+
+        if (plateauWindowDays !== undefined && !isValidPlateauWindow(plateauWindowDays)) {
+            return res.status(400).json({ error: 'Plateau window must be a whole number of days between 7 and 56' });
+        }
+
+        const tracking = await findUserPlan(req);
+        if (!tracking) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        if (!['active', 'paused'].includes(tracking.status)) {
+            return res.status(409).json({ error: `Settings cannot be changed on a ${tracking.status} plan` });
+        }
+
+        if (exerciseEatBackFraction !== undefined) tracking.exerciseEatBackFraction = exerciseEatBackFraction;
+        if (plateauWindowDays !== undefined) tracking.plateauWindowDays = plateauWindowDays;
+        await tracking.save();
+
+        res.status(200).json(planSummary(tracking));
+    } catch (error) {
+        handleError(res, error, 'Plan Settings Update Error');
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,154 @@
+const cloudinary = require('../config/cloudinary');
+const ProgressPhoto = require('../models/progressPhotoModel');
+const Tracking = require('../models/trackingModel');
+const User = require('../models/userModel');
+const { findNearest, parseDateRange } = require('../helpers/dateHelper');
+const { handleError } = require('../helpers/errorHelper');
+
+const POSES = ['front', 'side', 'back'];
+
+// How far from a requested date a photo may be and still be compared
+const COMPARE_TOLERANCE_DAYS = 14;
+
+const uploadOptions = {
+    folder: 'progress',
+    allowed_formats: ['jpg', 'png', 'jpeg'],
+    transformation: { width: 1080, crop: 'limit' }
+};
+
+exports.uploadPhoto = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { image, pose, takenAt, notes } = req.body;
+
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!POSES.includes(pose)) {
+            return res.status(400).json({ error: `Pose must be one of: ${POSES.join(', ')}` });
+        }
+
+        if (!image || typeof image !== 'string' || !image.startsWith('data:image/')) {
+            return res.status(400).json({ error: 'Image must be a base64 data URL' });
+        }
+
+        if (takenAt !== undefined && isNaN(new Date(takenAt).getTime())) {
+            return res.status(400).json({ error: 'Invalid takenAt timestamp' });
+        }
+
+        let result;
+        try {
+            result = await cloudinary.uploader.upload(image, uploadOptions);
+        } catch (cloudinaryError) {
+            return res.status(400).json({
+                error: 'Failed to upload image to cloud storage',
+                details: cloudinaryError.message
+            });
+        }
+
+        const tracking = await Tracking.findCurrent(userId).select('_id');
+
+        const photo = await ProgressPhoto.create({
+            user: user._id,
+            tracking: tracking ? tracking._id : undefined,
+            pose,
+            url: result.secure_url,
+            publicId: result.public_id,
+            notes,
+            takenAt
+        });
+
+        res.status(201).json(photo);
+    } catch (error) {
+        handleError(res, error, 'Photo Upload Error');
+    }
+};
+
+exports.getPhotos = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { pose, from, to } = req.query;
+
+        if (pose !== undefined && !POSES.includes(pose)) {
+            return res.status(400).json({ error: `Pose must be one of: ${POSES.join(', ')}` });
+        }
+
+        const filter = { user: userId };
+        if (pose) filter.pose = pose;
+        if (from || to) {
+            const range = parseDateRange(from, to);
+            if (!range) {
+                return res.status(400).json({ error: 'Invalid from or to date' });
+            }
+            filter.takenAt = range;
+        }
+
+        const photos = await ProgressPhoto.find(filter).sort({ takenAt: -1 });
+
+        res.status(200).json(photos);
+    } catch (error) {
+        handleError(res, error, 'Photo Retrieval Error');
+    }
+};
+
+// Side-by-side pairs: for each pose, the photo closest to each of the two dates
+exports.comparePhotos = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const fromDate = new Date(req.query.from);
+        const toDate = new Date(req.query.to);
+        if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+            return res.status(400).json({ error: 'Both from and to dates are required' });
+        }
+
+        const poses = req.query.pose ? [req.query.pose] : POSES;
+        if (!poses.every(pose => POSES.includes(pose))) {
+            return res.status(400).json({ error: `Pose must be one of: ${POSES.join(', ')}` });
+        }
+
+        const photos = await ProgressPhoto.find({ user: userId, pose: { $in: poses } }).sort({ takenAt: 1 });
+
+        const comparisons = poses.map(pose => {
+            const posePhotos = photos.filter(photo => photo.pose === pose);
+            const before = findNearest(posePhotos, fromDate, photo => photo.takenAt, COMPARE_TOLERANCE_DAYS);
+            const after = findNearest(posePhotos, toDate, photo => photo.takenAt, COMPARE_TOLERANCE_DAYS);
+
+            return {
+                pose,
+                before,
+                after,
+                daysApart: before && after
+                    ? Math.round((after.takenAt - before.takenAt) / (24 * 60 * 60 * 1000))
+                    : null
+            };
+        });
+
+        res.status(200).json({ from: fromDate, to: toDate, comparisons });
+    } catch (error) {
+        handleError(res, error, 'Photo Comparison Error');
+    }
+};
+
+exports.deletePhoto = async (req, res) => {
+    try {
+        const { photoId } = req.params;
+        const userId = req.user._id;
+
+        const photo = await ProgressPhoto.findOne({ _id: photoId, user: userId });
+        if (!photo) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+
+        await cloudinary.uploader.destroy(photo.publicId);
+        await photo.deleteOne();
+
+        res.status(200).json({ message: 'Photo deleted successfully' });
+    } catch (error) {
+        handleError(res, error, 'Photo Deletion Error');
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,166 @@
+const RecommendationRule = require('../models/recommendationRuleModel');
+const { METRICS, OPERATORS, RULE_CATEGORIES, validateConditions } = require('../helpers/recommendationHelper');
+const { GOAL_TYPES } = require('../helpers/energyHelper');
+const { handleError } = require('../helpers/errorHelper');
+
+function validateRule(body, isUpdate = false) {
+    const { name, category, message, goalTypes, priority, enabled } = body;
+
+    if (!isUpdate || name !== undefined) {
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return 'Rule name is required';
+        }
+    }
+
+    if (!isUpdate || category !== undefined) {
+        if (!RULE_CATEGORIES.includes(category)) {
+            return `Category must be one of: ${RULE_CATEGORIES.join(', ')}`;
+        }
+    }
+
+    if (!isUpdate || message !== undefined) {
+        if (!message || typeof message !== 'string' || !message.trim()) {
+            return 'Rule message is required';
+        }
+    }
+
+    if (!isUpdate || body.conditions !== undefined) {
+        const conditionError = validateConditions(body.conditions);
+        if (conditionError) return conditionError;
+    }
+
+    if (goalTypes !== undefined && (!Array.isArray(goalTypes) || goalTypes.some(type => !GOAL_TYPES.includes(type)))) {
+        return `Goal types must be a list of: ${GOAL_TYPES.join(', ')}`;
+    }
+
+    if (priority !== undefined && typeof priority !== 'number') {
+        return 'Priority must be a number';
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return 'enabled must be true or false';
+    }
+
+    return null;
+}
+
+function pickRuleFields(body) {
+    const fields = {};
+    for (const key of ['name', 'description', 'enabled', 'priority', 'goalTypes', 'category', 'message', 'focusArea']) {
+        if (body[key] !== undefined) fields[key] = body[key];
+    }
+    if (body.conditions !== undefined) {
+        fields.conditions = body.conditions.map(({ metric, operator, value }) => ({ metric, operator, value }));
+    }
+    return fields;
+}
+
+// What rule conditions can refer to, for building the admin rule editor
+exports.getRuleMetrics = (req, res) => {
+    res.status(200).json({
+        metrics: METRICS,
+        operators: Object.keys(OPERATORS),
+        categories: RULE_CATEGORIES,
+        goalTypes: GOAL_TYPES
+    });
+};
+
+exports.getRules = async (req, res) => {
+    try {
+        const { category, includeDisabled } = req.query;
+
+        const filter = {};
+        if (includeDisabled !== 'true') filter.enabled = true;
+        if (category) filter.category = category;
+
+        const rules = await RecommendationRule.find(filter).sort({ priority: -1, name: 1 });
+
+        res.status(200).json(rules);
+    } catch (error) {
+        handleError(res, error, 'Recommendation Rule Retrieval Error');
+    }
+};
+
+exports.getRule = async (req, res) => {
+    try {
+        const rule = await RecommendationRule.findById(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({ error: 'Recommendation rule not found' });
+        }
+
+        res.status(200).json(rule);
+    } catch (error) {
+        handleError(res, error, 'Recommendation Rule Retrieval Error');
+    }
+};
+
+exports.createRule = async (req, res) => {
+    try {
+        const validationError = validateRule(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const existingRule = await RecommendationRule.findOne({ name: req.body.name.trim() });
+        if (existingRule) {
+            return res.status(409).json({ error: 'A rule with this name already exists' });
+        }
+
+        const rule = await RecommendationRule.create({ ...pickRuleFields(req.body), updatedBy: req.user._id });
+
+        res.status(201).json(rule);
+    } catch (error) {
+        handleError(res, error, 'Recommendation Rule Creation Error');
+    }
+};
+
+exports.updateRule = async (req, res) => {
+    try {
+        const validationError = validateRule(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        if (req.body.name !== undefined) {
+            const existingRule = await RecommendationRule.findOne({ name: req.body.name.trim(), _id: { $ne: req.params.id } });
+            if (existingRule) {
+                return res.status(409).json({ error: 'A rule with this name already exists' });
+            }
+        }
+
+        const rule = await RecommendationRule.findByIdAndUpdate(
+            req.params.id,
+            { ...pickRuleFields(req.body), updatedBy: req.user._id },
+            { new: true, runValidators: true }
+        );
+
+        if (!rule) {
+            return res.status(404).json({ error: 'Recommendation rule not found' });
+        }
+
+        res.status(200).json(rule);
+    } catch (error) {
+        // Lost a race with another rename to the same name
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'A rule with this name already exists' });
+        }
+        handleError(res, error, 'Recommendation Rule Update Error');
+    }
+};
+
+exports.deleteRule = async (req, res) => {
+    try {
+        const rule = await RecommendationRule.findByIdAndDelete(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({ error: 'Recommendation rule not found' });
+        }
+
+        res.status(200).json({ message: 'Recommendation rule deleted successfully' });
+    } catch (error) {
+        handleError(res, error, 'Recommendation Rule Deletion Error');
+    }
+};
+
+module.exports = exports;
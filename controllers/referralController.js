@@ -0,0 +1,134 @@
+const User = require('../models/userModel');
+const Tracking = require('../models/trackingModel');
+const ReferralTier = require('../models/referralTierModel');
+const { notify } = require('../helpers/notificationHelper');
+const { getConversionStatus, getShareUrl } = require('../helpers/referralHelper');
+const { handleError } = require('../helpers/errorHelper');
+
+// Grants every enabled tier the referrer has reached and not been granted yet.
+// The $ne guard keeps each tier to a single award under concurrent conversions.
+async function applyReferralRewards(referrer) {
+    const conversions = await User.countDocuments({
+        _id: { $in: referrer.referrals },
+        referralConvertedAt: { $exists: true }
+    });
+
+    const tiers = await ReferralTier.find({ enabled: true, conversions: { $lte: conversions } }).sort({ conversions: 1 });
+    const granted = [];
+
+    for (const tier of tiers) {
+        const update = { $push: { referralRewards: { tier: tier.name, conversions, awardedAt: new Date() } } };
+        if (tier.grantsAuthorization) update.isAuthorized = true;
+
+        const result = await User.updateOne({ _id: referrer._id, 'referralRewards.tier': { $ne: tier.name } }, update);
+        if (result.modifiedCount) granted.push(tier);
+    }
+
+    return granted;
+}
+
+// Counts a referred user towards their referrer once they are verified and have
+// started a plan. Safe to call at any step; only the first qualifying call
+// converts. Failures are logged, not thrown.
+exports.recordReferralConversion = async (userId) => {
+    try {
+        const user = await User.findById(userId).select('username emailVerified referralConvertedAt');
+        if (!user || !user.emailVerified || user.referralConvertedAt) return;
+
+        // The referrer is found by the referrals list since codes change with usernames
+        const referrer = await User.findOne({ referrals: user._id }).select('referrals');
+        if (!referrer) return;
+
+        const active = await Tracking.exists({ user: user._id });
+        if (!active) return;
+
+        const result = await User.updateOne(
+            { _id: user._id, referralConvertedAt: { $exists: false } },
+            { referralConvertedAt: new Date() }
+        );
+        if (!result.modifiedCount) return;
+
+        const granted = await applyReferralRewards(referrer);
+
+        await notify(referrer._id, {
+            category: 'social',
+            title: 'Referral confirmed',
+            body: `${user.username} is up and running, so their referral now counts towards your rewards.`
+        });
+        for (const tier of granted) {
+            await notify(referrer._id, {
+                category: 'social',
+                title: `You reached ${tier.name}`,
+                body: tier.description || `Thanks for referring ${tier.conversions} friends to SlimPath.`
+            });
+        }
+    } catch (error) {
+        console.error('Referral conversion failed:', error.message);
+    }
+};
+
+// Referred users and where each stands, plus progress through the reward tiers
+exports.getReferralDashboard = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('referralCode referrals referralRewards');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const [referredUsers, tiers] = await Promise.all([
+            User.find({ _id: { $in: user.referrals } })
+                .select('username createdAt emailVerified referralConvertedAt')
+                .sort({ createdAt: -1 }),
+            ReferralTier.find({ enabled: true }).sort({ conversions: 1 })
+        ]);
+
+        const referrals = referredUsers.map(referred => ({
+            username: referred.username,
+            signedUpAt: referred.createdAt,
+            status: getConversionStatus(referred),
+            convertedAt: referred.referralConvertedAt
+        }));
+        const conversions = referrals.filter(referral => referral.status === 'converted').length;
+        const nextTier = tiers.find(tier => tier.conversions > conversions);
+
+        res.status(200).json({
+            referralCode: user.referralCode,
+            shareUrl: getShareUrl(user.referralCode),
+            totalReferrals: referrals.length,
+            conversions,
+            referrals,
+            tiers: tiers.map(tier => {
+                const reward = user.referralRewards.find(awarded => awarded.tier === tier.name);
+                return {
+                    name: tier.name,
+                    description: tier.description,
+                    conversions: tier.conversions,
+                    grantsAuthorization: tier.grantsAuthorization,
+                    awardedAt: reward ? reward.awardedAt : null
+                };
+            }),
+            nextTier: nextTier
+                ? { name: nextTier.name, remaining: nextTier.conversions - conversions }
+                : null
+        });
+    } catch (error) {
+        handleError(res, error, 'Referral Dashboard Error');
+    }
+};
+
+// Lets the signup form check a code before the account exists. Self-referral
+// is caught at registration, so this does not take an email.
+exports.validateReferralCode = async (req, res) => {
+    try {
+        const referrer = await User.findOne({ referralCode: req.params.code }).select('username');
+        if (!referrer) {
+            return res.status(404).json({ valid: false, error: 'Referral code not found' });
+        }
+
+        res.status(200).json({ valid: true, referrer: referrer.username });
+    } catch (error) {
+        handleError(res, error, 'Referral Code Validation Error');
+    }
+};
+
+module.exports = exports;
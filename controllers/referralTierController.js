@@ -0,0 +1,111 @@
+const ReferralTier = require('../models/referralTierModel');
+const { handleError } = require('../helpers/errorHelper');
+
+function validateTier(body, isUpdate = false) {
+    const { name, conversions, grantsAuthorization, enabled } = body;
+
+    if (!isUpdate || name !== undefined) {
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return 'Tier name is required';
+        }
+    }
+
+    if (!isUpdate || conversions !== undefined) {
+        if (!Number.isInteger(conversions) || conversions < 1) {
+            return 'Conversions must be a whole number of at least 1';
+        }
+    }
+
+    if (grantsAuthorization !== undefined && typeof grantsAuthorization !== 'boolean') {
+        return 'grantsAuthorization must be true or false';
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return 'enabled must be true or false';
+    }
+
+    return null;
+}
+
+function pickTierFields(body) {
+    const fields = {};
+    for (const key of ['name', 'description', 'conversions', 'grantsAuthorization', 'enabled']) {
+        if (body[key] !== undefined) fields[key] = body[key];
+    }
+    return fields;
+}
+
+exports.getTiers = async (req, res) => {
+    try {
+        const tiers = await ReferralTier.find().sort({ conversions: 1 });
+
+        res.status(200).json(tiers);
+    } catch (error) {
+        handleError(res, error, 'Referral Tier Retrieval Error');
+    }
+};
+
+exports.createTier = async (req, res) => {
+    try {
+        const validationError = validateTier(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const existingTier = await ReferralTier.findOne({
+            $or: [{ name: req.body.name.trim() }, { conversions: req.body.conversions }]
+        });
+        if (existingTier) {
+            return res.status(409).json({ error: 'A tier with this name or conversion count already exists' });
+        }
+
+        const tier = await ReferralTier.create(pickTierFields(req.body));
+
+        res.status(201).json(tier);
+    } catch (error) {
+        handleError(res, error, 'Referral Tier Creation Error');
+    }
+};
+
+// Tiers already granted stay granted; changes apply to the next conversions
+exports.updateTier = async (req, res) => {
+    try {
+        const validationError = validateTier(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const tier = await ReferralTier.findByIdAndUpdate(
+            req.params.id,
+            pickTierFields(req.body),
+            { new: true, runValidators: true }
+        );
+
+        if (!tier) {
+            return res.status(404).json({ error: 'Referral tier not found' });
+        }
+
+        res.status(200).json(tier);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'A tier with this name or conversion count already exists' });
+        }
+        handleError(res, error, 'Referral Tier Update Error');
+    }
+};
+
+exports.deleteTier = async (req, res) => {
+    try {
+        const tier = await ReferralTier.findByIdAndDelete(req.params.id);
+
+        if (!tier) {
+            return res.status(404).json({ error: 'Referral tier not found' });
+        }
+
+        res.status(200).json({ message: 'Referral tier deleted successfully' });
+    } catch (error) {
+        handleError(res, error, 'Referral Tier Deletion Error');
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,200 @@
+const Reminder = require('../models/reminderModel');
+const Tracking = require('../models/trackingModel');
+const User = require('../models/userModel');
+const WeighIn = require('../models/weighInModel');
+const { scheduleJob, cancelJob } = require('../helpers/jobScheduler');
+const { notify } = require('../helpers/notificationHelper');
+const { MS_PER_DAY, isValidLocalTime, nextLocalTime } = require('../helpers/dateHelper');
+const { handleError } = require('../helpers/errorHelper');
+
+const REMINDER_TYPES = ['weighIn', 'mealLogging', 'planCheckIn'];
+
+// A weigh-in this recent already covers today's reminder
+const RECENT_WEIGH_IN_HOURS = 12;
+
+const getJobKey = (reminder) => `reminder:${reminder._id}`;
+
+function validateReminder(body) {
+    const { time, daysOfWeek, enabled } = body;
+
+    if (!isValidLocalTime(time)) {
+        return 'Time must be a 24-hour HH:MM string';
+    }
+
+    if (daysOfWeek !== undefined) {
+        if (!Array.isArray(daysOfWeek) || !daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+            return 'daysOfWeek must be a list of weekdays from 0 (Sunday) to 6 (Saturday)';
+        }
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return 'enabled must be true or false';
+    }
+
+    return null;
+}
+
+// Points the reminder's job at its next local time, or removes it when disabled.
+// The caller saves the reminder.
+async function scheduleReminder(reminder, timeZone) {
+    if (!reminder.enabled) {
+        await cancelJob(getJobKey(reminder));
+        reminder.nextRunAt = undefined;
+        return;
+    }
+
+    reminder.nextRunAt = nextLocalTime(reminder.time, timeZone, reminder.daysOfWeek);
+    await scheduleJob('reminder', {
+        key: getJobKey(reminder),
+        user: reminder.user,
+        runAt: reminder.nextRunAt,
+        data: { reminderId: reminder._id }
+    });
+}
+
+// After a time zone change every reminder moves to the new local times
+exports.rescheduleUserReminders = async (userId, timeZone) => {
+    const reminders = await Reminder.find({ user: userId, enabled: true });
+    for (const reminder of reminders) {
+        await scheduleReminder(reminder, timeZone);
+        await reminder.save();
+    }
+};
+
+// Title and body for a reminder, or null when there is nothing to remind about
+async function composeReminder(reminder, user, now) {
+    const tracking = reminder.type === 'mealLogging' ? null : await Tracking.findCurrent(user._id).select('status createdAt durationWeeks');
+
+    switch (reminder.type) {
+        case 'weighIn': {
+            if (!tracking || tracking.status !== 'active') return null;
+            const recent = await WeighIn.exists({
+                user: user._id,
+                measuredAt: { $gte: new Date(now.getTime() - RECENT_WEIGH_IN_HOURS * 60 * 60 * 1000) }
+            });
+            if (recent) return null;
+            return {
+                title: 'Time to weigh in',
+                link: '/dashboard',
+                body: `Hi ${user.username}, step on the scale and log today's weight to keep your trend accurate.`
+            };
+        }
+        case 'mealLogging':
+            return {
+                title: 'Log your meals',
+                link: '/dashboard',
+                body: `Hi ${user.username}, take a minute to log what you ate today.`
+            };
+        case 'planCheckIn': {
+            if (!tracking || tracking.status !== 'active') return null;
+            const week = Math.floor((now - tracking.createdAt) / (7 * MS_PER_DAY)) + 1;
+            return {
+                title: 'Plan check-in',
+                link: '/dashboard',
+                body: `Hi ${user.username}, you are in week ${Math.min(week, tracking.durationWeeks)} of ${tracking.durationWeeks}. Check your progress and this week's targets.`
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+// Job handler: sends the reminder and returns its next run
+exports.runReminderJob = async (job) => {
+    const reminder = await Reminder.findById(job.data.reminderId);
+    if (!reminder || !reminder.enabled) return null;
+
+    const user = await User.findById(reminder.user).select('username email timeZone');
+    if (!user) return null;
+
+    const now = new Date();
+    const message = await composeReminder(reminder, user, now);
+    if (message) {
+        await notify(user._id, { category: 'reminders', ...message });
+        reminder.lastSentAt = now;
+    }
+
+    reminder.nextRunAt = nextLocalTime(reminder.time, user.timeZone, reminder.daysOfWeek, now);
+    await reminder.save();
+    return reminder.nextRunAt;
+};
+
+// Once retries run out, skip to the next slot instead of dropping the schedule
+exports.getNextReminderRun = async (job) => {
+    const reminder = await Reminder.findById(job.data.reminderId);
+    if (!reminder || !reminder.enabled) return null;
+
+    const user = await User.findById(reminder.user).select('timeZone');
+    return user ? nextLocalTime(reminder.time, user.timeZone, reminder.daysOfWeek) : null;
+};
+
+exports.getReminders = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const user = await User.findById(userId).select('timeZone');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const reminders = await Reminder.find({ user: userId }).sort({ time: 1 });
+
+        res.status(200).json({ timeZone: user.timeZone, reminders });
+    } catch (error) {
+        handleError(res, error, 'Reminder Retrieval Error');
+    }
+};
+
+// Creates or replaces the user's reminder of this type
+exports.setReminder = async (req, res) => {
+    try {
+        const { type } = req.params;
+        const userId = req.user._id;
+
+        if (!REMINDER_TYPES.includes(type)) {
+            return res.status(400).json({ error: `Invalid reminder type. Must be one of: ${REMINDER_TYPES.join(', ')}` });
+        }
+
+        const validationError = validateReminder(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const user = await User.findById(userId).select('timeZone');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const reminder = await Reminder.findOne({ user: userId, type }) || new Reminder({ user: userId, type });
+        reminder.time = req.body.time;
+        reminder.daysOfWeek = [...new Set(req.body.daysOfWeek || [])].sort();
+        reminder.enabled = req.body.enabled !== undefined ? req.body.enabled : true;
+
+        await scheduleReminder(reminder, user.timeZone);
+        await reminder.save();
+
+        res.status(200).json({ timeZone: user.timeZone, reminder });
+    } catch (error) {
+        handleError(res, error, 'Reminder Update Error');
+    }
+};
+
+exports.deleteReminder = async (req, res) => {
+    try {
+        const { type } = req.params;
+        const userId = req.user._id;
+
+        const reminder = await Reminder.findOneAndDelete({ user: userId, type });
+        if (!reminder) {
+            return res.status(404).json({ error: 'Reminder not found' });
+        }
+
+        await cancelJob(getJobKey(reminder));
+
+        res.status(200).json({ message: 'Reminder deleted successfully' });
+    } catch (error) {
+        handleError(res, error, 'Reminder Deletion Error');
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const SleepLog = require('../models/sleepLogModel');
+const Tracking = require('../models/trackingModel');
+const { getDayRange, toDayKey } = require('../helpers/dateHelper');
+const { handleError } = require('../helpers/errorHelper');
+
+function validateSleepEntry(body, isUpdate = false) {
+    const { bedtime, durationHours, quality } = body;
+
+    if (!isUpdate || bedtime !== undefined) {
+        if (!bedtime || isNaN(new Date(bedtime).getTime())) {
+            return 'A valid bedtime is required';
+        }
+    }
+
+    if (!isUpdate || durationHours !== undefined) {
+        if (typeof durationHours !== 'number' || durationHours < 0 || durationHours > 24) {
+            return 'Sleep duration must be between 0 and 24 hours';
+        }
+    }
+
+    if (quality !== undefined && (!Number.isInteger(quality) || quality < 1 || quality > 5)) {
+        return 'Quality must be a whole number between 1 and 5';
+    }
+
+    return null;
+}
+
+function getWakeDate(bedtime, durationHours) {
+    return toDayKey(new Date(bedtime).getTime() + durationHours * 60 * 60 * 1000);
+}
+
+exports.createSleepEntry = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { bedtime, durationHours, quality, notes } = req.body;
+
+        const validationError = validateSleepEntry(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const wakeDate = getWakeDate(bedtime, durationHours);
+        const existing = await SleepLog.findOne({ user: userId, wakeDate });
+        if (existing) {
+            return res.status(409).json({ error: `Sleep for the night ending ${wakeDate} is already logged` });
+        }
+
+        const tracking = await Tracking.findCurrent(userId).select('_id');
+
+        const entry = await SleepLog.create({
+            user: userId,
+            tracking: tracking ? tracking._id : undefined,
+            bedtime,
+            durationHours,
+            quality,
+            wakeDate,
+            notes
+        });
+
+        res.status(201).json(entry);
+    } catch (error) {
+        handleError(res, error, 'Sleep Entry Creation Error');
+    }
+};
+
+exports.getSleepEntries = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { from, to } = req.query;
+
+        // from / to are YYYY-MM-DD wake dates
+        if ((from && !getDayRange(from)) || (to && !getDayRange(to))) {
+            return res.status(400).json({ error: 'Invalid from or to date. Expected YYYY-MM-DD' });
+        }
+
+        const filter = { user: userId };
+        if (from || to) {
+            filter.wakeDate = {};
+            if (from) filter.wakeDate.$gte = from;
+            if (to) filter.wakeDate.$lte = to;
+        }
+
+        const entries = await SleepLog.find(filter).sort({ wakeDate: -1 });
+
+        res.status(200).json(entries);
+    } catch (error) {
+        handleError(res, error, 'Sleep Entries Retrieval Error');
+    }
+};
+
+exports.updateSleepEntry = async (req, res) => {
+    try {
+        const { entryId } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.isValidObjectId(entryId)) {
+            return res.status(404).json({ error: 'Sleep entry not found' });
+        }
+
+        const validationError = validateSleepEntry(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const entry = await SleepLog.findOne({ _id: entryId, user: userId });
+        if (!entry) {
+            return res.status(404).json({ error: 'Sleep entry not found' });
+        }
+
+        for (const key of ['bedtime', 'durationHours', 'quality', 'notes']) {
+            if (req.body[key] !== undefined) entry[key] = req.body[key];
+        }
+
+        const wakeDate = getWakeDate(entry.bedtime, entry.durationHours);
+        if (wakeDate !== entry.wakeDate) {
+            const clash = await SleepLog.findOne({ user: userId, wakeDate, _id: { $ne: entry._id } });
+            if (clash) {
+                return res.status(409).json({ error: `Sleep for the night ending ${wakeDate} is already logged` });
+            }
+            entry.wakeDate = wakeDate;
+        }
+
+        await entry.save();
+
+        res.status(200).json(entry);
+    } catch (error) {
+        handleError(res, error, 'Sleep Entry Update Error');
+    }
+};
+
+exports.deleteSleepEntry = async (req, res) => {
+    try {
+        const { entryId } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.isValidObjectId(entryId)) {
+            return res.status(404).json({ error: 'Sleep entry not found' });
+        }
+
+        const entry = await SleepLog.findOneAndDelete({ _id: entryId, user: userId });
+
+        if (!entry) {
+            return res.status(404).json({ error: 'Sleep entry not found' });
+        }
+
+        res.status(200).json({ message: 'Sleep entry deleted successfully' });
+    } catch (error) {
+        handleError(res, error, 'Sleep Entry Deletion Error');
+    }
+};
+
+module.exports = exports;
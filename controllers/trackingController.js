@@ -1,19 +1,55 @@
 const Tracking = require('../models/trackingModel');
 const User = require('../models/userModel');
+const WeighIn = require('../models/weighInModel');
+const FoodLog = require('../models/foodLogModel');
+const MealCatalog = require('../models/mealCatalogModel');
+const SleepLog = require('../models/sleepLogModel');
+const RecommendationRule = require('../models/recommendationRuleModel');
+const BodyMeasurement = require('../models/bodyMeasurementModel');
 const { performance } = require('perf_hooks');
-
-function convertUnits(value, type) {
-    switch (type) {
-        case 'weight':
-            // If value is less than 100, assume kilograms and convert to pounds
-            return value < 100 ? value * 2.20462 : value;
-        case 'height':
-            // If value is less than 10, assume meters and convert to feet
-            return value < 10 ? value * 3.28084 : value;
-        default:
-            return value;
-    }
-}
+const {
+    isValidUnitSystem,
+    resolveUnitSystem,
+    toCanonicalWeight,
+    toCanonicalHeight,
+    fromCanonicalWeight,
+    fromCanonicalHeight,
+    weightLabel,
+    heightLabel
+} = require('../helpers/unitsHelper');
+const {
+    SEXES,
+    BMR_MODELS,
+    GOAL_TYPES,
+    ACTIVITY_MULTIPLIERS,
+    KCAL_PER_KG,
+    resolveGoalType,
+    resolveBmrModel,
+    MAX_BODY_FAT_PERCENTAGE,
+    isValidBodyFatPercentage,
+    calculateBMR,
+    estimateObservedTDEE,
+    blendTDEE
+} = require('../helpers/energyHelper');
+const { evaluatePlanSafety } = require('../helpers/safetyHelper');
+const { MACRO_PRESETS, calculateMacroTargets, distributeMacros } = require('../helpers/macroHelper');
+const { getRotationKey, pickMealsForSlot } = require('../helpers/mealRecommendationHelper');
+const {
+    PLATEAU_DEFAULTS,
+    isValidPlateauWindow,
+    detectPlateau,
+    getPlateauSuggestions,
+    updatePlateauHistory
+} = require('../helpers/plateauHelper');
+const { forecastGoal, projectWeight } = require('../helpers/forecastHelper');
+const { TREND_HALF_LIFE_DAYS, isValidHalfLife, calculateTrendWeights } = require('../helpers/trendHelper');
+const { isValidEatBackFraction } = require('../helpers/exerciseHelper');
+const { analyseSleep } = require('../helpers/sleepHelper');
+const { toDayKey } = require('../helpers/dateHelper');
+const { evaluateRules, calculateBestDays } = require('../helpers/recommendationHelper');
+const { evaluateAchievements } = require('./achievementController');
+const { recordReferralConversion } = require('./referralController');
+const { handleError } = require('../helpers/errorHelper');
 
 exports.getIntelligentAnalysis = (params) => {
     const {
@@ -22,90 +58,146 @@ exports.getIntelligentAnalysis = (params) => {
         durationWeeks,
         age,
         height,
-        activityLevel
+        activityLevel,
+        sex,
+        bodyFatPercentage,
+        unitSystem = 'metric'
     } = params;
 
-    const convertedCurrentWeight = convertUnits(currentWeight, 'weight');
-    const convertedGoalWeight = convertUnits(goalWeight, 'weight');
-    const convertedHeight = convertUnits(height, 'height');
-
-    validateAnalysisParams({
-        ...params,
-        currentWeight: convertedCurrentWeight,
-        goalWeight: convertedGoalWeight,
-        height: convertedHeight
-    });
-
-    const activityMultipliers = {
-        sedentary: 1.2,
-        lightlyActive: 1.375,
-        moderatelyActive: 1.55,
-        veryActive: 1.725,
-        extraActive: 1.9
-    };
+    // Weight and height arrive in canonical units (kg / cm)
+    const validationError = validateAnalysisParams(params);
+    if (validationError) {
+        throw new Error(validationError);
+    }
 
-    const heightInInches = Math.round(convertedHeight * 12);
+    const model = resolveBmrModel(params.bmrModel, bodyFatPercentage);
+    const bmr = calculateBMR({ model, sex, weight: currentWeight, height, age, bodyFatPercentage });
 
-    // BMR calculation using Mifflin-St Jeor Equation for Imperial units
-    const weightInKg = convertedCurrentWeight * 0.453592;
-    const heightInCm = heightInInches * 2.54;
+    const activityMultiplier = ACTIVITY_MULTIPLIERS[activityLevel];
+    const formulaTDEE = bmr * activityMultiplier;
 
-    // Using a neutral gender factor (assumed male formula)
-    const bmr = 10 * weightInKg + 6.25 * heightInCm - 5 * age + 5;
+    // Observed intake and weight trend recalibrate the formula when available
+    const adaptiveEstimate = params.adaptiveEstimate;
+    const TDEE = blendTDEE(formulaTDEE, adaptiveEstimate);
 
-    const TDEE = bmr * activityMultipliers[activityLevel];
+    const goalType = resolveGoalType(params.goalType, currentWeight, goalWeight);
+    const weightDelta = currentWeight - goalWeight;
+    const dailyEnergyChange = (Math.abs(weightDelta) * KCAL_PER_KG) / (durationWeeks * 7);
 
-    const weightDelta = convertedCurrentWeight - convertedGoalWeight;
+    // Each goal type only ever moves intake in its own direction; a goal that
+    // has already been passed falls back to maintenance
+    const dailyDeficit = goalType === 'lose' && weightDelta > 0 ? dailyEnergyChange : 0;
+    const dailySurplus = goalType === 'gain' && weightDelta < 0 ? dailyEnergyChange : 0;
 
-    // 3500 calories per pound of fat
-    const dailyDeficit = Math.max((weightDelta * 3500) / (durationWeeks * 7), 0);
+    const safety = evaluatePlanSafety({
+        goalType,
+        currentWeight,
+        goalWeight,
+        height,
+        durationWeeks,
+        sex,
+        dailyCalories: Math.round(TDEE - dailyDeficit + dailySurplus),
+        dailyDeficit,
+        dailySurplus,
+        unitSystem,
+        guardrailMode: params.guardrailMode
+    });
 
-    const dailyCalories = Math.round(TDEE - dailyDeficit);
-    const mealDistribution = calculateOptimalMealDistribution(dailyCalories, activityLevel);
+    const dailyCalories = safety.dailyCalories;
+    const macroTargets = calculateMacroTargets({
+        dailyCalories,
+        weight: currentWeight,
+        goalType,
+        activityLevel,
+        preset: params.macroPreset
+    });
+    const mealDistribution = calculateOptimalMealDistribution(dailyCalories, activityLevel, false, macroTargets);
 
     return {
         dailyCalories,
         mealDistribution,
+        safetyWarnings: safety.warnings,
+        suggestedDurationWeeks: safety.suggestedDurationWeeks,
+        goalType,
+        macroTargets,
+        energyModel: {
+            model,
+            sex: sex || 'unspecified',
+            bodyFatPercentage,
+            bmr: Math.round(bmr),
+            activityMultiplier,
+            tdee: Math.round(TDEE),
+            dailyDeficit: Math.round(safety.dailyDeficit),
+            dailySurplus: Math.round(dailySurplus),
+            dailyCalories,
+            adaptive: {
+                ...adaptiveEstimate,
+                formulaTdee: Math.round(formulaTDEE),
+                appliedTdee: Math.round(TDEE)
+            }
+        },
         progressNotes: [{
-            note: `Initial tracking started. Goal: ${convertedGoalWeight.toFixed(1)} lbs over ${durationWeeks} weeks`,
+            note: goalType === 'maintain'
+                ? `Initial tracking started. Goal: maintain ${fromCanonicalWeight(goalWeight, unitSystem).toFixed(1)} ${weightLabel(unitSystem)} for ${durationWeeks} weeks`
+                : `Initial tracking started. Goal: ${goalType} to ${fromCanonicalWeight(goalWeight, unitSystem).toFixed(1)} ${weightLabel(unitSystem)} over ${durationWeeks} weeks`,
             date: new Date()
-        }],
-        originalParams: {
-            currentWeight,
-            goalWeight,
-            height
-        },
-        convertedParams: {
-            currentWeight: convertedCurrentWeight,
-            goalWeight: convertedGoalWeight,
-            height: convertedHeight
-        }
+        }]
     };
 };
 
+// Returns an error message, or null when the params can be analysed
 function validateAnalysisParams(params) {
-    const requiredParams = ['currentWeight', 'goalWeight', 'durationWeeks', 'height', 'activityLevel'];
+    const requiredParams = ['currentWeight', 'goalWeight', 'durationWeeks', 'age', 'height', 'activityLevel'];
 
     for (const param of requiredParams) {
         if (params[param] === undefined || params[param] === null) {
-            throw new Error(`Missing required parameter: ${param}`);
+            return `Missing required parameter: ${param}`;
         }
     }
 
-    const validActivityLevels = ['sedentary', 'lightlyActive', 'moderatelyActive', 'veryActive', 'extraActive'];
-    if (!validActivityLevels.includes(params.activityLevel)) {
-        throw new Error('Invalid activity level');
+    if (!ACTIVITY_MULTIPLIERS[params.activityLevel]) {
+        return 'Invalid activity level';
     }
 
     if (params.currentWeight <= 0) {
-        throw new Error('Current weight must be a positive number');
+        return 'Current weight must be a positive number';
     }
     if (params.height <= 0) {
-        throw new Error('Height must be a positive number');
+        return 'Height must be a positive number';
+    }
+    if (!(params.age > 0)) {
+        return 'Age must be a positive number';
     }
+    // A zero duration would spread the whole change over no days
+    if (!(params.durationWeeks >= 1)) {
+        return 'Duration must be at least 1 week';
+    }
+
+    if (params.macroPreset && !MACRO_PRESETS.includes(params.macroPreset)) {
+        return `Invalid macro preset. Must be one of: ${MACRO_PRESETS.join(', ')}`;
+    }
+    if (params.goalType && !GOAL_TYPES.includes(params.goalType)) {
+        return `Invalid goal type. Must be one of: ${GOAL_TYPES.join(', ')}`;
+    }
+    if (params.sex && !SEXES.includes(params.sex)) {
+        return 'Invalid sex. Must be male or female';
+    }
+    if (params.bmrModel && !BMR_MODELS.includes(params.bmrModel)) {
+        return `Invalid BMR model. Must be one of: ${BMR_MODELS.join(', ')}`;
+    }
+
+    const hasBodyFat = params.bodyFatPercentage !== undefined && params.bodyFatPercentage !== null;
+    if (hasBodyFat && !isValidBodyFatPercentage(params.bodyFatPercentage)) {
+        return `Body fat percentage must be above 0 and below ${MAX_BODY_FAT_PERCENTAGE}`;
+    }
+    if (resolveBmrModel(params.bmrModel, params.bodyFatPercentage) === 'katchMcArdle' && !hasBodyFat) {
+        return 'Body fat percentage is required for the Katch-McArdle model';
+    }
+
+    return null;
 }
 
-function calculateOptimalMealDistribution(dailyCalories, activityLevel, isUpdate = false) {
+function calculateOptimalMealDistribution(dailyCalories, activityLevel, isUpdate = false, macroTargets = null) {
     const distributionFactors = {
         sedentary: [0.25, 0.35, 0.4],
         lightlyActive: [0.3, 0.4, 0.3],
@@ -118,19 +210,29 @@ function calculateOptimalMealDistribution(dailyCalories, activityLevel, isUpdate
     
     const adjustedMorningFactor = isUpdate ? Math.min(morningFactor, 0.25) : morningFactor;
 
+    const slotCalories = {
+        morning: Math.round(dailyCalories * adjustedMorningFactor),
+        afternoon: Math.round(dailyCalories * afternoonFactor),
+        night: Math.round(dailyCalories * nightFactor)
+    };
+    const slotMacros = macroTargets ? distributeMacros(slotCalories, macroTargets) : {};
+
     return {
         morning: {
-            calories: Math.round(dailyCalories * adjustedMorningFactor),
+            calories: slotCalories.morning,
+            macros: slotMacros.morning,
             description: 'High-protein meal to kickstart metabolism',
             recommendedMeals: ['Protein smoothie']
         },
         afternoon: {
-            calories: Math.round(dailyCalories * afternoonFactor),
+            calories: slotCalories.afternoon,
+            macros: slotMacros.afternoon,
             description: 'Balanced meal for sustained energy',
             recommendedMeals: ['Grilled chicken salad']
         },
         night: {
-            calories: Math.round(dailyCalories * nightFactor),
+            calories: slotCalories.night,
+            macros: slotMacros.night,
             description: 'Light meal to support recovery',
             recommendedMeals: ['Turkey with sweet potato']
         },
@@ -138,6 +240,24 @@ function calculateOptimalMealDistribution(dailyCalories, activityLevel, isUpdate
     };
 }
 
+// Replace the default recommendedMeals with catalog meals that fit each slot,
+// rotating daily. The defaults stay in place while the catalog is empty.
+async function applyMealRecommendations(mealDistribution, userId, preset) {
+    const meals = await MealCatalog.find({ isActive: true }).lean();
+    if (!meals.length) return mealDistribution;
+
+    const rotationKey = getRotationKey(userId);
+
+    for (const slot of ['morning', 'afternoon', 'night']) {
+        const picks = pickMealsForSlot(meals, slot, mealDistribution[slot], { rotationKey, preset });
+        if (picks.length) {
+            mealDistribution[slot].recommendedMeals = picks.map(meal => meal.name);
+        }
+    }
+
+    return mealDistribution;
+}
+
 exports.initializeTracking = async (req, res) => {
     const startTime = performance.now();
     try {
@@ -148,30 +268,181 @@ exports.initializeTracking = async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        const analysis = exports.getIntelligentAnalysis({
-            currentWeight,
-            goalWeight,
+        const unitSystem = resolveUnitSystem(req.body.unitSystem, user.unitSystem);
+        if (!isValidUnitSystem(unitSystem)) {
+            return res.status(400).json({ error: 'Invalid unit system. Must be metric or imperial' });
+        }
+
+        const canonicalParams = {
+            currentWeight: toCanonicalWeight(currentWeight, unitSystem),
+            goalWeight: toCanonicalWeight(goalWeight, unitSystem),
+            height: toCanonicalHeight(height, unitSystem)
+        };
+
+        const { goalType } = req.body;
+        if (goalType !== undefined && !GOAL_TYPES.includes(goalType)) {
+            return res.status(400).json({ error: `Invalid goal type. Must be one of: ${GOAL_TYPES.join(', ')}` });
+        }
+
+        if (req.body.macroPreset !== undefined && !MACRO_PRESETS.includes(req.body.macroPreset)) {
+            return res.status(400).json({ error: `Invalid macro preset. Must be one of: ${MACRO_PRESETS.join(', ')}` });
+        }
+
+        // Maintenance plans hold the starting weight unless told otherwise
+        if (goalType === 'maintain' && (goalWeight === undefined || goalWeight === null)) {
+            canonicalParams.goalWeight = canonicalParams.currentWeight;
+        }
+        if (goalType === 'lose' && canonicalParams.goalWeight >= canonicalParams.currentWeight) {
+            return res.status(400).json({ error: 'Goal weight must be below current weight for a weight-loss goal' });
+        }
+        if (goalType === 'gain' && canonicalParams.goalWeight <= canonicalParams.currentWeight) {
+            return res.status(400).json({ error: 'Goal weight must be above current weight for a weight-gain goal' });
+        }
+
+        if (req.body.plateauWindowDays !== undefined && !isValidPlateauWindow(req.body.plateauWindowDays)) {
+            return res.status(400).json({ error: 'Plateau window must be a whole number of days between 7 and 56' });
+        }
+
+        if (req.body.trendHalfLifeDays !== undefined && !isValidHalfLife(req.body.trendHalfLifeDays)) {
+            return res.status(400).json({ error: 'Trend half-life must be between 1 and 30 days' });
+        }
+
+        if (req.body.exerciseEatBackFraction !== undefined && !isValidEatBackFraction(req.body.exerciseEatBackFraction)) {
+            return res.status(400).json({ error: 'Exercise eat-back fraction must be between 0 and 1' });
+        }
+
+        const sex = req.body.sex || user.sex;
+        const guardrailMode = req.body.guardrailMode || 'clamp';
+
+        if (!GUARDRAIL_MODES.includes(guardrailMode)) {
+            return res.status(400).json({ error: `Invalid guardrail mode. Must be one of: ${GUARDRAIL_MODES.join(', ')}` });
+        }
+
+        // Fall back to a recent body-fat measurement when none is given
+        let { bodyFatPercentage } = req.body;
+        if (bodyFatPercentage === undefined) {
+            const latestReading = await BodyMeasurement.findOne({
+                user: user._id,
+                bodyFatPercentage: { $exists: true },
+                measuredAt: { $gte: new Date(Date.now() - RECENT_BODY_FAT_DAYS * MS_PER_DAY) }
+            }).sort({ measuredAt: -1 });
+            if (latestReading) bodyFatPercentage = latestReading.bodyFatPercentage;
+        }
+
+        const analysisParams = {
+            ...canonicalParams,
             durationWeeks,
             age,
-            height,
-            activityLevel
-        });
+            activityLevel,
+            sex,
+            bodyFatPercentage,
+            bmrModel: req.body.bmrModel,
+            goalType,
+            macroPreset: req.body.macroPreset,
+            guardrailMode,
+            unitSystem
+        };
+
+        const analysisError = validateAnalysisParams(analysisParams);
+        if (analysisError) {
+            return res.status(400).json({ error: analysisError });
+        }
 
-        const tracking = await Tracking.create({
+        let analysis = exports.getIntelligentAnalysis(analysisParams);
+
+        if (analysis.safetyWarnings.some(warning => warning.severity === 'block') ||
+            (guardrailMode === 'strict' && analysis.safetyWarnings.length)) {
+            return res.status(400).json({
+                error: 'Plan does not meet safety guidelines',
+                warnings: analysis.safetyWarnings,
+                suggestedDurationWeeks: analysis.suggestedDurationWeeks
+            });
+        }
+
+        // Stretch the plan so the weekly loss stays within the safe rate
+        if (guardrailMode === 'extend' && analysis.suggestedDurationWeeks) {
+            const requestedDurationWeeks = durationWeeks;
+            analysisParams.durationWeeks = analysis.suggestedDurationWeeks;
+            analysis = exports.getIntelligentAnalysis(analysisParams);
+            analysis.safetyWarnings.push({
+                code: 'DURATION_EXTENDED',
+                severity: 'adjusted',
+                message: `Plan duration was extended from ${requestedDurationWeeks} to ${analysisParams.durationWeeks} weeks to keep weekly loss within safe limits.`,
+                value: analysisParams.durationWeeks,
+                limit: requestedDurationWeeks
+            });
+        }
+
+        await applyMealRecommendations(analysis.mealDistribution, user._id, analysis.macroTargets.preset);
+
+        const tracking = new Tracking({
             user: user._id,
             userId: user._id,
-            ...req.body,
             ...analysis,
-            height: height,
+            ...canonicalParams,
+            // Only plan settings come from the client; status, plateaus,
+            // pauses, outcome and progress are server-owned
+            age,
+            activityLevel,
+            plateauWindowDays: req.body.plateauWindowDays,
+            trendHalfLifeDays: req.body.trendHalfLifeDays,
+            exerciseEatBackFraction: req.body.exerciseEatBackFraction,
+            durationWeeks: analysisParams.durationWeeks,
+            goalType: analysis.goalType,
+            macroPreset: analysis.macroTargets.preset,
+            startingWeight: canonicalParams.currentWeight,
+            trendWeight: canonicalParams.currentWeight,
+            entryUnitSystem: unitSystem,
+            sex,
+            bodyFatPercentage,
+            bmrModel: req.body.bmrModel,
             dailyCalories: analysis.dailyCalories,
             mealDistribution: analysis.mealDistribution,
             progressNotes: analysis.progressNotes,
             weeklyProgress: [],
         });
 
+        // Validate first so a rejected plan leaves the running one untouched
+        await tracking.validate();
+
+        // Starting a plan ends whichever plan was running before it
+        const previousPlans = await Tracking.find({
+            user: user._id,
+            status: { $nin: ['completed', 'archived'] }
+        });
+        for (const previousPlan of previousPlans) {
+            previousPlan.close('archived');
+            await previousPlan.save();
+        }
+
+        // The open-plan index rejects a second plan started at the same time
+        try {
+            await tracking.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'Another plan was started at the same time' });
+            }
+            throw error;
+        }
+
+        await WeighIn.create({
+            user: user._id,
+            tracking: tracking._id,
+            weight: canonicalParams.currentWeight,
+            trendWeight: canonicalParams.currentWeight,
+            enteredWeight: currentWeight,
+            enteredUnit: weightLabel(unitSystem),
+            source: 'initial',
+            measuredAt: tracking.createdAt
+        });
+
+        // Starting a plan is what makes a verified referral count
+        await recordReferralConversion(user._id);
+
         const endTime = performance.now();
         res.status(201).json({
-            tracking,
+            tracking: renderTrackingUnits(tracking.toJSON(), unitSystem),
+            warnings: analysis.safetyWarnings,
             processingTime: endTime - startTime
         });
     } catch (error) {
@@ -179,8 +450,128 @@ exports.initializeTracking = async (req, res) => {
     }
 };
 
-function detectProgressPatterns(weeklyProgress) {
-    if (!weeklyProgress || weeklyProgress.length < 3) {
+// Body-fat readings older than this are not used for a new plan
+const RECENT_BODY_FAT_DAYS = 30;
+
+// clamp: raise calories to the floor, strict: reject any warning, extend: lengthen the plan
+const GUARDRAIL_MODES = ['clamp', 'strict', 'extend'];
+
+// Convert a canonical (kg / cm) tracking payload into the caller's unit system
+function renderTrackingUnits(details, unitSystem) {
+    const weight = (value) => fromCanonicalWeight(value, unitSystem);
+
+    const rendered = {
+        ...details,
+        unitSystem,
+        units: { weight: weightLabel(unitSystem), height: heightLabel(unitSystem) }
+    };
+
+    if (details.startingWeight !== undefined) rendered.startingWeight = weight(details.startingWeight);
+    if (details.currentWeight !== undefined) rendered.currentWeight = weight(details.currentWeight);
+    if (details.trendWeight !== undefined) rendered.trendWeight = weight(details.trendWeight);
+    if (details.goalWeight !== undefined) rendered.goalWeight = weight(details.goalWeight);
+    if (details.height !== undefined) rendered.height = fromCanonicalHeight(details.height, unitSystem);
+
+    if (details.weeklyProgress) {
+        rendered.weeklyProgress = details.weeklyProgress.map(week => ({
+            ...week,
+            currentWeight: weight(week.currentWeight),
+            trendWeight: weight(week.trendWeight),
+            predictedWeight: weight(week.predictedWeight)
+        }));
+    }
+
+    if (details.progressPatterns) {
+        const { averageWeeklyChange, plateau } = details.progressPatterns;
+        rendered.progressPatterns = { ...details.progressPatterns };
+        if (averageWeeklyChange !== undefined) {
+            rendered.progressPatterns.averageWeeklyChange = weight(averageWeeklyChange);
+        }
+        if (plateau && plateau.weeklyRate !== undefined) {
+            rendered.progressPatterns.plateau = {
+                ...plateau,
+                weeklyRate: weight(plateau.weeklyRate),
+                minimumWeeklyChange: weight(plateau.minimumWeeklyChange),
+                noise: weight(plateau.noise)
+            };
+        }
+    }
+
+    const sleepAnalysis = details.recommendations && details.recommendations.sleepAnalysis;
+    if (sleepAnalysis && sleepAnalysis.metric === 'weightTrend') {
+        rendered.recommendations = {
+            ...details.recommendations,
+            sleepAnalysis: {
+                ...sleepAnalysis,
+                dataPoints: (sleepAnalysis.dataPoints || []).map(point => ({ ...point, value: weight(point.value) }))
+            }
+        };
+    }
+
+    if (details.plateaus) {
+        rendered.plateaus = details.plateaus.map(entry => ({
+            ...entry,
+            weeklyRate: weight(entry.weeklyRate)
+        }));
+    }
+
+    if (details.outcome && details.outcome.endWeight !== undefined) {
+        rendered.outcome = {
+            ...details.outcome,
+            endWeight: weight(details.outcome.endWeight),
+            weightChange: weight(details.outcome.weightChange)
+        };
+    }
+
+    if (details.energyModel && details.energyModel.adaptive) {
+        rendered.energyModel = {
+            ...details.energyModel,
+            adaptive: {
+                ...details.energyModel.adaptive,
+                weightTrendPerWeek: weight(details.energyModel.adaptive.weightTrendPerWeek)
+            }
+        };
+    }
+
+    if (details.chartData) {
+        rendered.chartData = {
+            ...details.chartData,
+            progressTrend: (details.chartData.progressTrend || []).map(point => ({
+                ...point,
+                actual: weight(point.actual),
+                trend: weight(point.trend),
+                predicted: weight(point.predicted),
+                forecast: weight(point.forecast),
+                optimistic: weight(point.optimistic),
+                pessimistic: weight(point.pessimistic)
+            }))
+        };
+        if (details.chartData.weightProgress) {
+            rendered.chartData.weightProgress = details.chartData.weightProgress.map(point => ({
+                ...point,
+                weight: weight(point.weight),
+                trendWeight: weight(point.trendWeight)
+            }));
+        }
+    }
+
+    if (details.forecast) {
+        const { forecast } = details;
+        rendered.forecast = {
+            ...forecast,
+            trendWeight: weight(forecast.trendWeight),
+            weeklyRate: weight(forecast.weeklyRate),
+            optimisticWeeklyRate: weight(forecast.optimisticWeeklyRate),
+            pessimisticWeeklyRate: weight(forecast.pessimisticWeeklyRate),
+            requiredWeeklyRate: weight(forecast.requiredWeeklyRate)
+        };
+    }
+
+    return rendered;
+}
+
+function detectProgressPatterns(weights, goalType = 'lose') {
+    if (!weights || weights.length < 3) {
         return {
             overallTrend: 'Insufficient data',
             patternType: 'N/A',
@@ -188,13 +579,16 @@ function detectProgressPatterns(weeklyProgress) {
         };
     }
 
-    const weights = weeklyProgress.map(week => week.currentWeight);
-
     const weightChanges = weights.slice(1).map((weight, index) => weight - weights[index]);
 
+    // Weekly changes smaller than the plateau threshold count as stable, since
+    // real weigh-ins almost never repeat exactly
+    const averageWeight = weights.reduce((sum, weight) => sum + weight, 0) / weights.length;
+    const stableBand = averageWeight * PLATEAU_DEFAULTS.minWeeklyRate;
+
     const trendDirection = weightChanges.reduce((acc, change) => {
-        if (change > 0) acc.positive++;
-        else if (change < 0) acc.negative++;
+        if (change > stableBand) acc.positive++;
+        else if (change < -stableBand) acc.negative++;
         else acc.neutral++;
         return acc;
     }, { positive: 0, negative: 0, neutral: 0 });
@@ -214,7 +608,7 @@ function detectProgressPatterns(weeklyProgress) {
     const volatility = calculateVolatility(weightChanges);
 
     return {
-        overallTrend: patternType,
+        overallTrend: describeTrendForGoal(patternType, goalType),
         patternType,
         consistencyScore,
         volatility,
@@ -227,7 +621,27 @@ function detectProgressPatterns(weeklyProgress) {
     };
 }
 
+// Whether the observed direction is what the plan is aiming for
+function describeTrendForGoal(patternType, goalType) {
+    const desiredPatterns = {
+        lose: 'Steady Decline',
+        gain: 'Gradual Gain',
+        maintain: 'Stable'
+    };
+
+    if (patternType === desiredPatterns[goalType]) return 'On Track';
+    if (patternType === 'Inconsistent') return 'Inconsistent';
+
+    if (goalType === 'maintain') {
+        return patternType === 'Gradual Gain' ? 'Drifting Up' : 'Drifting Down';
+    }
+
+    return patternType === 'Stable' ? 'Stalled' : 'Moving Away From Goal';
+}
+
 function calculateConsistencyScore(changes, averageChange) {
+    if (!changes.length) return 0;
+
     const deviations = changes.map(change => Math.abs(change - averageChange));
     const averageDeviation = deviations.reduce((a, b) => a + b, 0) / deviations.length;
 
@@ -248,43 +662,193 @@ function calculateVolatility(changes) {
     return Math.round(volatilityScore);
 }
 
-async function generateProgressProjection(userId, trackingData, lastUpdateDate) {
-    if (!trackingData) {
-        const tracking = await Tracking.findOne({ user: userId })
-            .select('currentWeight goalWeight durationWeeks age height activityLevel createdAt')
-            .sort({ createdAt: -1 });
-            
-        if (!tracking) return [];
-        trackingData = tracking;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Paused stretches of the plan; an open pause runs up to asOf
+function getPauseIntervals(tracking, asOf) {
+    return (tracking.pauses || [])
+        .map(pause => ({
+            start: new Date(pause.startedAt),
+            end: pause.endedAt ? new Date(pause.endedAt) : asOf
+        }))
+        .sort((a, b) => a.start - b.start);
+}
+
+// Time spent on the plan between its start and `date`, excluding pauses
+function getPlanElapsed(date, startDate, pauses) {
+    let elapsed = date - startDate;
+    for (const pause of pauses) {
+        const overlap = Math.min(date, pause.end) - Math.max(startDate, pause.start);
+        if (overlap > 0) elapsed -= overlap;
+    }
+    return elapsed;
+}
+
+// Calendar date at which the plan will have run for `planElapsed` ms
+function toCalendarDate(planElapsed, startDate, pauses) {
+    let date = startDate.getTime() + planElapsed;
+    for (const pause of pauses) {
+        if (pause.start.getTime() < date) date += pause.end - pause.start;
+    }
+    return new Date(date);
+}
+
+function isDuringPause(date, pauses) {
+    return pauses.some(pause => date >= pause.start && date < pause.end);
+}
+
+// Week-by-week series from plan start through today (or the day the plan
+// ended). Weeks are counted in plan time, so paused stretches neither add
+// weeks nor count against adherence. Weeks past durationWeeks are still
+// reported so overdue plans keep their history.
+function generateProgressProjection(tracking, weighIns, asOf = tracking.endedAt || new Date()) {
+    const startDate = new Date(tracking.createdAt);
+    const pauses = getPauseIntervals(tracking, asOf);
+    const startingWeight = getStartingWeight(tracking);
+    const weekMs = 7 * MS_PER_DAY;
+    const currentWeek = Math.floor(Math.max(0, getPlanElapsed(asOf, startDate, pauses)) / weekMs) + 1;
+
+    const weightDelta = startingWeight - tracking.goalWeight;
+
+    // Past weeks keep the target that was in effect then; only the current week
+    // follows the plan's latest (possibly recalibrated) target
+    const recordedByWeek = {};
+    for (const entry of tracking.weeklyProgress || []) {
+        recordedByWeek[entry.week] = entry;
     }
 
-    const startDate = lastUpdateDate || trackingData.createdAt;
-    const currentDate = new Date();
-    const daysSinceStart = Math.floor((currentDate - startDate) / (1000 * 60 * 60 * 24));
-    const currentWeek = Math.floor(daysSinceStart / 7) + 1;
+    const weightsByWeek = {};
+    const trendByWeek = {};
+    for (const weighIn of weighIns) {
+        const measuredAt = new Date(weighIn.measuredAt);
+        if (measuredAt < startDate || measuredAt > asOf || isDuringPause(measuredAt, pauses)) continue;
+
+        const week = Math.floor(getPlanElapsed(measuredAt, startDate, pauses) / weekMs) + 1;
+        (weightsByWeek[week] = weightsByWeek[week] || []).push(weighIn.weight);
+        // Weigh-ins arrive in time order, so the last one wins
+        if (weighIn.trendWeight !== undefined && weighIn.trendWeight !== null) {
+            trendByWeek[week] = weighIn.trendWeight;
+        }
+    }
 
-    if (currentWeek > trackingData.durationWeeks) {
-        return [];
+    const weeks = [];
+    for (let week = 1; week <= currentWeek; week++) {
+        const weekWeights = weightsByWeek[week] || [];
+        const recorded = week < currentWeek ? recordedByWeek[week] : null;
+        const hasRecordedTarget = recorded && recorded.dailyCalories !== undefined && recorded.dailyCalories !== null;
+
+        const actualWeight = weekWeights.length
+            ? weekWeights.reduce((a, b) => a + b, 0) / weekWeights.length
+            : null;
+
+        weeks.push({
+            week,
+            currentWeight: actualWeight,
+            trendWeight: trendByWeek[week] !== undefined ? trendByWeek[week] : null,
+            predictedWeight: getPlannedWeight(tracking, week),
+            weighInCount: weekWeights.length,
+            predictedDate: toCalendarDate(week * weekMs, startDate, pauses),
+            dailyCalories: hasRecordedTarget ? recorded.dailyCalories : tracking.dailyCalories,
+            calorieAdjustment: hasRecordedTarget
+                ? recorded.calorieAdjustment
+                : calculateCalorieAdjustment(week, weightDelta, tracking.durationWeeks),
+            isOverdue: week > tracking.durationWeeks
+        });
     }
 
-    const weightDelta = trackingData.currentWeight - trackingData.goalWeight;
-    const weeklyWeightLoss = weightDelta / trackingData.durationWeeks;
+    return weeks;
+}
 
-    return [{
-        week: currentWeek,
-        currentWeight: trackingData.currentWeight,
-        predictedDate: new Date(startDate.getTime() + (currentWeek * 7 * 24 * 60 * 60 * 1000)),
-        dailyCalories: trackingData.dailyCalories,
-        calorieAdjustment: calculateCalorieAdjustment(currentWeek, weightDelta, trackingData.durationWeeks)
-    }];
+// Weight the plan expects at the end of `week`, reaching the goal on the last week
+function getPlannedWeight(tracking, week) {
+    if (week >= tracking.durationWeeks) return tracking.goalWeight;
+
+    const startingWeight = getStartingWeight(tracking);
+    return startingWeight - (startingWeight - tracking.goalWeight) / tracking.durationWeeks * week;
 }
 
-function generateChartData(tracking) {
-    const { weeklyProgress, progressNotes } = tracking;
-    
-    const weightChartData = progressNotes.map(note => ({
-        date: note.date,
-        weight: parseFloat(note.note.match(/\d+(\.\d+)?/)[0]),
+// Goal-date forecast from the weigh-in trend. Fitting happens in plan days so
+// pauses neither stretch the trend nor count towards the deadline.
+function buildForecast(tracking, weighIns, asOf = tracking.endedAt || new Date()) {
+    const startDate = new Date(tracking.createdAt);
+    const pauses = getPauseIntervals(tracking, asOf);
+    const toPlanDay = (date) => getPlanElapsed(date, startDate, pauses) / MS_PER_DAY;
+    const toDate = (day) => (day === null || day === undefined ? day : toCalendarDate(day * MS_PER_DAY, startDate, pauses));
+
+    const points = weighIns
+        .filter(weighIn => {
+            const measuredAt = new Date(weighIn.measuredAt);
+            return measuredAt >= startDate && measuredAt <= asOf && !isDuringPause(measuredAt, pauses);
+        })
+        .map(weighIn => ({ day: toPlanDay(new Date(weighIn.measuredAt)), weight: weighIn.weight }));
+
+    const forecast = forecastGoal(points, {
+        goalType: tracking.goalType,
+        goalWeight: tracking.goalWeight,
+        currentDay: toPlanDay(asOf),
+        deadlineDay: tracking.durationWeeks * 7
+    });
+
+    return {
+        ...forecast,
+        projectedDate: toDate(forecast.expectedDay),
+        optimisticDate: toDate(forecast.optimisticDay),
+        pessimisticDate: toDate(forecast.pessimisticDay),
+        deadline: toDate(tracking.durationWeeks * 7)
+    };
+}
+
+// Planned and actual weight per week, extended with the forecast curve from the
+// current week until the later of the deadline and the forecast goal dates
+function buildProgressTrend(tracking, weeklyProgress, forecast) {
+    const trend = weeklyProgress.map(week => ({
+        week: week.week,
+        actual: week.currentWeight,
+        trend: week.trendWeight,
+        predicted: week.predictedWeight
+    }));
+
+    if (!forecast || forecast.trendWeight === undefined || forecast.status === 'reached') {
+        return trend;
+    }
+
+    const firstWeek = Math.max(1, Math.ceil(forecast.currentDay / 7));
+    const lastWeek = Math.ceil(Math.max(forecast.deadlineDay, forecast.expectedDay || 0, forecast.pessimisticDay || 0) / 7);
+
+    for (let week = firstWeek; week <= lastWeek; week++) {
+        let point = trend.find(entry => entry.week === week);
+        if (!point) {
+            point = { week, actual: null, trend: null, predicted: getPlannedWeight(tracking, week) };
+            trend.push(point);
+        }
+
+        point.forecast = projectWeight(forecast, tracking, week * 7, forecast.weeklyRate);
+        point.optimistic = projectWeight(forecast, tracking, week * 7, forecast.optimisticWeeklyRate);
+        point.pessimistic = projectWeight(forecast, tracking, week * 7, forecast.pessimisticWeeklyRate);
+    }
+
+    return trend;
+}
+
+// Trend weight for the week, falling back to the raw average for weeks
+// recorded before trend weights existed
+function getWeekWeight(week) {
+    return week.trendWeight !== null && week.trendWeight !== undefined ? week.trendWeight : week.currentWeight;
+}
+
+// Weeks without a weigh-in carry no actual weight
+function getWeeklyWeights(weeklyProgress) {
+    return weeklyProgress
+        .filter(week => week.currentWeight !== null && week.currentWeight !== undefined)
+        .map(getWeekWeight);
+}
+
+function generateChartData(tracking, weighIns, weeklyProgress) {
+
+    const weightChartData = weighIns.map(weighIn => ({
+        date: weighIn.measuredAt,
+        weight: weighIn.weight,
+        trendWeight: weighIn.trendWeight,
         isActual: true
     }));
 
@@ -297,20 +861,89 @@ function generateChartData(tracking) {
         ]
     };
 
-    const trendChartData = weeklyProgress.map(week => ({
-        week: week.week,
-        actual: week.currentWeight,
-        predicted: tracking.goalWeight + ((tracking.currentWeight - tracking.goalWeight) * 
-            (1 - week.week / tracking.durationWeeks))
-    }));
-
     return {
         weightProgress: weightChartData,
         calorieDistribution: calorieChartData,
-        progressTrend: trendChartData
+        progressTrend: buildProgressTrend(tracking, weeklyProgress, buildForecast(tracking, weighIns))
     };
 }
 
+// Plans created before weigh-ins were recorded have no startingWeight
+function getStartingWeight(tracking) {
+    return tracking.startingWeight || tracking.currentWeight;
+}
+
+// The active or paused plan, falling back to the most recent finished one
+async function findPlanForDisplay(userId) {
+    const current = await Tracking.findCurrent(userId);
+    return current || Tracking.findOne({ user: userId }).sort({ createdAt: -1 });
+}
+
+// Weigh-ins for the plan in time order, with trend weights filled in. Changed
+// trend weights are only persisted when the caller saves the documents.
+async function loadWeighIns(tracking) {
+    const weighIns = await WeighIn.find({ tracking: tracking._id }).sort({ measuredAt: 1 });
+    const trend = calculateTrendWeights(weighIns, tracking.trendHalfLifeDays || TREND_HALF_LIFE_DAYS);
+    weighIns.forEach((weighIn, index) => {
+        weighIn.trendWeight = trend[index];
+    });
+    return weighIns;
+}
+
+// Total logged calories per UTC day
+function sumIntakeByDay(foodEntries) {
+    return foodEntries.reduce((acc, entry) => {
+        const day = toDayKey(entry.consumedAt);
+        acc[day] = (acc[day] || 0) + entry.calories;
+        return acc;
+    }, {});
+}
+
+const SLEEP_WINDOW_DAYS = 60;
+
+// Recent nights of sleep against the next day's trend weight and intake
+async function buildSleepAnalysis(userId, tracking, weighIns, asOf = tracking.endedAt || new Date()) {
+    const windowStart = new Date(Math.max(new Date(tracking.createdAt).getTime(), asOf.getTime() - SLEEP_WINDOW_DAYS * MS_PER_DAY));
+
+    const [sleepEntries, foodEntries] = await Promise.all([
+        SleepLog.find({ user: userId, wakeDate: { $gte: toDayKey(windowStart), $lte: toDayKey(asOf) } })
+            .sort({ wakeDate: 1 }),
+        FoodLog.find({ user: userId, consumedAt: { $gte: windowStart, $lte: asOf } })
+            .select('calories consumedAt')
+    ]);
+
+    // Weigh-ins are in time order, so each day keeps its last trend weight
+    const trendByDay = {};
+    for (const weighIn of weighIns) {
+        trendByDay[toDayKey(weighIn.measuredAt)] = weighIn.trendWeight;
+    }
+
+    const intakeByDay = sumIntakeByDay(foodEntries);
+
+    return analyseSleep({
+        sleepEntries,
+        trendByDay,
+        intakeByDay,
+        dailyCalories: tracking.dailyCalories,
+        goalType: tracking.goalType
+    });
+}
+
+const ADAPTIVE_WINDOW_DAYS = 21;
+
+// Logged intake and weigh-ins over the trailing window, fed to the TDEE estimator
+async function buildAdaptiveEstimate(userId, weighIns, asOf = new Date()) {
+    const windowStart = new Date(asOf.getTime() - ADAPTIVE_WINDOW_DAYS * MS_PER_DAY);
+
+    const foodEntries = await FoodLog.find({ user: userId, consumedAt: { $gte: windowStart, $lte: asOf } })
+        .select('calories consumedAt');
+
+    const intakeByDay = sumIntakeByDay(foodEntries);
+
+    const windowWeighIns = weighIns.filter(weighIn => weighIn.measuredAt >= windowStart && weighIn.measuredAt <= asOf);
+
+    return estimateObservedTDEE(intakeByDay, windowWeighIns, ADAPTIVE_WINDOW_DAYS);
+}
 
 function calculateCalorieAdjustment(currentWeek, totalWeightLoss, totalWeeks) {
     const progressPercentage = (currentWeek / totalWeeks) * 100;
@@ -336,49 +969,138 @@ exports.updateTracking = async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        const tracking = await Tracking.findOne({ user: userId })
-            .select('currentWeight goalWeight durationWeeks age height activityLevel dailyCalories mealDistribution progressNotes weeklyProgress recommendations progressPatterns createdAt')
-            .sort({ createdAt: -1 });
+        const tracking = await Tracking.findCurrent(userId)
+            .select('status pauses endedAt goalType macroPreset macroTargets startingWeight currentWeight goalWeight durationWeeks age height activityLevel sex bodyFatPercentage bmrModel dailyCalories mealDistribution energyModel safetyWarnings progressNotes weeklyProgress recommendations progressPatterns plateauWindowDays plateaus trendWeight trendHalfLifeDays exerciseEatBackFraction chartData createdAt')
             
         if (!tracking) {
-            return res.status(404).json({ error: 'Tracking data not found' });
+            return res.status(404).json({ error: 'No active plan found' });
         }
 
-        const height = tracking.height || user.height || req.body.height;
+        const unitSystem = resolveUnitSystem(req.body.unitSystem, user.unitSystem);
+        if (!isValidUnitSystem(unitSystem)) {
+            return res.status(400).json({ error: 'Invalid unit system. Must be metric or imperial' });
+        }
+
+        const height = tracking.height || toCanonicalHeight(req.body.height, unitSystem);
 
-        if (!user.height && !req.body.height && !tracking.height) {
+        if (!height) {
             return res.status(400).json({ error: 'User height data is missing in profile' });
         }
 
-        const trackingData = {
-            currentWeight: updatedWeight,
+        if (!(Number(updatedWeight) > 0)) {
+            return res.status(400).json({ error: 'Updated weight must be a positive number' });
+        }
+
+        if (req.body.macroPreset !== undefined && !MACRO_PRESETS.includes(req.body.macroPreset)) {
+            return res.status(400).json({ error: `Invalid macro preset. Must be one of: ${MACRO_PRESETS.join(', ')}` });
+        }
+
+        if (req.body.plateauWindowDays !== undefined && !isValidPlateauWindow(req.body.plateauWindowDays)) {
+            return res.status(400).json({ error: 'Plateau window must be a whole number of days between 7 and 56' });
+        }
+
+        if (req.body.trendHalfLifeDays !== undefined && !isValidHalfLife(req.body.trendHalfLifeDays)) {
+            return res.status(400).json({ error: 'Trend half-life must be between 1 and 30 days' });
+        }
+
+        if (req.body.exerciseEatBackFraction !== undefined && !isValidEatBackFraction(req.body.exerciseEatBackFraction)) {
+            return res.status(400).json({ error: 'Exercise eat-back fraction must be between 0 and 1' });
+        }
+
+        const measuredAt = req.body.measuredAt ? new Date(req.body.measuredAt) : new Date();
+        if (isNaN(measuredAt.getTime())) {
+            return res.status(400).json({ error: 'Invalid measuredAt timestamp' });
+        }
+
+        const planParams = {
             goalWeight: tracking.goalWeight,
             durationWeeks: tracking.durationWeeks,
             age: tracking.age || user.age,
             height: height,
-            activityLevel: tracking.activityLevel || user.activityLevel
+            activityLevel: tracking.activityLevel || user.activityLevel,
+            sex: tracking.sex || user.sex,
+            bodyFatPercentage: req.body.bodyFatPercentage !== undefined ? req.body.bodyFatPercentage : tracking.bodyFatPercentage,
+            bmrModel: tracking.bmrModel,
+            goalType: tracking.goalType,
+            macroPreset: req.body.macroPreset || tracking.macroPreset
         };
 
-        tracking.currentWeight = updatedWeight;
+        // Checked before anything is written so a rejected update leaves no weigh-in behind
+        const analysisError = validateAnalysisParams({ ...planParams, currentWeight: toCanonicalWeight(updatedWeight, unitSystem) });
+        if (analysisError) {
+            return res.status(400).json({ error: analysisError });
+        }
+
+        await WeighIn.create({
+            user: user._id,
+            tracking: tracking._id,
+            weight: toCanonicalWeight(updatedWeight, unitSystem),
+            enteredWeight: updatedWeight,
+            enteredUnit: weightLabel(unitSystem),
+            source: req.body.source === 'scale' ? 'scale' : 'manual',
+            measuredAt
+        });
+
+        if (req.body.trendHalfLifeDays !== undefined) {
+            tracking.trendHalfLifeDays = req.body.trendHalfLifeDays;
+        }
+        if (req.body.exerciseEatBackFraction !== undefined) {
+            tracking.exerciseEatBackFraction = req.body.exerciseEatBackFraction;
+        }
+
+        // A back-dated weigh-in must not replace a more recent one, and shifts
+        // the trend of every weigh-in after it
+        const weighIns = await loadWeighIns(tracking);
+        await Promise.all(weighIns.filter(weighIn => weighIn.isModified('trendWeight')).map(weighIn => weighIn.save()));
+        const latestWeight = weighIns[weighIns.length - 1].weight;
+
+        const trackingData = {
+            ...planParams,
+            currentWeight: latestWeight,
+            adaptiveEstimate: await buildAdaptiveEstimate(user._id, weighIns),
+            unitSystem
+        };
+
+        if (!tracking.startingWeight) {
+            tracking.startingWeight = tracking.currentWeight;
+        }
+        tracking.currentWeight = latestWeight;
+        tracking.trendWeight = weighIns[weighIns.length - 1].trendWeight;
         tracking.progressNotes.push({
-            note: `Weight updated to ${updatedWeight} ${tracking.currentWeight < 100 ? 'kg' : 'lbs'}`,
-            date: new Date(),
+            note: `Weight updated to ${updatedWeight} ${weightLabel(unitSystem)}`,
+            date: measuredAt,
         });
 
         const analysis = exports.getIntelligentAnalysis(trackingData);
         
-        tracking.dailyCalories = analysis.dailyCalories;
-        tracking.mealDistribution = calculateOptimalMealDistribution(analysis.dailyCalories, trackingData.activityLevel, true);
-        tracking.weeklyProgress = await generateProgressProjection(userId, trackingData, tracking.createdAt);
-        tracking.recommendations = generateRecommendations(tracking);
-        tracking.progressPatterns = detectProgressPatterns(tracking.weeklyProgress);
-        tracking.chartData = generateChartData(tracking);
+        tracking.bodyFatPercentage = trackingData.bodyFatPercentage;
+        await applyPlanAnalysis(tracking, analysis, user._id, trackingData.activityLevel);
+        if (req.body.plateauWindowDays !== undefined) {
+            tracking.plateauWindowDays = req.body.plateauWindowDays;
+        }
+        const plateau = detectPlateauForPlan(tracking, weighIns);
+        updatePlateauHistory(tracking.plateaus, plateau, measuredAt);
+
+        tracking.weeklyProgress = generateProgressProjection(tracking, weighIns);
+        tracking.recommendations = await generateRecommendations(user._id, tracking, weighIns, plateau, await buildSleepAnalysis(user._id, tracking, weighIns));
+        tracking.progressPatterns = {
+            ...detectProgressPatterns(getWeeklyWeights(tracking.weeklyProgress), tracking.goalType),
+            plateau
+        };
+        tracking.chartData = generateChartData(tracking, weighIns, tracking.weeklyProgress);
 
         await tracking.save();
 
+        const achievements = await evaluateAchievements(user._id, {
+            tracking,
+            adherenceStreak: calculateAdherenceMetrics(tracking, tracking.weeklyProgress).streak
+        });
+
         const endTime = performance.now();
         res.status(200).json({
-            tracking,
+            tracking: renderTrackingUnits(tracking.toJSON(), unitSystem),
+            goalReached: tracking.isGoalReached,
+            achievements,
             processingTime: endTime - startTime,
         });
     } catch (error) {
@@ -387,8 +1109,124 @@ exports.updateTracking = async (req, res) => {
 };
 
 
-function generateRecommendations(tracking) {
-    const { weeklyProgress, currentWeight, goalWeight } = tracking;
+// Copy a fresh analysis onto the plan and rebuild its meal distribution
+async function applyPlanAnalysis(tracking, analysis, userId, activityLevel) {
+    tracking.dailyCalories = analysis.dailyCalories;
+    tracking.energyModel = analysis.energyModel;
+    tracking.safetyWarnings = analysis.safetyWarnings;
+    tracking.macroPreset = analysis.macroTargets.preset;
+    tracking.macroTargets = analysis.macroTargets;
+    tracking.mealDistribution = await applyMealRecommendations(
+        calculateOptimalMealDistribution(analysis.dailyCalories, activityLevel, true, analysis.macroTargets),
+        userId,
+        analysis.macroTargets.preset
+    );
+}
+
+// Re-run the energy analysis after a profile change, such as a new body-fat
+// reading, without recording a weigh-in. The caller saves the plan.
+exports.recalculatePlan = async (tracking, user, loadedWeighIns) => {
+    const weighIns = loadedWeighIns || await loadWeighIns(tracking);
+    const activityLevel = tracking.activityLevel || user.activityLevel;
+
+    const analysis = exports.getIntelligentAnalysis({
+        currentWeight: tracking.currentWeight,
+        goalWeight: tracking.goalWeight,
+        durationWeeks: tracking.durationWeeks,
+        age: tracking.age || user.age,
+        height: tracking.height,
+        activityLevel,
+        sex: tracking.sex || user.sex,
+        bodyFatPercentage: tracking.bodyFatPercentage,
+        bmrModel: tracking.bmrModel,
+        goalType: tracking.goalType,
+        macroPreset: tracking.macroPreset,
+        adaptiveEstimate: await buildAdaptiveEstimate(user._id, weighIns),
+        unitSystem: user.unitSystem
+    });
+
+    await applyPlanAnalysis(tracking, analysis, user._id, activityLevel);
+    return analysis;
+};
+
+// Rebuild everything derived from the weigh-in history after it changed in
+// bulk, such as an import. The caller saves the plan.
+exports.rebuildPlanProgress = async (tracking, user) => {
+    const weighIns = await loadWeighIns(tracking);
+    if (!weighIns.length) return weighIns;
+    await Promise.all(weighIns.filter(weighIn => weighIn.isModified('trendWeight')).map(weighIn => weighIn.save()));
+
+    const latest = weighIns[weighIns.length - 1];
+    if (!tracking.startingWeight) {
+        tracking.startingWeight = tracking.currentWeight;
+    }
+    tracking.currentWeight = latest.weight;
+    tracking.trendWeight = latest.trendWeight;
+
+    await exports.recalculatePlan(tracking, user, weighIns);
+
+    const plateau = detectPlateauForPlan(tracking, weighIns);
+    updatePlateauHistory(tracking.plateaus, plateau, latest.measuredAt);
+
+    tracking.weeklyProgress = generateProgressProjection(tracking, weighIns);
+    tracking.recommendations = await generateRecommendations(user._id, tracking, weighIns, plateau, await buildSleepAnalysis(user._id, tracking, weighIns));
+    tracking.progressPatterns = {
+        ...detectProgressPatterns(getWeeklyWeights(tracking.weeklyProgress), tracking.goalType),
+        plateau
+    };
+    tracking.chartData = generateChartData(tracking, weighIns, tracking.weeklyProgress);
+
+    return weighIns;
+};
+
+const RECOMMENDATION_WINDOW_DAYS = 56;
+const RECENT_DAYS = 7;
+const TREND_CHANGE_DAYS = 14;
+
+// Values the recommendation rules are evaluated against; see METRICS
+function buildRecommendationMetrics(tracking, weighIns, plateau, sleepAnalysis, intakeByDay, asOf) {
+    const { weeklyAdherence, overallAdherence } = calculateAdherenceMetrics(tracking, tracking.weeklyProgress);
+    const scoredWeeks = weeklyAdherence.filter(score => score !== null);
+    const latest = weighIns[weighIns.length - 1];
+    const currentWeight = tracking.trendWeight || tracking.currentWeight;
+
+    // Trend change per week, once the recent weigh-ins span at least a week
+    let weeklyTrendChange = null;
+    if (latest) {
+        const earliest = weighIns.find(weighIn => latest.measuredAt - weighIn.measuredAt <= TREND_CHANGE_DAYS * MS_PER_DAY);
+        const spanDays = (latest.measuredAt - earliest.measuredAt) / MS_PER_DAY;
+        if (spanDays >= RECENT_DAYS) {
+            weeklyTrendChange = ((latest.trendWeight - earliest.trendWeight) / spanDays) * 7;
+        }
+    }
+
+    const recentIntake = [];
+    for (let day = 0; day < RECENT_DAYS; day++) {
+        const intake = intakeByDay[toDayKey(asOf.getTime() - day * MS_PER_DAY)];
+        if (intake) recentIntake.push(intake);
+    }
+
+    return {
+        adherence: scoredWeeks.length ? Math.round(scoredWeeks[scoredWeeks.length - 1]) : null,
+        overallAdherence: scoredWeeks.length ? overallAdherence : null,
+        weeklyTrendChange,
+        plateau: plateau ? plateau.status === 'plateau' : null,
+        intakeVsTarget: recentIntake.length && tracking.dailyCalories
+            ? Math.round((recentIntake.reduce((a, b) => a + b, 0) / recentIntake.length / tracking.dailyCalories) * 100)
+            : null,
+        loggedDays: recentIntake.length,
+        daysSinceWeighIn: latest ? Math.floor((asOf - latest.measuredAt) / MS_PER_DAY) : null,
+        weightLeft: Math.round(Math.abs(currentWeight - tracking.goalWeight) * 10) / 10,
+        progressPercentage: tracking.progressPercentage !== undefined ? tracking.progressPercentage : null,
+        weeksElapsed: Math.floor(getPlanElapsed(asOf, tracking.createdAt, getPauseIntervals(tracking, asOf)) / (7 * MS_PER_DAY)),
+        averageSleepHours: sleepAnalysis && sleepAnalysis.averageSleepHours ? sleepAnalysis.averageSleepHours : null
+    };
+}
+
+// Runs the admin-managed rules over the plan. Best days come from the user's
+// own logged intake per weekday over the last few weeks.
+async function generateRecommendations(userId, tracking, weighIns, plateau, sleepAnalysis) {
+    const { weeklyProgress } = tracking;
 
     if (!weeklyProgress.length) {
         return {
@@ -396,48 +1234,184 @@ function generateRecommendations(tracking) {
         };
     }
 
-    const lastProgress = weeklyProgress.slice(-1)[0];
-    const weightLeft = currentWeight - goalWeight;
+    const goalType = tracking.goalType || 'lose';
+    const asOf = tracking.endedAt || new Date();
+    const windowStart = new Date(Math.max(new Date(tracking.createdAt).getTime(), asOf.getTime() - RECOMMENDATION_WINDOW_DAYS * MS_PER_DAY));
+
+    const [rules, foodEntries] = await Promise.all([
+        RecommendationRule.find({ enabled: true }).lean(),
+        FoodLog.find({ user: userId, consumedAt: { $gte: windowStart, $lte: asOf } }).select('calories consumedAt')
+    ]);
+    const intakeByDay = sumIntakeByDay(foodEntries);
+
+    const metrics = buildRecommendationMetrics(tracking, weighIns, plateau, sleepAnalysis, intakeByDay, asOf);
+    const items = evaluateRules(rules, metrics, goalType);
+    const { bestDays, adherenceByWeekday } = calculateBestDays(intakeByDay, tracking.dailyCalories, windowStart, asOf);
+
+    const plateauSuggestions = getPlateauSuggestions(plateau, {
+        goalType,
+        dailyCalories: tracking.dailyCalories,
+        energyModel: tracking.energyModel,
+        activityLevel: tracking.activityLevel,
+        sex: tracking.sex
+    });
+
+    // The highest-priority rule with a focus area wins; the fixed focus areas
+    // still apply if no rule matches (e.g. before the rules are seeded)
+    const focusItem = items.find(item => item.focusArea);
+    const fallbackFocus = plateauSuggestions.length ? 'Break through your plateau' : getFocusArea(goalType, metrics.weightLeft);
 
     return {
-        bestDays: weightLeft > 5 ? ['Monday', 'Wednesday', 'Friday'] : ['Tuesday', 'Thursday'],
-        sleepCorrelation: weightLeft < 2 ? 'Positive' : 'Negative',
-        focusAreas: weightLeft > 5 ? 'Increase physical activity' : 'Maintain consistency',
+        bestDays,
+        bestDaysBasis: adherenceByWeekday,
+        sleepCorrelation: sleepAnalysis ? sleepAnalysis.label : null,
+        sleepAnalysis,
+        focusAreas: focusItem ? focusItem.focusArea : fallbackFocus,
+        items,
+        plateauSuggestions
     };
 }
 
+// Plateau check over the plan's configured window, as of the plan end for closed plans
+function detectPlateauForPlan(tracking, weighIns) {
+    return detectPlateau(weighIns, {
+        goalType: tracking.goalType,
+        windowDays: tracking.plateauWindowDays || PLATEAU_DEFAULTS.windowDays,
+        asOf: tracking.endedAt || new Date()
+    });
+}
+
+function getFocusArea(goalType, weightLeft) {
+    switch (goalType) {
+        case 'gain':
+            return weightLeft > 2
+                ? 'Hit your protein target and keep progressive strength training'
+                : 'Ease the surplus as you approach your goal';
+        case 'maintain':
+            return weightLeft > 1
+                ? 'Bring intake back to maintenance to return to your target weight'
+                : 'Keep intake close to maintenance and weigh in regularly';
+        default:
+            return weightLeft > 5 ? 'Increase physical activity' : 'Maintain consistency';
+    }
+}
+
 
 exports.getTracking = async (req, res) => {
     try {
         const { userId } = req.params;
-        const tracking = await Tracking.findOne({ user: userId }).sort({ createdAt: -1 });
+        const user = await User.findById(userId).select('unitSystem');
+
+        const unitSystem = resolveUnitSystem(req.query.unitSystem, user && user.unitSystem);
+        if (!isValidUnitSystem(unitSystem)) {
+            return res.status(400).json({ error: 'Invalid unit system. Must be metric or imperial' });
+        }
+
+        const tracking = await findPlanForDisplay(userId);
 
         if (!tracking) {
             return res.status(404).json({ error: 'No tracking data found' });
         }
 
-        const weeklyProgress = await generateProgressProjection(userId, tracking, tracking.createdAt);
+        const weighIns = await loadWeighIns(tracking);
+        const weeklyProgress = generateProgressProjection(tracking, weighIns);
 
         const trackingDetails = {
             userId: tracking.user,
+            trackingId: tracking._id,
+            status: tracking.status,
+            pauses: tracking.pauses,
+            goalType: tracking.goalType,
+            startingWeight: getStartingWeight(tracking),
             currentWeight: tracking.currentWeight,
+            trendWeight: tracking.trendWeight,
             goalWeight: tracking.goalWeight,
             dailyCalories: tracking.dailyCalories,
-            mealDistribution: tracking.mealDistribution,
+            mealDistribution: await applyMealRecommendations(tracking.toObject().mealDistribution, tracking.user, tracking.macroPreset),
+            macroTargets: tracking.macroTargets,
+            energyModel: tracking.energyModel,
+            safetyWarnings: tracking.safetyWarnings,
             weeklyProgress,
             progressPercentage: tracking.progressPercentage,
-            recommendations: tracking.recommendations,
+            recommendations: tracking.toObject().recommendations,
             progressNotes: tracking.progressNotes,
-            progressPatterns: detectProgressPatterns(weeklyProgress),
-            chartData: generateChartData(tracking)
+            progressPatterns: {
+                ...detectProgressPatterns(getWeeklyWeights(weeklyProgress), tracking.goalType),
+                plateau: detectPlateauForPlan(tracking, weighIns)
+            },
+            plateaus: tracking.toObject().plateaus,
+            chartData: generateChartData(tracking, weighIns, weeklyProgress)
         };
 
-        res.status(200).json(trackingDetails);
+        res.status(200).json(renderTrackingUnits(trackingDetails, unitSystem));
     } catch (error) {
         handleError(res, error, 'Tracking Retrieval Error');
     }
 };
 
+// When the goal will be reached at the current trend, with optimistic and
+// pessimistic dates and the weekly rate still needed to meet the deadline
+exports.getForecast = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const unitSystem = resolveUnitSystem(req.query.unitSystem, req.user.unitSystem);
+        if (!isValidUnitSystem(unitSystem)) {
+            return res.status(400).json({ error: 'Invalid unit system. Must be metric or imperial' });
+        }
+
+        const tracking = await findPlanForDisplay(userId);
+
+        if (!tracking) {
+            return res.status(404).json({ error: 'No tracking data found' });
+        }
+
+        const weighIns = await loadWeighIns(tracking);
+        const weeklyProgress = generateProgressProjection(tracking, weighIns);
+        const forecast = buildForecast(tracking, weighIns);
+
+        res.status(200).json(renderTrackingUnits({
+            trackingId: tracking._id,
+            status: tracking.status,
+            goalType: tracking.goalType,
+            currentWeight: tracking.currentWeight,
+            trendWeight: tracking.trendWeight,
+            goalWeight: tracking.goalWeight,
+            durationWeeks: tracking.durationWeeks,
+            forecast,
+            chartData: {
+                progressTrend: buildProgressTrend(tracking, weeklyProgress, forecast)
+            }
+        }, unitSystem));
+    } catch (error) {
+        handleError(res, error, 'Forecast Retrieval Error');
+    }
+};
+
+// Current (or latest) plan with everything derived from its weigh-ins,
+// rendered in the given unit system. Used by the export endpoints.
+exports.buildTrackingReport = async (userId, unitSystem) => {
+    const tracking = await findPlanForDisplay(userId);
+    if (!tracking) return null;
+
+    const weighIns = await loadWeighIns(tracking);
+    const weeklyProgress = generateProgressProjection(tracking, weighIns);
+
+    return renderTrackingUnits({
+        ...tracking.toJSON(),
+        startingWeight: getStartingWeight(tracking),
+        outcome: tracking.endedAt ? tracking.outcome : tracking.getOutcome(),
+        weeklyProgress,
+        progressPatterns: {
+            ...detectProgressPatterns(getWeeklyWeights(weeklyProgress), tracking.goalType),
+            plateau: detectPlateauForPlan(tracking, weighIns)
+        },
+        adherenceMetrics: calculateAdherenceMetrics(tracking, weeklyProgress),
+        chartData: generateChartData(tracking, weighIns, weeklyProgress),
+        forecast: buildForecast(tracking, weighIns)
+    }, unitSystem);
+};
+
 exports.getTrackingHistory = async (req, res) => {
     try {
         const { id: userId } = req.params;
@@ -448,20 +1422,22 @@ exports.getTrackingHistory = async (req, res) => {
             return res.status(404).json({ error: 'No tracking history found' });
         }
 
-        res.status(200).json(trackingHistory);
+        const user = await User.findById(userId).select('unitSystem');
+        const unitSystem = resolveUnitSystem(req.query.unitSystem, user && user.unitSystem);
+        if (!isValidUnitSystem(unitSystem)) {
+            return res.status(400).json({ error: 'Invalid unit system. Must be metric or imperial' });
+        }
+
+        // Open plans report their outcome so far
+        res.status(200).json(trackingHistory.map(tracking => renderTrackingUnits({
+            ...tracking.toJSON(),
+            outcome: tracking.endedAt ? tracking.outcome : tracking.getOutcome()
+        }, unitSystem)));
     } catch (error) {
         handleError(res, error, 'Tracking History Retrieval Error');
     }
 };
 
-function handleError(res, error, logMessage) {
-    res.status(500).json({
-        error: logMessage.replace('Error', 'failed'),
-        details: error.message
-    });
-}
-
-
 exports.getAllTracking = async (req, res) => {
     const startTime = performance.now();
     try {
@@ -473,38 +1449,59 @@ exports.getAllTracking = async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        // Get latest tracking data
-        const tracking = await Tracking.findOne({ user: userId })
-            .select('-__v')
-            .sort({ createdAt: -1 });
+        const unitSystem = resolveUnitSystem(req.query.unitSystem, user.unitSystem);
+        if (!isValidUnitSystem(unitSystem)) {
+            return res.status(400).json({ error: 'Invalid unit system. Must be metric or imperial' });
+        }
+
+        const tracking = await findPlanForDisplay(userId);
 
         if (!tracking) {
             return res.status(404).json({ error: 'No tracking data found' });
         }
      
 
-        const weeklyProgress = await generateProgressProjection(userId, tracking, tracking.createdAt);
-        const progressPatterns = detectProgressPatterns(weeklyProgress);
-        const chartData = generateChartData(tracking);
-        const recommendations = generateRecommendations(tracking);
+        const weighIns = await loadWeighIns(tracking);
+        const weeklyProgress = generateProgressProjection(tracking, weighIns);
+        const plateau = detectPlateauForPlan(tracking, weighIns);
+        const progressPatterns = {
+            ...detectProgressPatterns(getWeeklyWeights(weeklyProgress), tracking.goalType),
+            plateau
+        };
+        const chartData = generateChartData(tracking, weighIns, weeklyProgress);
+        const recommendations = await generateRecommendations(user._id, tracking, weighIns, plateau, await buildSleepAnalysis(user._id, tracking, weighIns));
         const adherenceMetrics = calculateAdherenceMetrics(tracking, weeklyProgress);
 
         const standardizedTracking = {
-            tracking: {
+            tracking: renderTrackingUnits({
                 user: tracking.user,
                 userId: tracking.user,
+                startingWeight: getStartingWeight(tracking),
                 currentWeight: tracking.currentWeight,
+                trendWeight: tracking.trendWeight,
                 age: tracking.age,
                 height: tracking.height,
                 activityLevel: tracking.activityLevel,
+                sex: tracking.sex,
+                bodyFatPercentage: tracking.bodyFatPercentage,
+                status: tracking.status,
+                pauses: tracking.pauses,
+                endedAt: tracking.endedAt,
+                goalType: tracking.goalType,
                 goalWeight: tracking.goalWeight,
                 durationWeeks: tracking.durationWeeks,
                 dailyCalories: tracking.dailyCalories,
-                mealDistribution: tracking.mealDistribution,
+                mealDistribution: await applyMealRecommendations(tracking.toObject().mealDistribution, tracking.user, tracking.macroPreset),
+                macroTargets: tracking.macroTargets,
+                energyModel: tracking.energyModel,
+                safetyWarnings: tracking.safetyWarnings,
                 weeklyProgress: weeklyProgress,
                 recommendations: recommendations,
                 progressNotes: tracking.progressNotes,
                 progressPatterns: progressPatterns,
+                plateauWindowDays: tracking.plateauWindowDays || PLATEAU_DEFAULTS.windowDays,
+                exerciseEatBackFraction: tracking.exerciseEatBackFraction || 0,
+                plateaus: tracking.toObject().plateaus,
                 adherenceMetrics: adherenceMetrics,
                 chartData: chartData,
                 _id: tracking._id,
@@ -512,7 +1509,7 @@ exports.getAllTracking = async (req, res) => {
                 updatedAt: tracking.updatedAt,
                 __v: tracking.__v,
                 id: tracking._id
-            },
+            }, unitSystem),
             processingTime: performance.now() - startTime
         };
 
@@ -548,26 +1545,42 @@ function calculateWeightChanges(trackingHistory) {
 }
 
 function calculateAdherenceMetrics(tracking, weeklyProgress) {
-    const goalWeight = tracking.goalWeight;
-    const initialWeight = tracking.currentWeight;
-    const expectedWeeklyChange = (initialWeight - goalWeight) / tracking.durationWeeks;
-    
+    // Weeks without a weigh-in have no score and break the streak
     const adherenceScores = weeklyProgress.map(week => {
-        const expectedWeight = initialWeight - (expectedWeeklyChange * week.week);
-        const actualWeight = week.currentWeight;
-        const difference = Math.abs(expectedWeight - actualWeight);
-        return Math.max(0, 100 - (difference * 10));
+        if (week.currentWeight === null || week.currentWeight === undefined) return null;
+        return scoreWeekForGoal(tracking.goalType, week.predictedWeight, getWeekWeight(week));
     });
 
+    const scoredWeeks = adherenceScores.filter(score => score !== null);
+    const weeklyWeights = getWeeklyWeights(weeklyProgress);
+
     return {
-        overallAdherence: Math.round(adherenceScores.reduce((a, b) => a + b, 0) / adherenceScores.length),
+        overallAdherence: scoredWeeks.length
+            ? Math.round(scoredWeeks.reduce((a, b) => a + b, 0) / scoredWeeks.length)
+            : 0,
         weeklyAdherence: adherenceScores,
         streak: calculateStreak(adherenceScores),
-        consistencyScore: calculateConsistencyScore(weeklyProgress.map(w => w.currentWeight), 
-            weeklyProgress.length > 0 ? weeklyProgress[0].currentWeight : initialWeight)
+        consistencyScore: calculateConsistencyScore(weeklyWeights,
+            weeklyWeights.length > 0 ? weeklyWeights[0] : getStartingWeight(tracking))
     };
 }
 
+// Falling behind the plan costs more than getting ahead of it; maintenance
+// plans are scored against a tolerance band around the target weight
+function scoreWeekForGoal(goalType = 'lose', predictedWeight, actualWeight) {
+    const difference = actualWeight - predictedWeight;
+
+    if (goalType === 'maintain') {
+        const drift = Math.max(0, Math.abs(difference) - 1);
+        return Math.max(0, 100 - (drift * 20));
+    }
+
+    const behindSchedule = goalType === 'lose' ? difference > 0 : difference < 0;
+    const penalty = behindSchedule ? 10 : 5;
+
+    return Math.max(0, 100 - (Math.abs(difference) * penalty));
+}
+
 function calculateStreak(adherenceScores) {
     let currentStreak = 0;
     let bestStreak = 0;
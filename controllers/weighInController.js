@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const WeighIn = require('../models/weighInModel');
+const {
+    isValidUnitSystem,
+    resolveUnitSystem,
+    fromCanonicalWeight,
+    weightLabel
+} = require('../helpers/unitsHelper');
+const { parseDateRange } = require('../helpers/dateHelper');
+const { handleError } = require('../helpers/errorHelper');
+
+exports.getWeighIns = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { from, to, trackingId } = req.query;
+
+        const unitSystem = resolveUnitSystem(req.query.unitSystem, req.user.unitSystem);
+        if (!isValidUnitSystem(unitSystem)) {
+            return res.status(400).json({ error: 'Invalid unit system. Must be metric or imperial' });
+        }
+
+        if (trackingId && !mongoose.isValidObjectId(trackingId)) {
+            return res.status(400).json({ error: 'Invalid tracking id' });
+        }
+
+        const filter = { user: userId };
+        if (trackingId) filter.tracking = trackingId;
+        if (from || to) {
+            const range = parseDateRange(from, to);
+            if (!range) {
+                return res.status(400).json({ error: 'Invalid from or to date' });
+            }
+            filter.measuredAt = range;
+        }
+
+        const weighIns = await WeighIn.find(filter).sort({ measuredAt: 1 });
+
+        res.status(200).json({
+            unitSystem,
+            unit: weightLabel(unitSystem),
+            weighIns: weighIns.map(weighIn => ({
+                ...weighIn.toJSON(),
+                weight: fromCanonicalWeight(weighIn.weight, unitSystem),
+                trendWeight: fromCanonicalWeight(weighIn.trendWeight, unitSystem)
+            }))
+        });
+    } catch (error) {
+        handleError(res, error, 'Weigh-in Retrieval Error');
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,87 @@
+// Badge catalogue and the pure streak/milestone checks behind
+// controllers/achievementController.
+const { MS_PER_DAY } = require('./dateHelper');
+
+// scope 'plan' badges can be earned once per plan, 'user' badges once ever
+exports.BADGES = {
+    firstWeighIn: { title: 'First step', description: 'Logged your first weigh-in', scope: 'user' },
+    firstFoodLog: { title: 'First bite', description: 'Logged your first meal', scope: 'user' },
+    loggingStreak7: { title: 'Week of logging', description: 'Logged food 7 days in a row', scope: 'user', streak: 'logging', length: 7 },
+    loggingStreak30: { title: 'Month of logging', description: 'Logged food 30 days in a row', scope: 'user', streak: 'logging', length: 30 },
+    loggingStreak100: { title: 'Logging centurion', description: 'Logged food 100 days in a row', scope: 'user', streak: 'logging', length: 100 },
+    weighInStreak4: { title: 'Regular on the scale', description: 'Weighed in 4 weeks in a row', scope: 'user', streak: 'weighIn', length: 4 },
+    weighInStreak12: { title: 'Scale habit', description: 'Weighed in 12 weeks in a row', scope: 'user', streak: 'weighIn', length: 12 },
+    adherenceStreak4: { title: 'On track', description: 'Stayed on plan 4 weeks in a row', scope: 'user', streak: 'adherence', length: 4 },
+    fivePercentLost: { title: 'First 5%', description: 'Lost 5% of your starting weight', scope: 'plan', goalTypes: ['lose'] },
+    halfwayToGoal: { title: 'Halfway there', description: 'Made it halfway to your goal weight', scope: 'plan', goalTypes: ['lose', 'gain'] },
+    goalReached: { title: 'Goal reached', description: 'Reached your goal weight', scope: 'plan', goalTypes: ['lose', 'gain'] }
+};
+
+const FIVE_PERCENT = 0.05;
+
+// Day 0 is 1970-01-01, a Thursday; shifting by 3 makes weeks start on Monday
+exports.toDayNumber = (date) => Math.floor(new Date(date).getTime() / MS_PER_DAY);
+exports.toWeekNumber = (dayNumber) => Math.floor((dayNumber + 3) / 7);
+
+// Current and best run of consecutive periods (day or week numbers). The current
+// run holds until the period after currentPeriod is missed, so it isn't lost
+// before today's entry is logged.
+exports.calculateRunStreak = (periods, currentPeriod) => {
+    const sorted = [...new Set(periods)].sort((a, b) => a - b);
+
+    let best = 0;
+    let run = 0;
+    for (let i = 0; i < sorted.length; i++) {
+        run = i > 0 && sorted[i] === sorted[i - 1] + 1 ? run + 1 : 1;
+        best = Math.max(best, run);
+    }
+
+    const last = sorted[sorted.length - 1];
+    const current = last !== undefined && last >= currentPeriod - 1 ? run : 0;
+
+    return { current, best };
+};
+
+// Plan milestones use the trend weight (isGoalReached included) so one light
+// reading can't award them
+function getPlanMilestones(tracking) {
+    const startingWeight = tracking.startingWeight;
+    const weight = tracking.trendWeight || tracking.currentWeight;
+    if (!startingWeight || !weight || !tracking.goalWeight) return [];
+
+    const goalType = tracking.goalType || 'lose';
+    const milestones = [];
+
+    if (goalType === 'lose' && startingWeight - weight >= startingWeight * FIVE_PERCENT) {
+        milestones.push('fivePercentLost');
+    }
+    if (goalType !== 'maintain' && tracking.calculateProgressPercentage >= 50) {
+        milestones.push('halfwayToGoal');
+    }
+    if (tracking.isGoalReached) {
+        milestones.push('goalReached');
+    }
+
+    return milestones.map(badge => ({
+        badge,
+        tracking: tracking._id,
+        data: { weight: Math.round(weight * 10) / 10, startingWeight, goalWeight: tracking.goalWeight }
+    }));
+}
+
+// Every badge the user qualifies for; the caller skips ones already awarded
+exports.getEarnedBadges = ({ streaks, weighInCount, foodLogCount, tracking }) => {
+    const earned = [];
+
+    if (weighInCount > 0) earned.push({ badge: 'firstWeighIn', tracking: null });
+    if (foodLogCount > 0) earned.push({ badge: 'firstFoodLog', tracking: null });
+
+    for (const [badge, definition] of Object.entries(exports.BADGES)) {
+        const streak = definition.streak && streaks[definition.streak];
+        if (streak && streak.best >= definition.length) {
+            earned.push({ badge, tracking: null, data: { streak: streak.best } });
+        }
+    }
+
+    return tracking ? [...earned, ...getPlanMilestones(tracking)] : earned;
+};
@@ -16,53 +16,36 @@ const emailTransporter = () => {
   });
 };
 
-exports.sendWelcomeEmail = async (email, username) => {
-  if (!email || !username) {
-    throw new Error('Email and username are required to send a welcome email.');
-  }
-
-  try {
-    const welcomePath = path.join(__dirname, '../client/welcome.html');
-    const welcomeTemplate = fs.readFileSync(welcomePath, 'utf-8');
-    const personalizedTemplate = welcomeTemplate.replace('{{username}}', username);
-
-    const mailOptions = {
-      from: process.env.EMAIL,
-      to: email,
-      subject: 'Welcome to SlimPath!',
-      html: personalizedTemplate,
-    };
-
-    const transporter = emailTransporter();
-    const info = await transporter.sendMail(mailOptions);
-    return { success: true, message: 'Welcome email sent successfully.' };
-  } catch (error) {
-    throw new Error('Failed to send the welcome email.');
-  }
+exports.sendEmail = async ({ to, subject, html, text }) => {
+  const mailOptions = {
+    from: process.env.EMAIL,
+    to,
+    subject,
+    html,
+    text,
+  };
+
+  const transporter = emailTransporter();
+  await transporter.sendMail(mailOptions);
 };
 
-exports.sendResetEmail = async (username, email, resetToken) => {
-  
-  try {
-    const welcomePath = path.join(__dirname, '../client/emailReset.html');
-    const welcomeTemplate = fs.readFileSync(welcomePath, 'utf-8');
-    const resetUrl = `${process.env.RESETLINK}/authentication/reset/${resetToken}`;
-    const personalizedTemplate = welcomeTemplate.replace('{{username}}', username).replace('{{resetUrl}}', resetUrl);
-    
-    const mailOptions = {
-      from: process.env.EMAIL,
-      to: email,
-      subject: 'Password Reset Request',
-      html: personalizedTemplate,
+exports.renderWelcomeEmail = (username) => {
+  const welcomePath = path.join(__dirname, '../client/welcome.html');
+  const welcomeTemplate = fs.readFileSync(welcomePath, 'utf-8');
 
-    };
-
-    const transporter = emailTransporter();
-    await transporter.sendMail(mailOptions);
-  } catch (error) {
-    console.error('Error sending reset email:', error);
-  }
+  return {
+    subject: 'Welcome to SlimPath!',
+    html: welcomeTemplate.replace('{{username}}', username),
+  };
 };
 
+exports.renderResetEmail = (username, resetToken) => {
+  const resetPath = path.join(__dirname, '../client/emailReset.html');
+  const resetTemplate = fs.readFileSync(resetPath, 'utf-8');
+  const resetUrl = `${process.env.RESETLINK}/authentication/reset/${resetToken}`;
 
-
+  return {
+    subject: 'Password Reset Request',
+    html: resetTemplate.replace('{{username}}', username).replace('{{resetUrl}}', resetUrl),
+  };
+};
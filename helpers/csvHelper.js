@@ -0,0 +1,74 @@
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMERIC = /^[+-]?\d+(\.\d+)?$/;
+
+// Quote a value when it contains a delimiter, quote or line break. Text that a
+// spreadsheet would run as a formula (=, +, -, @) gets a leading ' so user
+// entered names and notes can't inject one; plain numbers are left as they are.
+function escapeCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value !== 'number' && FORMULA_PREFIX.test(text) && !NUMERIC.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+exports.escapeCell = escapeCell;
+
+// columns: [{ key, header }]; rows: plain objects
+exports.toCSV = (columns, rows) => {
+    const lines = [columns.map(column => escapeCell(column.header || column.key)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCell(row[column.key])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+};
+
+// Splits CSV text into rows of cells. Handles quoted cells with embedded
+// delimiters, doubled quotes and line breaks; blank lines are dropped.
+exports.parseCSV = (text, delimiter = ',') => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const source = String(text).replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Comma unless the header line has more semicolons or tabs
+exports.detectDelimiter = (text) => {
+    const header = String(text).split(/\r?\n/, 1)[0];
+    const count = (char) => header.split(char).length - 1;
+    return [';', '\t'].reduce((best, char) => (count(char) > count(best) ? char : best), ',');
+};
@@ -0,0 +1,115 @@
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+exports.MS_PER_DAY = MS_PER_DAY;
+
+// Day boundaries are UTC; `date` is an optional YYYY-MM-DD string
+exports.getDayRange = (date) => {
+    const start = date ? new Date(`${date}T00:00:00.000Z`) : new Date();
+    if (isNaN(start.getTime())) return null;
+
+    start.setUTCHours(0, 0, 0, 0);
+    const end = new Date(start.getTime() + MS_PER_DAY);
+    return { start, end };
+};
+
+// Mongo range for optional from / to query dates, or null when either is not a date
+exports.parseDateRange = (from, to) => {
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = new Date(to);
+    return Object.values(range).some(date => isNaN(date.getTime())) ? null : range;
+};
+
+exports.toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Item whose date is closest to `date`, or null when none is within toleranceDays
+exports.findNearest = (items, date, getDate, toleranceDays) => {
+    let nearest = null;
+    let nearestDistance = toleranceDays * MS_PER_DAY;
+
+    for (const item of items) {
+        const distance = Math.abs(new Date(getDate(item)) - date);
+        if (distance <= nearestDistance) {
+            nearest = item;
+            nearestDistance = distance;
+        }
+    }
+
+    return nearest;
+};
+
+exports.isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Wall-clock parts of `date` in `timeZone`
+function getLocalParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date);
+
+    const value = (type) => parts.find(part => part.type === type).value;
+    return {
+        year: Number(value('year')),
+        month: Number(value('month')),
+        day: Number(value('day')),
+        hour: Number(value('hour')),
+        minute: Number(value('minute')),
+        second: Number(value('second')),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(value('weekday'))
+    };
+}
+
+exports.getLocalParts = getLocalParts;
+
+// Milliseconds `timeZone` is ahead of UTC at `date`
+function getTimeZoneOffset(date, timeZone) {
+    const local = getLocalParts(date, timeZone);
+    const asUTC = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+    return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// UTC instant of a wall-clock time; times skipped by a DST change land an hour later
+function fromLocalTime(year, month, day, hour, minute, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const firstOffset = getTimeZoneOffset(new Date(guess), timeZone);
+    const first = guess - firstOffset;
+    const secondOffset = getTimeZoneOffset(new Date(first), timeZone);
+    if (firstOffset === secondOffset) return new Date(first);
+
+    const second = guess - secondOffset;
+    return new Date(getTimeZoneOffset(new Date(second), timeZone) === secondOffset ? second : Math.max(first, second));
+}
+
+// Next instant after `after` that is `time` (HH:MM) in `timeZone` on one of
+// `daysOfWeek` (0 = Sunday); every day when daysOfWeek is empty
+exports.nextLocalTime = (time, timeZone, daysOfWeek = [], after = new Date()) => {
+    const [hour, minute] = time.split(':').map(Number);
+    const today = getLocalParts(after, timeZone);
+
+    for (let offset = 0; offset <= 7; offset++) {
+        const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        if (daysOfWeek.length && !daysOfWeek.includes(date.getUTCDay())) continue;
+
+        const candidate = fromLocalTime(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hour, minute, timeZone);
+        if (candidate > after) return candidate;
+    }
+
+    return null;
+};
+
+exports.isValidLocalTime = (time) => typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
@@ -0,0 +1,116 @@
+const path = require('path');
+const fs = require('fs');
+const { MS_PER_DAY, toDayKey } = require('./dateHelper');
+
+const DIGEST_TEMPLATE = path.join(__dirname, '../client/weeklyDigest.html');
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Change in trend weight from the last reading before the week to the last one in it
+function getWeekChange(weightProgress, weekStart, weekEnd) {
+    const trendOf = (point) => (point.trendWeight !== undefined && point.trendWeight !== null ? point.trendWeight : point.weight);
+    const during = weightProgress.filter(point => new Date(point.date) >= weekStart && new Date(point.date) <= weekEnd);
+    const before = weightProgress.filter(point => new Date(point.date) < weekStart).pop();
+
+    const baseline = before || during[0];
+    const latest = during[during.length - 1];
+    return {
+        weighIns: during.length,
+        change: latest && baseline && latest !== baseline ? round1(trendOf(latest) - trendOf(baseline)) : null
+    };
+}
+
+// Last seven days of a rendered tracking report (see buildTrackingReport), in
+// the report's unit system
+exports.buildDigestSummary = (report, asOf = new Date()) => {
+    const weekStart = new Date(asOf.getTime() - 7 * MS_PER_DAY);
+    const weightProgress = (report.chartData && report.chartData.weightProgress) || [];
+    const adherence = report.adherenceMetrics || {};
+    const recommendations = report.recommendations || {};
+    const forecast = report.forecast || {};
+
+    // The latest week with a weigh-in; later weeks are still projections
+    const scored = (adherence.weeklyAdherence || []).filter(score => score !== null && score !== undefined);
+
+    const focusItems = (recommendations.plateauSuggestions || []).map(suggestion => suggestion.message);
+    if (recommendations.bestDays && recommendations.bestDays.length) {
+        focusItems.push(`Plan your weigh-ins and meal prep for ${recommendations.bestDays.join(', ')}.`);
+    }
+
+    return {
+        weekStart,
+        weekEnd: asOf,
+        unit: report.units.weight,
+        ...getWeekChange(weightProgress, weekStart, asOf),
+        trendWeight: report.trendWeight,
+        goalWeight: report.goalWeight,
+        weekAdherence: scored.length ? Math.round(scored[scored.length - 1]) : null,
+        overallAdherence: adherence.overallAdherence,
+        streak: adherence.streak || { current: 0, best: 0 },
+        forecast: {
+            status: forecast.status,
+            projectedDate: forecast.projectedDate,
+            optimisticDate: forecast.optimisticDate,
+            pessimisticDate: forecast.pessimisticDate
+        },
+        focusArea: recommendations.focusAreas || 'Keep logging your weight and meals',
+        focusItems
+    };
+};
+
+function describeForecast(forecast) {
+    switch (forecast.status) {
+        case 'reached':
+            return 'Goal reached';
+        case 'progressing':
+            return forecast.optimisticDate && forecast.pessimisticDate
+                ? `${toDayKey(forecast.projectedDate)} (${toDayKey(forecast.optimisticDate)} to ${toDayKey(forecast.pessimisticDate)})`
+                : toDayKey(forecast.projectedDate);
+        case 'stalled':
+            return 'Not moving towards the goal yet';
+        default:
+            return 'Not enough weigh-ins yet';
+    }
+}
+
+// One-line version for push and the in-app inbox
+exports.describeDigest = (summary) => {
+    const parts = [];
+    if (summary.change !== null) parts.push(`Trend ${summary.change > 0 ? '+' : ''}${summary.change} ${summary.unit} this week`);
+    if (summary.weekAdherence !== null) parts.push(`${summary.weekAdherence}% adherence`);
+    parts.push(`Focus: ${summary.focusArea}`);
+    return parts.join('. ') + '.';
+};
+
+// Fills the digest template; every value is escaped before it is inserted
+exports.renderDigestEmail = ({ username, summary, unsubscribeUrl }) => {
+    const { unit } = summary;
+    const formatWeight = (value) => (value === null || value === undefined ? '-' : `${value} ${unit}`);
+
+    const values = {
+        username,
+        weekRange: `${toDayKey(summary.weekStart)} to ${toDayKey(summary.weekEnd)}`,
+        weightChange: summary.change === null
+            ? (summary.weighIns ? 'Log one more weigh-in to see a change' : 'No weigh-ins this week')
+            : `${summary.change > 0 ? '+' : ''}${formatWeight(summary.change)}`,
+        trendWeight: formatWeight(summary.trendWeight),
+        adherence: summary.weekAdherence === null ? '-' : `${summary.weekAdherence}%`,
+        streak: `${summary.streak.current} weeks (best ${summary.streak.best})`,
+        forecast: describeForecast(summary.forecast),
+        focusArea: summary.focusArea,
+        unsubscribeUrl
+    };
+
+    const template = fs.readFileSync(DIGEST_TEMPLATE, 'utf-8');
+    const focusItems = summary.focusItems.map(item => `<li>${escapeHtml(item)}</li>`).join('\n');
+
+    return Object.keys(values)
+        .reduce((html, key) => html.split(`{{${key}}}`).join(escapeHtml(values[key])), template)
+        .replace('{{focusItems}}', focusItems);
+};
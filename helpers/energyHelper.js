@@ -0,0 +1,148 @@
+// Energy expenditure models. All inputs are canonical units (kg / cm).
+const { fitLinearTrend } = require('./trendHelper');
+
+exports.SEXES = ['male', 'female'];
+exports.BMR_MODELS = ['mifflinStJeor', 'harrisBenedict', 'katchMcArdle'];
+
+exports.GOAL_TYPES = ['lose', 'maintain', 'gain'];
+
+// Explicit goal type wins, otherwise it follows the direction of the goal weight
+exports.resolveGoalType = (requested, currentWeight, goalWeight) => {
+    if (requested) return requested;
+    if (goalWeight === undefined || goalWeight === null || goalWeight === currentWeight) return 'maintain';
+    return goalWeight < currentWeight ? 'lose' : 'gain';
+};
+
+exports.ACTIVITY_MULTIPLIERS = {
+    sedentary: 1.2,
+    lightlyActive: 1.375,
+    moderatelyActive: 1.55,
+    veryActive: 1.725,
+    extraActive: 1.9
+};
+
+const bmrFormulas = {
+    // Mifflin-St Jeor (1990)
+    mifflinStJeor: ({ weight, height, age }, sex) => {
+        const base = 10 * weight + 6.25 * height - 5 * age;
+        return sex === 'female' ? base - 161 : base + 5;
+    },
+    // Harris-Benedict, revised by Roza & Shizgal (1984)
+    harrisBenedict: ({ weight, height, age }, sex) => {
+        if (sex === 'female') {
+            return 447.593 + 9.247 * weight + 3.098 * height - 4.330 * age;
+        }
+        return 88.362 + 13.397 * weight + 4.799 * height - 5.677 * age;
+    },
+    // Katch-McArdle, based on lean body mass so sex is not needed
+    katchMcArdle: ({ weight, bodyFatPercentage }) => {
+        const leanMass = weight * (1 - bodyFatPercentage / 100);
+        return 370 + 21.6 * leanMass;
+    }
+};
+
+// Shared by plan analysis and body measurements so a reading one accepts
+// never makes the other fail
+exports.MAX_BODY_FAT_PERCENTAGE = 70;
+
+exports.isValidBodyFatPercentage = (bodyFatPercentage) =>
+    typeof bodyFatPercentage === 'number' &&
+    bodyFatPercentage > 0 &&
+    bodyFatPercentage < exports.MAX_BODY_FAT_PERCENTAGE;
+
+// Katch-McArdle whenever body fat is known, Mifflin-St Jeor otherwise
+exports.resolveBmrModel = (requested, bodyFatPercentage) => {
+    if (requested) return requested;
+    return bodyFatPercentage !== undefined && bodyFatPercentage !== null ? 'katchMcArdle' : 'mifflinStJeor';
+};
+
+exports.calculateBMR = ({ model, sex, weight, height, age, bodyFatPercentage }) => {
+    const formula = bmrFormulas[model];
+    if (!formula) {
+        throw new Error(`Unknown BMR model: ${model}`);
+    }
+
+    if (model === 'katchMcArdle' && (bodyFatPercentage === undefined || bodyFatPercentage === null)) {
+        throw new Error('Body fat percentage is required for the Katch-McArdle model');
+    }
+
+    const params = { weight, height, age: age || 0, bodyFatPercentage };
+
+    // Without a declared sex, average the male and female equations
+    if (!sex) {
+        return (formula(params, 'male') + formula(params, 'female')) / 2;
+    }
+
+    return formula(params, sex);
+};
+
+// ~7700 calories per kilogram of fat
+const KCAL_PER_KG = 7700;
+exports.KCAL_PER_KG = KCAL_PER_KG;
+
+// How far the observed estimate may pull the formula TDEE, by confidence
+const ADAPTIVE_BLEND = {
+    low: 0.15,
+    medium: 0.35,
+    high: 0.6
+};
+
+// Least-squares slope of weight (kg) against time (days)
+function weightSlopePerDay(weighIns) {
+    const origin = new Date(weighIns[0].measuredAt).getTime();
+    return fitLinearTrend(weighIns.map(weighIn => ({
+        x: (new Date(weighIn.measuredAt).getTime() - origin) / (1000 * 60 * 60 * 24),
+        y: weighIn.weight
+    }))).slope;
+}
+
+// Back-calculate maintenance calories from logged intake and the weight trend
+// over the window. `intakeByDay` maps YYYY-MM-DD to the calories logged that day.
+exports.estimateObservedTDEE = (intakeByDay, weighIns, windowDays) => {
+    const loggedDays = Object.keys(intakeByDay).length;
+    const spanDays = weighIns.length > 1
+        ? (new Date(weighIns[weighIns.length - 1].measuredAt) - new Date(weighIns[0].measuredAt)) / (1000 * 60 * 60 * 24)
+        : 0;
+
+    const estimate = {
+        windowDays,
+        loggedDays,
+        weighInCount: weighIns.length,
+        observedTdee: null,
+        averageIntake: null,
+        weightTrendPerWeek: null,
+        confidence: 'insufficient'
+    };
+
+    if (loggedDays < 7 || weighIns.length < 3 || spanDays < 7) {
+        return estimate;
+    }
+
+    const averageIntake = Object.values(intakeByDay).reduce((a, b) => a + b, 0) / loggedDays;
+    const slope = weightSlopePerDay(weighIns);
+    const loggedRatio = loggedDays / windowDays;
+
+    let confidence = 'low';
+    if (loggedRatio >= 0.8 && weighIns.length >= 8) {
+        confidence = 'high';
+    } else if (loggedRatio >= 0.5 && weighIns.length >= 5) {
+        confidence = 'medium';
+    }
+
+    return {
+        ...estimate,
+        observedTdee: Math.round(averageIntake - slope * KCAL_PER_KG),
+        averageIntake: Math.round(averageIntake),
+        weightTrendPerWeek: Math.round(slope * 7 * 100) / 100,
+        confidence
+    };
+};
+
+// Move the formula TDEE part of the way towards the observed one
+exports.blendTDEE = (formulaTdee, estimate) => {
+    if (!estimate || estimate.observedTdee === null || !ADAPTIVE_BLEND[estimate.confidence]) {
+        return formulaTdee;
+    }
+
+    return formulaTdee + ADAPTIVE_BLEND[estimate.confidence] * (estimate.observedTdee - formulaTdee);
+};
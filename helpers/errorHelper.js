@@ -0,0 +1,10 @@
+// Shared 500 response for the controllers. A response that already started
+// streaming (e.g. a PDF export) can't be replaced, so it is left alone.
+exports.handleError = (res, error, logMessage) => {
+    if (res.headersSent) return;
+
+    res.status(500).json({
+        error: logMessage.replace('Error', 'failed'),
+        details: error.message
+    });
+};
@@ -0,0 +1,56 @@
+const { ACTIVITY_MULTIPLIERS } = require('./energyHelper');
+
+exports.INTENSITIES = ['light', 'moderate', 'vigorous'];
+
+// MET values per intensity, from the Compendium of Physical Activities
+exports.MET_VALUES = {
+    walking: { light: 2.8, moderate: 3.5, vigorous: 5.0 },
+    running: { light: 6.0, moderate: 9.8, vigorous: 11.8 },
+    cycling: { light: 4.0, moderate: 6.8, vigorous: 10.0 },
+    swimming: { light: 5.8, moderate: 7.0, vigorous: 9.8 },
+    rowing: { light: 4.8, moderate: 7.0, vigorous: 8.5 },
+    elliptical: { light: 4.6, moderate: 5.0, vigorous: 7.5 },
+    hiking: { light: 5.3, moderate: 6.0, vigorous: 7.8 },
+    strengthTraining: { light: 3.5, moderate: 5.0, vigorous: 6.0 },
+    hiit: { light: 6.0, moderate: 8.0, vigorous: 10.0 },
+    yoga: { light: 2.3, moderate: 3.0, vigorous: 4.0 },
+    dancing: { light: 3.0, moderate: 5.0, vigorous: 7.8 },
+    teamSports: { light: 4.0, moderate: 7.0, vigorous: 10.0 }
+};
+
+exports.EXERCISE_TYPES = Object.keys(exports.MET_VALUES);
+
+exports.isValidEatBackFraction = (fraction) => typeof fraction === 'number' && fraction >= 0 && fraction <= 1;
+
+// Gross calories include the 1 MET the body burns at rest anyway. That resting
+// share is already in TDEE, so only the net calories are added to the budget.
+exports.estimateCaloriesBurned = ({ type, intensity = 'moderate', durationMinutes, weight }) => {
+    const met = exports.MET_VALUES[type][intensity];
+    const hours = durationMinutes / 60;
+
+    return {
+        met,
+        caloriesBurned: Math.round(met * weight * hours),
+        netCalories: Math.round(Math.max(0, met - 1) * weight * hours)
+    };
+};
+
+// Net calories for a user-supplied total, e.g. from a fitness watch
+exports.netFromGross = (caloriesBurned, durationMinutes, weight) =>
+    Math.round(Math.max(0, caloriesBurned - weight * durationMinutes / 60));
+
+// Daily exercise calories each activity level implies on top of a sedentary
+// day. Levels also cover everyday movement, so this is a rough guide only.
+exports.getImpliedActivityLevel = (averageDailyNetCalories, bmr) => {
+    let closest = null;
+
+    for (const [level, multiplier] of Object.entries(ACTIVITY_MULTIPLIERS)) {
+        const impliedCalories = (multiplier - ACTIVITY_MULTIPLIERS.sedentary) * bmr;
+        const distance = Math.abs(impliedCalories - averageDailyNetCalories);
+        if (!closest || distance < closest.distance) {
+            closest = { level, distance };
+        }
+    }
+
+    return closest.level;
+};
@@ -0,0 +1,90 @@
+const { fitLinearTrend } = require('./trendHelper');
+const { MAX_WEEKLY_LOSS_RATE, MAX_WEEKLY_GAIN_RATE } = require('./safetyHelper');
+
+// Only the recent trend is extrapolated; older weigh-ins reflect earlier phases
+exports.FORECAST_WINDOW_DAYS = 28;
+exports.MIN_FORECAST_WEIGH_INS = 3;
+exports.MIN_FORECAST_SPAN_DAYS = 7;
+
+// Goal dates further out than this are reported as unreachable at the current trend
+exports.MAX_FORECAST_DAYS = 730;
+
+const round = (value, places = 2) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+
+// Days until the goal at `rate` kg/day towards it, or null when it is never reached
+function daysAtRate(remaining, rate) {
+    if (rate <= 0) return null;
+    const days = remaining / rate;
+    return days <= exports.MAX_FORECAST_DAYS ? days : null;
+}
+
+// Projects when the goal weight is reached from { day, weight } points, where
+// `day` counts plan days. The optimistic and pessimistic bounds use a ~95%
+// interval on the fitted rate. Days in the result are plan days.
+exports.forecastGoal = (points, { goalType = 'lose', goalWeight, currentDay, deadlineDay }) => {
+    if (goalType === 'maintain') {
+        return { status: 'notApplicable' };
+    }
+
+    const windowPoints = points.filter(point => point.day >= currentDay - exports.FORECAST_WINDOW_DAYS);
+    const fitPoints = windowPoints.length >= exports.MIN_FORECAST_WEIGH_INS ? windowPoints : points;
+    const spanDays = fitPoints.length ? fitPoints[fitPoints.length - 1].day - fitPoints[0].day : 0;
+
+    if (fitPoints.length < exports.MIN_FORECAST_WEIGH_INS || spanDays < exports.MIN_FORECAST_SPAN_DAYS) {
+        return { status: 'insufficient', weighInCount: fitPoints.length };
+    }
+
+    const { slope, intercept, slopeError } = fitLinearTrend(fitPoints.map(point => ({ x: point.day, y: point.weight })));
+
+    // Rates are kg/day, positive when moving towards the goal
+    const direction = goalType === 'gain' ? 1 : -1;
+    const rate = direction * slope;
+    const optimisticRate = rate + 2 * slopeError;
+    const pessimisticRate = rate - 2 * slopeError;
+
+    const trendWeight = intercept + slope * currentDay;
+    const remaining = direction * (goalWeight - trendWeight);
+
+    const daysLeft = deadlineDay - currentDay;
+    const maxWeeklyRate = (goalType === 'gain' ? MAX_WEEKLY_GAIN_RATE : MAX_WEEKLY_LOSS_RATE) * trendWeight;
+    const requiredWeeklyRate = remaining > 0 && daysLeft > 0 ? remaining / daysLeft * 7 : null;
+
+    const forecast = {
+        status: 'progressing',
+        weighInCount: fitPoints.length,
+        windowDays: round(spanDays, 1),
+        trendWeight: round(trendWeight),
+        weeklyRate: round(rate * 7),
+        optimisticWeeklyRate: round(optimisticRate * 7),
+        pessimisticWeeklyRate: round(pessimisticRate * 7),
+        currentDay: round(currentDay, 1),
+        deadlineDay,
+        requiredWeeklyRate: requiredWeeklyRate === null ? null : round(requiredWeeklyRate),
+        requiredRateIsSafe: requiredWeeklyRate === null ? null : requiredWeeklyRate <= maxWeeklyRate,
+        deadlinePassed: daysLeft <= 0
+    };
+
+    if (remaining <= 0) {
+        return { ...forecast, status: 'reached', expectedDay: forecast.currentDay, optimisticDay: forecast.currentDay, pessimisticDay: forecast.currentDay };
+    }
+
+    const expectedDays = daysAtRate(remaining, rate);
+    const optimisticDays = daysAtRate(remaining, optimisticRate);
+    const pessimisticDays = daysAtRate(remaining, pessimisticRate);
+
+    return {
+        ...forecast,
+        status: expectedDays === null ? 'stalled' : 'progressing',
+        expectedDay: expectedDays === null ? null : round(currentDay + expectedDays, 1),
+        optimisticDay: optimisticDays === null ? null : round(currentDay + optimisticDays, 1),
+        pessimisticDay: pessimisticDays === null ? null : round(currentDay + pessimisticDays, 1)
+    };
+};
+
+// Weight on plan day `day` for a rate line starting at the trend weight today,
+// stopping once it reaches the goal
+exports.projectWeight = (forecast, { goalType = 'lose', goalWeight }, day, weeklyRate) => {
+    const direction = goalType === 'gain' ? 1 : -1;
+    const projected = forecast.trendWeight + direction * weeklyRate / 7 * (day - forecast.currentDay);
+    return goalType === 'gain' ? Math.min(projected, goalWeight) : Math.max(projected, goalWeight);
+};
@@ -0,0 +1,132 @@
+// Turns weigh-in exports from other apps and smart scales into canonical
+// (kg, UTC) rows. Known layouts are matched on their header names; anything
+// else is imported as `custom` with an explicit column mapping.
+const { parseCSV, detectDelimiter } = require('./csvHelper');
+const { toCanonicalWeight } = require('./unitsHelper');
+
+// Weights outside this range are almost certainly a unit or column mix-up
+const WEIGHT_RANGE_KG = { min: 20, max: 400 };
+
+const DATE_FORMATS = ['iso', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+// Header names are compared lower-cased with surrounding quotes and spaces removed
+const IMPORT_FORMATS = {
+    myfitnesspal: { date: ['date'], weight: ['weight'], dateFormat: 'iso', requires: ['date', 'weight'], excludes: ['bmi', 'fat mass (kg)', 'fat mass (lb)', 'weight trend'] },
+    fitbit: { date: ['date'], weight: ['weight'], dateFormat: 'iso', requires: ['date', 'weight', 'bmi'] },
+    withings: { date: ['date'], weight: ['weight (kg)', 'weight (lb)'], dateFormat: 'iso', requires: ['date', 'fat mass (kg)'] },
+    libra: { date: ['#date', 'date'], weight: ['weight'], dateFormat: 'iso', requires: ['weight trend'] },
+    custom: { dateFormat: 'iso' }
+};
+
+const normaliseHeader = (header) => header.trim().replace(/^"|"$/g, '').toLowerCase();
+
+// Unit written into a header such as "Weight (lb)"
+function unitFromHeader(header) {
+    const match = /\((kg|lbs?)\)/.exec(header);
+    if (!match) return null;
+    return match[1] === 'kg' ? 'kg' : 'lbs';
+}
+
+// First known layout whose required headers are all present
+function detectFormat(headers) {
+    return Object.keys(IMPORT_FORMATS).find(name => {
+        const layout = IMPORT_FORMATS[name];
+        if (!layout.requires) return false;
+        const hasRequired = layout.requires.every(header => headers.includes(header));
+        const hasExcluded = (layout.excludes || []).some(header => headers.includes(header));
+        return hasRequired && !hasExcluded;
+    }) || null;
+}
+
+// Dates without a zone are read as UTC, matching the app's day boundaries
+function parseDate(value, dateFormat) {
+    const text = String(value).trim();
+    if (!text) return null;
+
+    if (dateFormat === 'iso') {
+        if (!/^\d{4}-\d{2}-\d{2}/.test(text)) return null;
+        const hasZone = /(z|[+-]\d{2}:?\d{2})$/i.test(text);
+        const date = new Date(hasZone || !/\d{2}:\d{2}/.test(text) ? text : `${text.replace(' ', 'T')}Z`);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+    if (!match) return null;
+
+    const [, first, second, year, hours = 0, minutes = 0, seconds = 0] = match;
+    const [day, month] = dateFormat === 'DD/MM/YYYY' ? [first, second] : [second, first];
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)));
+
+    // Reject rollovers such as 31/02
+    return date.getUTCDate() === Number(day) && date.getUTCMonth() === Number(month) - 1 ? date : null;
+}
+
+// Accepts "82.4", "82,4" and "82.4 kg"
+function parseWeight(value) {
+    const text = String(value).trim().replace(/\s*(kg|lbs?)$/i, '');
+    if (!/^\d+([.,]\d+)?$/.test(text)) return null;
+    return Number(text.replace(',', '.'));
+}
+
+// Parse an export into weigh-in rows: { format, rows, errors: [{ line, error }] },
+// or { error } when the file itself can't be read
+exports.parseWeighInExport = (text, { format, mapping = {}, defaultUnit = 'kg' } = {}) => {
+    const lines = parseCSV(text, detectDelimiter(text));
+    if (lines.length < 2) {
+        return { error: 'The file needs a header row and at least one weigh-in' };
+    }
+
+    const headers = lines[0].map(normaliseHeader);
+    const resolvedFormat = format || (mapping.date || mapping.weight ? 'custom' : detectFormat(headers));
+    if (!resolvedFormat) {
+        return { error: 'Unrecognised file layout. Pass format=custom with a column mapping' };
+    }
+
+    const layout = IMPORT_FORMATS[resolvedFormat];
+    const dateCandidates = mapping.date ? [normaliseHeader(mapping.date)] : layout.date || [];
+    const weightCandidates = mapping.weight ? [normaliseHeader(mapping.weight)] : layout.weight || [];
+    const dateIndex = headers.findIndex(header => dateCandidates.includes(header));
+    const weightIndex = headers.findIndex(header => weightCandidates.includes(header));
+
+    if (dateIndex === -1 || weightIndex === -1) {
+        return { error: `Missing ${dateIndex === -1 ? 'date' : 'weight'} column for the ${resolvedFormat} format` };
+    }
+
+    const dateFormat = mapping.dateFormat || layout.dateFormat;
+    const unit = unitFromHeader(headers[weightIndex]) || mapping.unit || defaultUnit;
+    const now = Date.now();
+
+    const rows = [];
+    const errors = [];
+    lines.slice(1).forEach((cells, index) => {
+        const line = index + 2;
+        const measuredAt = parseDate(cells[dateIndex] || '', dateFormat);
+        const enteredWeight = parseWeight(cells[weightIndex] || '');
+
+        if (!measuredAt) {
+            errors.push({ line, error: `Unreadable date "${cells[dateIndex] || ''}"` });
+            return;
+        }
+        if (measuredAt.getTime() > now) {
+            errors.push({ line, error: 'Date is in the future' });
+            return;
+        }
+        if (enteredWeight === null) {
+            errors.push({ line, error: `Unreadable weight "${cells[weightIndex] || ''}"` });
+            return;
+        }
+
+        const weight = toCanonicalWeight(enteredWeight, unit === 'lbs' ? 'imperial' : 'metric');
+        if (weight < WEIGHT_RANGE_KG.min || weight > WEIGHT_RANGE_KG.max) {
+            errors.push({ line, error: `Weight ${enteredWeight} ${unit} is outside the plausible range` });
+            return;
+        }
+
+        rows.push({ line, measuredAt, weight, enteredWeight, enteredUnit: unit });
+    });
+
+    return { format: resolvedFormat, unit, rows, errors };
+};
+
+exports.IMPORT_FORMATS = Object.keys(IMPORT_FORMATS);
+exports.DATE_FORMATS = DATE_FORMATS;
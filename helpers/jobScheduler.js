@@ -0,0 +1,170 @@
+// MongoDB-backed job runner. Every server instance polls the jobs collection
+// and claims due jobs one at a time with an atomic update, so a job runs on
+// exactly one instance. The running instance renews its lock while the job
+// runs, so a lock older than LOCK_TIMEOUT_MS belongs to an instance that died
+// mid-run and is taken over.
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/jobModel');
+
+const POLL_INTERVAL_MS = 30 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const LOCK_RENEW_INTERVAL_MS = LOCK_TIMEOUT_MS / 4;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const handlers = {};
+let pollTimer = null;
+let polling = false;
+
+// run(job) returns a Date to run again then, or nothing when finished; throwing
+// retries with backoff. nextRunAt(job) gives a recurring job's next slot once
+// retries run out, so an outage skips runs instead of ending the schedule.
+exports.registerJobHandler = (name, run, { nextRunAt } = {}) => {
+    handlers[name] = { run, nextRunAt };
+};
+
+// A job that is running right now keeps its lock; the new schedule is written
+// to it and wins over whatever the run returns when it finishes
+const rescheduleRunningJob = (key, fields) => Job.findOneAndUpdate(
+    { key, status: 'running' },
+    { $set: { ...fields, rescheduled: true } },
+    { new: true }
+);
+
+// Keyed jobs are recurring: scheduling again moves the existing job
+exports.scheduleJob = async (name, { runAt = new Date(), data = {}, user, key, maxAttempts } = {}) => {
+    if (!key) {
+        return Job.create({ name, runAt, data, user, maxAttempts });
+    }
+
+    const fields = { name, runAt, data, user };
+    const running = await rescheduleRunningJob(key, fields);
+    if (running) return running;
+
+    try {
+        return await Job.findOneAndUpdate(
+            { key, status: { $ne: 'running' } },
+            {
+                $set: { ...fields, status: 'pending', attempts: 0 },
+                $unset: { lastError: 1, lockedBy: 1, lockedAt: 1, rescheduled: 1 }
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+    } catch (error) {
+        // The job was claimed between the two updates
+        if (error.code === 11000) return rescheduleRunningJob(key, fields);
+        throw error;
+    }
+};
+
+// Creates a keyed job only if it doesn't exist yet, e.g. on every startup
+exports.ensureJob = (name, { runAt = new Date(), data = {}, key }) => Job.findOneAndUpdate(
+    { key },
+    { $setOnInsert: { name, runAt, data, key } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+);
+
+exports.cancelJob = (key) => Job.deleteOne({ key, status: { $ne: 'running' } });
+
+function claimNextJob() {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', runAt: { $lte: now } },
+                { status: 'running', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        {
+            $set: { status: 'running', lockedBy: instanceId, lockedAt: now, lastRunAt: now },
+            $unset: { rescheduled: 1 },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+}
+
+// Only the instance holding the lock may record the result. A job rescheduled
+// while it ran goes back to pending at its new time instead.
+async function finishJob(job, update) {
+    const result = await Job.updateOne({ _id: job._id, lockedBy: instanceId, rescheduled: { $ne: true } }, {
+        ...update,
+        $unset: { lockedBy: 1, lockedAt: 1, ...(update.$unset || {}) }
+    });
+    if (result.matchedCount) return;
+
+    await Job.updateOne({ _id: job._id, lockedBy: instanceId, rescheduled: true }, {
+        $set: { status: 'pending', attempts: 0 },
+        $unset: { lockedBy: 1, lockedAt: 1, lastError: 1, rescheduled: 1 }
+    });
+}
+
+exports.getRetryDelay = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+async function runJob(job) {
+    const handler = handlers[job.name];
+
+    // Long runs, such as a batch of digests, keep the lock from going stale
+    const renewLock = setInterval(() => {
+        Job.updateOne({ _id: job._id, lockedBy: instanceId }, { $set: { lockedAt: new Date() } })
+            .catch(error => console.error('Job lock renewal failed:', error));
+    }, LOCK_RENEW_INTERVAL_MS);
+    renewLock.unref();
+
+    try {
+        if (!handler) throw new Error(`No handler registered for ${job.name}`);
+
+        const nextRunAt = await handler.run(job);
+        if (nextRunAt) {
+            await finishJob(job, { $set: { status: 'pending', runAt: nextRunAt, attempts: 0 }, $unset: { lastError: 1 } });
+        } else {
+            await finishJob(job, { $set: { status: 'completed' }, $unset: { lastError: 1 } });
+        }
+    } catch (error) {
+        if (job.attempts < job.maxAttempts) {
+            const backoff = exports.getRetryDelay(job.attempts);
+            await finishJob(job, { $set: { status: 'pending', runAt: new Date(Date.now() + backoff), lastError: error.message } });
+            return;
+        }
+
+        const nextRunAt = handler && handler.nextRunAt ? await handler.nextRunAt(job) : null;
+        await finishJob(job, nextRunAt
+            ? { $set: { status: 'pending', runAt: nextRunAt, attempts: 0, lastError: error.message } }
+            : { $set: { status: 'failed', lastError: error.message } });
+    } finally {
+        clearInterval(renewLock);
+    }
+}
+
+// Drains every due job; overlapping polls on the same instance are skipped
+exports.runDueJobs = async () => {
+    if (polling) return 0;
+    polling = true;
+
+    let processed = 0;
+    try {
+        let job;
+        while ((job = await claimNextJob())) {
+            await runJob(job);
+            processed++;
+        }
+    } finally {
+        polling = false;
+    }
+    return processed;
+};
+
+exports.startScheduler = (pollIntervalMs = POLL_INTERVAL_MS) => {
+    if (pollTimer) return;
+
+    const poll = () => exports.runDueJobs().catch(error => console.error('Job scheduler poll failed:', error));
+    pollTimer = setInterval(poll, pollIntervalMs);
+    poll();
+};
+
+exports.stopScheduler = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+};
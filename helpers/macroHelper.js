@@ -0,0 +1,98 @@
+// Macronutrient targets derived from body weight (kg), goal type and activity level
+exports.MACRO_PRESETS = ['balanced', 'highProtein', 'lowCarb', 'keto'];
+
+const KCAL_PER_GRAM = { protein: 4, carbs: 4, fat: 9 };
+
+// Share of daily calories coming from fat. Keto has no fixed share: fat takes
+// whatever protein and the carb cap leave.
+const FAT_SHARE = {
+    balanced: 0.3,
+    highProtein: 0.25,
+    lowCarb: 0.4
+};
+
+const KETO_MAX_CARBS_GRAMS = 30;
+
+// Protein in g per kg of body weight
+const BASE_PROTEIN_PER_KG = {
+    lose: 1.8,
+    maintain: 1.6,
+    gain: 1.8
+};
+
+// Morning meals lean on protein, evening meals a little less
+const SLOT_PROTEIN_BIAS = {
+    morning: 1.25,
+    afternoon: 1,
+    night: 0.85
+};
+
+exports.getProteinPerKg = (goalType = 'lose', activityLevel, preset = 'balanced') => {
+    let proteinPerKg = BASE_PROTEIN_PER_KG[goalType] || BASE_PROTEIN_PER_KG.lose;
+
+    if (activityLevel === 'veryActive' || activityLevel === 'extraActive') proteinPerKg += 0.2;
+    if (preset === 'highProtein') proteinPerKg += 0.4;
+    if (preset === 'keto') proteinPerKg = Math.min(proteinPerKg, 1.6);
+
+    return Math.round(proteinPerKg * 10) / 10;
+};
+
+exports.calculateMacroTargets = ({ dailyCalories, weight, goalType, activityLevel, preset = 'balanced' }) => {
+    const proteinPerKg = exports.getProteinPerKg(goalType, activityLevel, preset);
+
+    // Protein never takes more than half of the day's calories
+    const proteinCalories = Math.min(weight * proteinPerKg * KCAL_PER_GRAM.protein, dailyCalories * 0.5);
+    const remainingCalories = dailyCalories - proteinCalories;
+
+    let carbCalories;
+    let fatCalories;
+
+    if (preset === 'keto') {
+        carbCalories = Math.min(KETO_MAX_CARBS_GRAMS * KCAL_PER_GRAM.carbs, dailyCalories * 0.05);
+        fatCalories = Math.max(remainingCalories - carbCalories, 0);
+    } else {
+        fatCalories = Math.min(dailyCalories * FAT_SHARE[preset], remainingCalories);
+        carbCalories = Math.max(remainingCalories - fatCalories, 0);
+    }
+
+    return {
+        preset,
+        proteinPerKg,
+        protein: Math.round(proteinCalories / KCAL_PER_GRAM.protein),
+        carbs: Math.round(carbCalories / KCAL_PER_GRAM.carbs),
+        fat: Math.round(fatCalories / KCAL_PER_GRAM.fat)
+    };
+};
+
+// Split daily macro targets across meal slots in proportion to each slot's calories
+exports.distributeMacros = (slotCalories, macroTargets) => {
+    const slots = Object.keys(slotCalories);
+    const totalSlotCalories = slots.reduce((sum, slot) => sum + slotCalories[slot], 0);
+    if (!totalSlotCalories) return {};
+
+    const dailyCalories = macroTargets.protein * KCAL_PER_GRAM.protein +
+        macroTargets.carbs * KCAL_PER_GRAM.carbs +
+        macroTargets.fat * KCAL_PER_GRAM.fat;
+    const coveredShare = Math.min(totalSlotCalories / dailyCalories, 1);
+
+    const proteinWeights = slots.reduce((acc, slot) => {
+        acc[slot] = slotCalories[slot] * (SLOT_PROTEIN_BIAS[slot] || 1);
+        return acc;
+    }, {});
+    const totalProteinWeight = Object.values(proteinWeights).reduce((a, b) => a + b, 0);
+
+    const carbFatCalories = macroTargets.carbs * KCAL_PER_GRAM.carbs + macroTargets.fat * KCAL_PER_GRAM.fat;
+    const carbShare = carbFatCalories ? (macroTargets.carbs * KCAL_PER_GRAM.carbs) / carbFatCalories : 0;
+
+    return slots.reduce((acc, slot) => {
+        const protein = macroTargets.protein * coveredShare * (proteinWeights[slot] / totalProteinWeight);
+        const rest = Math.max(slotCalories[slot] - protein * KCAL_PER_GRAM.protein, 0);
+
+        acc[slot] = {
+            protein: Math.round(protein),
+            carbs: Math.round((rest * carbShare) / KCAL_PER_GRAM.carbs),
+            fat: Math.round((rest * (1 - carbShare)) / KCAL_PER_GRAM.fat)
+        };
+        return acc;
+    }, {});
+};
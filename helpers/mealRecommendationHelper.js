@@ -0,0 +1,53 @@
+// Picks catalog meals that fit a slot's calorie and macro budget
+const POOL_SIZE = 6;
+
+// Tags preferred by each macro preset
+const PRESET_TAGS = {
+    highProtein: 'high-protein',
+    lowCarb: 'low-carb',
+    keto: 'keto'
+};
+
+// Lower is better: relative distance from the slot's calorie and macro targets
+function scoreMeal(meal, target, preset) {
+    let score = Math.abs(meal.calories - target.calories) / Math.max(target.calories, 1);
+
+    if (target.macros) {
+        for (const macro of ['protein', 'carbs', 'fat']) {
+            const goal = target.macros[macro];
+            if (goal) {
+                score += 0.5 * Math.abs((meal[macro] || 0) - goal) / goal;
+            }
+        }
+    }
+
+    if (PRESET_TAGS[preset] && meal.tags.includes(PRESET_TAGS[preset])) {
+        score -= 0.3;
+    }
+
+    return score;
+}
+
+// Changes once a day and differs between users so recommendations rotate
+exports.getRotationKey = (userId, date = new Date()) => {
+    const day = Math.floor(date.getTime() / (1000 * 60 * 60 * 24));
+    const userHash = String(userId).split('').reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % 100003, 7);
+    return day + userHash;
+};
+
+exports.pickMealsForSlot = (meals, slot, target, { rotationKey = 0, count = 2, preset } = {}) => {
+    const pool = meals
+        .filter(meal => meal.mealSlots.includes(slot))
+        .map(meal => ({ meal, score: scoreMeal(meal, target, preset) }))
+        .sort((a, b) => a.score - b.score)
+        .slice(0, POOL_SIZE)
+        .map(candidate => candidate.meal);
+
+    if (!pool.length) return [];
+
+    const picks = [];
+    for (let i = 0; i < Math.min(count, pool.length); i++) {
+        picks.push(pool[(rotationKey + i) % pool.length]);
+    }
+    return picks;
+};
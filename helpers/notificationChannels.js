@@ -0,0 +1,87 @@
+// Delivery channels for helpers/notificationHelper. A channel's
+// send(user, notification) resolves to 'sent', or 'skipped' when it can't
+// reach this user, and throws when delivery failed and is worth retrying.
+const webpush = require('web-push');
+const User = require('../models/userModel');
+const { sendEmail } = require('./authHelper');
+
+const channels = {};
+
+exports.registerChannel = (name, channel) => {
+    channels[name] = channel;
+};
+
+exports.getChannel = (name) => channels[name];
+
+exports.registerChannel('email', {
+    send: async (user, notification) => {
+        const email = notification.email || {};
+        await sendEmail({
+            to: user.email,
+            subject: email.subject || notification.title,
+            html: email.html,
+            text: email.html ? undefined : notification.body
+        });
+        return 'sent';
+    }
+});
+
+// Push stays off until VAPID keys are configured
+let vapidConfigured = null;
+function isPushConfigured() {
+    if (vapidConfigured === null) {
+        vapidConfigured = Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+        if (vapidConfigured) {
+            webpush.setVapidDetails(`mailto:${process.env.EMAIL}`, process.env.VAPID_PUBLIC_KEY, process.env.VAPID_PRIVATE_KEY);
+        }
+    }
+    return vapidConfigured;
+}
+
+exports.isPushConfigured = isPushConfigured;
+
+exports.registerChannel('push', {
+    send: async (user, notification) => {
+        const subscriptions = user.pushSubscriptions || [];
+        if (!isPushConfigured() || !subscriptions.length) return 'skipped';
+
+        const payload = JSON.stringify({
+            notificationId: notification._id,
+            title: notification.title,
+            body: notification.body,
+            link: notification.link
+        });
+
+        let delivered = 0;
+        let lastError = null;
+        const expired = [];
+        for (const subscription of subscriptions) {
+            try {
+                await webpush.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, payload);
+                delivered++;
+            } catch (error) {
+                // The browser dropped the subscription
+                if (error.statusCode === 404 || error.statusCode === 410) {
+                    expired.push(subscription.endpoint);
+                } else {
+                    lastError = error;
+                }
+            }
+        }
+
+        if (expired.length) {
+            await User.updateOne({ _id: user._id }, { $pull: { pushSubscriptions: { endpoint: { $in: expired } } } });
+        }
+
+        if (!delivered && lastError) throw lastError;
+        return delivered ? 'sent' : 'skipped';
+    }
+});
+
+// The inbox is the notification document itself
+exports.registerChannel('inApp', {
+    send: async (user, notification) => {
+        notification.inbox = true;
+        return 'sent';
+    }
+});
@@ -0,0 +1,124 @@
+const Notification = require('../models/notificationModel');
+const User = require('../models/userModel');
+const { getChannel } = require('./notificationChannels');
+const { scheduleJob } = require('./jobScheduler');
+const { getLocalParts, nextLocalTime } = require('./dateHelper');
+
+const CATEGORIES = ['transactional', 'reminders', 'digests', 'social'];
+const CHANNELS = ['email', 'push', 'inApp'];
+
+const RETRY_DELAY_MS = 60 * 1000;
+
+exports.CATEGORIES = CATEGORIES;
+exports.CHANNELS = CHANNELS;
+
+// Channels the user has switched on for the category
+function getChannels(user, category) {
+    const preferences = (user.notificationPreferences && user.notificationPreferences[category]) || {};
+    return CHANNELS.filter(channel => (category === 'transactional' && channel === 'email') || preferences[channel]);
+}
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// Quiet hours may wrap past midnight, e.g. 22:00 to 07:00
+function isQuietTime(user, category, now) {
+    const quietHours = user.notificationPreferences && user.notificationPreferences.quietHours;
+    if (category === 'transactional' || !quietHours || !quietHours.enabled) return false;
+
+    const local = getLocalParts(now, user.timeZone || 'UTC');
+    const minute = local.hour * 60 + local.minute;
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+exports.isQuietTime = isQuietTime;
+
+const getQuietHoursEnd = (user, now) => nextLocalTime(user.notificationPreferences.quietHours.end, user.timeZone || 'UTC', [], now);
+
+// Sends the given channels, recording the outcome on each delivery
+async function deliver(notification, user, statuses) {
+    for (const delivery of notification.deliveries) {
+        if (!statuses.includes(delivery.status)) continue;
+
+        try {
+            delivery.status = await getChannel(delivery.channel).send(user, notification);
+            delivery.error = undefined;
+            if (delivery.status === 'sent') delivery.sentAt = new Date();
+        } catch (error) {
+            delivery.status = 'failed';
+            delivery.error = error.message;
+        }
+    }
+}
+
+const loadRecipient = (userId) => User.findById(userId).select('email username timeZone notificationPreferences pushSubscriptions');
+
+// Sends on every channel the user allows for the category; email: { subject, html }
+// overrides the plain email. Deferred and failed deliveries retry as a job.
+exports.notify = async (userId, { category, title, body, link, email }) => {
+    if (!CATEGORIES.includes(category)) {
+        throw new Error(`Unknown notification category: ${category}`);
+    }
+
+    const user = await loadRecipient(userId);
+    if (!user) return null;
+
+    const now = new Date();
+    const quiet = isQuietTime(user, category, now);
+
+    const notification = new Notification({
+        user: user._id,
+        category,
+        title,
+        body,
+        link,
+        email,
+        deliveries: getChannels(user, category).map(channel => ({
+            channel,
+            status: quiet && channel !== 'inApp' ? 'deferred' : 'pending'
+        }))
+    });
+
+    await deliver(notification, user, ['pending']);
+    await notification.save();
+
+    const waiting = notification.deliveries.filter(delivery => ['deferred', 'failed'].includes(delivery.status));
+    if (waiting.length) {
+        await scheduleJob('notification', {
+            user: user._id,
+            runAt: quiet ? getQuietHoursEnd(user, now) : new Date(now.getTime() + RETRY_DELAY_MS),
+            data: { notificationId: notification._id }
+        });
+    }
+
+    return notification;
+};
+
+// Job handler: delivers what quiet hours held back and retries failed channels
+exports.runNotificationJob = async (job) => {
+    const notification = await Notification.findById(job.data.notificationId);
+    if (!notification) return null;
+
+    const user = await loadRecipient(notification.user);
+    if (!user) return null;
+
+    // Quiet hours may have moved since the job was scheduled
+    const now = new Date();
+    if (isQuietTime(user, notification.category, now)) {
+        return getQuietHoursEnd(user, now);
+    }
+
+    await deliver(notification, user, ['deferred', 'failed']);
+    await notification.save();
+
+    const failed = notification.deliveries.filter(delivery => delivery.status === 'failed');
+    if (failed.length) {
+        throw new Error(`Delivery failed on ${failed.map(delivery => delivery.channel).join(', ')}`);
+    }
+    return null;
+};
@@ -0,0 +1,151 @@
+const { ACTIVITY_MULTIPLIERS } = require('./energyHelper');
+const { getMinimumCalories } = require('./safetyHelper');
+const { fitLinearTrend } = require('./trendHelper');
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// windowDays: how far back the trend is fitted
+// minWeeklyRate: slowest movement towards the goal, as a fraction of body weight
+// per week, that still counts as progress
+exports.PLATEAU_DEFAULTS = {
+    windowDays: 14,
+    minWeighIns: 4,
+    minWeeklyRate: 0.0025
+};
+
+exports.MIN_PLATEAU_WINDOW_DAYS = 7;
+exports.MAX_PLATEAU_WINDOW_DAYS = 56;
+
+exports.isValidPlateauWindow = (windowDays) =>
+    Number.isInteger(windowDays) &&
+    windowDays >= exports.MIN_PLATEAU_WINDOW_DAYS &&
+    windowDays <= exports.MAX_PLATEAU_WINDOW_DAYS;
+
+const round = (value, places = 2) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+
+// Classifies the recent trend as progressing, plateau, noise or insufficient.
+// A plateau needs a full window of data whose trend is confidently slower than
+// the minimum rate. A stall that the day-to-day scatter could still explain
+// (water weight, a salty meal) is reported as noise instead.
+exports.detectPlateau = (weighIns, { goalType = 'lose', asOf = new Date(), ...options } = {}) => {
+    const settings = { ...exports.PLATEAU_DEFAULTS, ...options };
+    const windowStart = new Date(asOf.getTime() - settings.windowDays * MS_PER_DAY);
+    const windowWeighIns = (weighIns || []).filter(weighIn => weighIn.measuredAt >= windowStart && weighIn.measuredAt <= asOf);
+
+    const result = {
+        status: 'insufficient',
+        windowDays: settings.windowDays,
+        weighInCount: windowWeighIns.length
+    };
+
+    // Holding steady is the point of a maintenance plan
+    if (goalType === 'maintain') {
+        return { ...result, status: 'notApplicable' };
+    }
+
+    if (windowWeighIns.length < settings.minWeighIns) return result;
+
+    const spanDays = (windowWeighIns[windowWeighIns.length - 1].measuredAt - windowWeighIns[0].measuredAt) / MS_PER_DAY;
+    const origin = windowWeighIns[0].measuredAt.getTime();
+    const { slope, slopeError, noise } = fitLinearTrend(windowWeighIns.map(weighIn => ({
+        x: (weighIn.measuredAt.getTime() - origin) / MS_PER_DAY,
+        y: weighIn.weight
+    })));
+
+    // Positive values mean movement towards the goal
+    const direction = goalType === 'gain' ? 1 : -1;
+    const weeklyRate = direction * slope * 7;
+    const averageWeight = windowWeighIns.reduce((sum, weighIn) => sum + weighIn.weight, 0) / windowWeighIns.length;
+    const minimumWeeklyChange = averageWeight * settings.minWeeklyRate;
+
+    Object.assign(result, {
+        startedAt: windowWeighIns[0].measuredAt,
+        weeklyRate: round(weeklyRate),
+        minimumWeeklyChange: round(minimumWeeklyChange),
+        noise: round(noise)
+    });
+
+    if (weeklyRate >= minimumWeeklyChange) {
+        return { ...result, status: 'progressing' };
+    }
+
+    if (spanDays < settings.windowDays * 0.75) return result;
+
+    // Upper end of a ~95% interval on the weekly rate
+    const bestCaseWeeklyRate = weeklyRate + 2 * slopeError * 7;
+    return { ...result, status: bestCaseWeeklyRate >= minimumWeeklyChange ? 'noise' : 'plateau' };
+};
+
+function nextActivityLevel(activityLevel) {
+    const levels = Object.keys(ACTIVITY_MULTIPLIERS);
+    const index = levels.indexOf(activityLevel);
+    return index >= 0 && index < levels.length - 1 ? levels[index + 1] : null;
+}
+
+// Concrete options for breaking a plateau, most conservative first
+exports.getPlateauSuggestions = (plateau, { goalType = 'lose', dailyCalories, energyModel = {}, activityLevel, sex } = {}) => {
+    if (!plateau || plateau.status !== 'plateau') return [];
+
+    const suggestions = [];
+    const adaptive = energyModel.adaptive || {};
+    const maintenanceCalories = Math.round(adaptive.appliedTdee || energyModel.tdee || dailyCalories);
+
+    if (goalType === 'gain') {
+        suggestions.push({
+            type: 'recalculateTarget',
+            calories: Math.round(dailyCalories + 150),
+            message: 'Weight has stalled. Add about 150 kcal a day to restart the surplus.'
+        });
+        return suggestions;
+    }
+
+    suggestions.push({
+        type: 'dietBreak',
+        calories: maintenanceCalories,
+        durationDays: 14,
+        message: `Take a 1-2 week diet break at maintenance (about ${maintenanceCalories} kcal) before resuming the deficit.`
+    });
+
+    // Observed expenditure is more reliable than the formula once intake is logged
+    const observedMaintenance = ['medium', 'high'].includes(adaptive.confidence) ? adaptive.observedTdee : null;
+    const recalculated = Math.max(
+        Math.round(observedMaintenance ? observedMaintenance - (energyModel.dailyDeficit || 0) : dailyCalories - 150),
+        getMinimumCalories(sex)
+    );
+    if (recalculated < dailyCalories) {
+        suggestions.push({
+            type: 'recalculateTarget',
+            calories: recalculated,
+            message: `Lower your daily target to about ${recalculated} kcal to match your current expenditure.`
+        });
+    }
+
+    const nextLevel = nextActivityLevel(activityLevel);
+    suggestions.push({
+        type: 'increaseActivity',
+        activityLevel: nextLevel || activityLevel,
+        message: nextLevel
+            ? `Increase daily activity towards ${nextLevel}, for example 2,000-3,000 extra steps a day.`
+            : 'Add 2,000-3,000 extra steps a day instead of eating less.'
+    });
+
+    return suggestions;
+};
+
+// Opens a record when a plateau is confirmed and closes it once progress resumes.
+// Noise and insufficient data leave the history untouched.
+exports.updatePlateauHistory = (history, plateau, asOf = new Date()) => {
+    const openPlateau = history.find(entry => !entry.endedAt);
+
+    if (plateau.status === 'plateau' && !openPlateau) {
+        history.push({
+            startedAt: plateau.startedAt,
+            windowDays: plateau.windowDays,
+            weeklyRate: plateau.weeklyRate
+        });
+    } else if (plateau.status === 'progressing' && openPlateau) {
+        openPlateau.endedAt = asOf;
+    }
+
+    return history;
+};
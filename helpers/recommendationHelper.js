@@ -0,0 +1,126 @@
+// Evaluates the admin-managed recommendation rules (models/recommendationRuleModel)
+// against a plan's metrics, and works out which weekdays the user sticks to
+// their target best.
+const { MS_PER_DAY, toDayKey } = require('./dateHelper');
+
+// Metric catalogue; a metric is null until there is enough data to compute it
+exports.METRICS = {
+    adherence: 'Adherence score (0-100) of the latest week with a weigh-in',
+    overallAdherence: 'Average adherence score (0-100) over the plan so far',
+    weeklyTrendChange: 'Change in trend weight per week over the last 14 days, in kg (negative is losing)',
+    plateau: 'true while the trend has stalled over the plan\'s plateau window',
+    intakeVsTarget: 'Average logged intake over the last 7 days as a percentage of the daily target',
+    loggedDays: 'Days with logged food in the last 7',
+    daysSinceWeighIn: 'Whole days since the last weigh-in',
+    weightLeft: 'kg between the trend weight and the goal',
+    progressPercentage: 'Progress towards the goal weight (0-100)',
+    weeksElapsed: 'Whole weeks since the plan started',
+    averageSleepHours: 'Average logged sleep over the recent sleep window'
+};
+
+exports.OPERATORS = {
+    lt: (actual, value) => actual < value,
+    lte: (actual, value) => actual <= value,
+    gt: (actual, value) => actual > value,
+    gte: (actual, value) => actual >= value,
+    eq: (actual, value) => actual === value,
+    neq: (actual, value) => actual !== value
+};
+
+const OPERATOR_LABELS = { lt: 'below', lte: 'at most', gt: 'above', gte: 'at least', eq: 'equal to', neq: 'not' };
+
+exports.RULE_CATEGORIES = ['nutrition', 'activity', 'consistency', 'plateau', 'sleep', 'progress'];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const formatValue = (value) => (typeof value === 'number' ? round1(value) : value);
+
+// Returns an error message, or null when the rule's conditions are usable
+exports.validateConditions = (conditions) => {
+    if (!Array.isArray(conditions) || !conditions.length) {
+        return 'At least one condition is required';
+    }
+
+    for (const condition of conditions) {
+        if (!condition || !exports.METRICS[condition.metric]) {
+            return `Unknown metric. Must be one of: ${Object.keys(exports.METRICS).join(', ')}`;
+        }
+        if (!exports.OPERATORS[condition.operator]) {
+            return `Unknown operator. Must be one of: ${Object.keys(exports.OPERATORS).join(', ')}`;
+        }
+        const expected = condition.metric === 'plateau' ? 'boolean' : 'number';
+        if (typeof condition.value !== expected) {
+            return `${condition.metric} must be compared with a ${expected}`;
+        }
+    }
+
+    return null;
+};
+
+// "{{adherence}}" in a message is replaced with the metric's value
+const renderMessage = (message, metrics) => message.replace(/\{\{(\w+)\}\}/g, (match, name) => (
+    metrics[name] === undefined || metrics[name] === null ? match : String(formatValue(metrics[name]))
+));
+
+// Matching rules, highest priority first, each with the metric values behind
+// it. A condition on a metric that is still null never holds.
+exports.evaluateRules = (rules, metrics, goalType = 'lose') => rules
+    .filter(rule => rule.enabled !== false)
+    .filter(rule => !rule.goalTypes || !rule.goalTypes.length || rule.goalTypes.includes(goalType))
+    .filter(rule => rule.conditions.every(({ metric, operator, value }) => {
+        const actual = metrics[metric];
+        return actual !== null && actual !== undefined && exports.OPERATORS[operator](actual, value);
+    }))
+    .sort((a, b) => b.priority - a.priority)
+    .map(rule => ({
+        rule: rule.name,
+        category: rule.category,
+        priority: rule.priority,
+        message: renderMessage(rule.message, metrics),
+        focusArea: rule.focusArea,
+        because: rule.conditions.map(({ metric, operator, value }) => (
+            `${metric} is ${formatValue(metrics[metric])}, ${OPERATOR_LABELS[operator]} ${value}`
+        ))
+    }));
+
+// Days logged within this share of the target count as on-target
+const ADHERENT_DAY_TOLERANCE = 0.1;
+const MIN_BEST_DAY_SAMPLES = 2;
+const MAX_BEST_DAYS = 3;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Weekdays with the highest share of on-target UTC days between from and to.
+// Unlogged days count as off-target; no best days until every weekday has
+// MIN_BEST_DAY_SAMPLES samples.
+exports.calculateBestDays = (intakeByDay, dailyCalories, from, to) => {
+    const byWeekday = WEEKDAYS.map(day => ({ day, days: 0, onTarget: 0 }));
+
+    for (let time = new Date(`${toDayKey(from)}T00:00:00.000Z`).getTime(); time < to.getTime(); time += MS_PER_DAY) {
+        const weekday = byWeekday[new Date(time).getUTCDay()];
+        const intake = intakeByDay[toDayKey(time)];
+        weekday.days++;
+        if (intake && dailyCalories && Math.abs(intake - dailyCalories) / dailyCalories <= ADHERENT_DAY_TOLERANCE) {
+            weekday.onTarget++;
+        }
+    }
+
+    const adherenceByWeekday = byWeekday.map(({ day, days, onTarget }) => ({
+        day,
+        days,
+        adherence: days ? Math.round((onTarget / days) * 100) : null
+    }));
+
+    if (byWeekday.some(weekday => weekday.days < MIN_BEST_DAY_SAMPLES)) {
+        return { bestDays: [], adherenceByWeekday };
+    }
+
+    const ranked = adherenceByWeekday.filter(weekday => weekday.adherence > 0).sort((a, b) => b.adherence - a.adherence);
+    const average = adherenceByWeekday.reduce((sum, weekday) => sum + weekday.adherence, 0) / WEEKDAYS.length;
+
+    return {
+        bestDays: ranked
+            .filter(weekday => weekday.adherence >= average)
+            .slice(0, MAX_BEST_DAYS)
+            .map(weekday => weekday.day),
+        adherenceByWeekday
+    };
+};
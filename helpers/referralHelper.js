@@ -0,0 +1,28 @@
+// Referral checks shared by registration and the referral dashboard
+
+// Lowercased, without a +tag, and without dots for Gmail, which ignores them.
+// Two addresses that normalise the same reach the same inbox.
+exports.normalizeEmail = (email) => {
+    const [local, domain] = String(email).trim().toLowerCase().split('@');
+    if (!domain) return local;
+
+    let name = local.split('+')[0];
+    if (domain === 'gmail.com' || domain === 'googlemail.com') {
+        name = name.replace(/\./g, '');
+        return `${name}@gmail.com`;
+    }
+    return `${name}@${domain}`;
+};
+
+exports.isSelfReferral = (referrer, email) => Boolean(email)
+    && exports.normalizeEmail(referrer.email) === exports.normalizeEmail(email);
+
+// pending: signed up; verified: email confirmed but no plan started yet;
+// converted: counts towards the referrer's reward tiers
+exports.getConversionStatus = (user) => {
+    if (user.referralConvertedAt) return 'converted';
+    if (user.emailVerified) return 'verified';
+    return 'pending';
+};
+
+exports.getShareUrl = (referralCode) => `${process.env.RESETLINK}/authentication/register?ref=${encodeURIComponent(referralCode)}`;
@@ -0,0 +1,180 @@
+// Lays out the printable progress report on a pdfkit document. All values
+// arrive already rendered in the user's unit system.
+const COLORS = {
+    text: '#222222',
+    muted: '#777777',
+    grid: '#dddddd',
+    raw: '#9e9e9e',
+    trend: '#1e88e5',
+    planned: '#43a047'
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+const formatNumber = (value, digits = 1) => (value === undefined || value === null ? '-' : Number(value).toFixed(digits));
+
+function sectionTitle(doc, title) {
+    doc.moveDown(0.8);
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(13).text(title);
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(10);
+}
+
+// Fixed-width columns; the first column is left aligned, the rest right aligned
+function drawTable(doc, headers, rows, widths) {
+    const startX = doc.page.margins.left;
+    const drawRow = (cells, bold) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+        const y = doc.y;
+        let x = startX;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(COLORS.text);
+        cells.forEach((cell, index) => {
+            doc.text(String(cell), x, y, { width: widths[index] - 6, align: index === 0 ? 'left' : 'right' });
+            x += widths[index];
+        });
+        doc.x = startX;
+        doc.y = y + 14;
+    };
+
+    if (headers.some(Boolean)) drawRow(headers, true);
+    rows.forEach(row => drawRow(row, false));
+    doc.font('Helvetica').fontSize(10);
+}
+
+// Raw weigh-ins as dots, trend weight as a line and the plan as a dashed line
+function drawWeightChart(doc, chartData, weeklyProgress, startPoint, unit) {
+    const weighIns = (chartData && chartData.weightProgress) || [];
+    if (weighIns.length < 2) {
+        doc.fillColor(COLORS.muted).text('Not enough weigh-ins to chart yet.');
+        return;
+    }
+
+    const planned = [startPoint, ...weeklyProgress.map(week => ({ date: week.predictedDate, weight: week.predictedWeight }))]
+        .filter(point => point.date && point.weight !== undefined && point.weight !== null);
+
+    const dates = [...weighIns.map(point => new Date(point.date)), ...planned.map(point => new Date(point.date))];
+    const weights = [
+        ...weighIns.map(point => point.weight),
+        ...weighIns.map(point => point.trendWeight).filter(value => value !== undefined && value !== null),
+        ...planned.map(point => point.weight)
+    ];
+
+    const minDate = Math.min(...dates);
+    const maxDate = Math.max(...dates);
+    const padding = Math.max((Math.max(...weights) - Math.min(...weights)) * 0.1, 0.5);
+    const minWeight = Math.min(...weights) - padding;
+    const maxWeight = Math.max(...weights) + padding;
+
+    const box = { x: doc.page.margins.left + 40, y: doc.y + 5, width: 440, height: 180 };
+    const toX = (date) => box.x + ((new Date(date) - minDate) / Math.max(maxDate - minDate, 1)) * box.width;
+    const toY = (weight) => box.y + box.height - ((weight - minWeight) / (maxWeight - minWeight)) * box.height;
+
+    doc.lineWidth(0.5).strokeColor(COLORS.grid);
+    for (let i = 0; i <= 4; i++) {
+        const weight = minWeight + ((maxWeight - minWeight) * i) / 4;
+        const y = toY(weight);
+        doc.moveTo(box.x, y).lineTo(box.x + box.width, y).stroke();
+        doc.fillColor(COLORS.muted).fontSize(8).text(formatNumber(weight), box.x - 38, y - 4, { width: 34, align: 'right' });
+    }
+    doc.rect(box.x, box.y, box.width, box.height).stroke();
+    doc.text(formatDate(minDate), box.x, box.y + box.height + 4);
+    doc.text(formatDate(maxDate), box.x + box.width - 60, box.y + box.height + 4, { width: 60, align: 'right' });
+
+    if (planned.length > 1) {
+        doc.lineWidth(1).strokeColor(COLORS.planned).dash(4, { space: 3 });
+        doc.moveTo(toX(planned[0].date), toY(planned[0].weight));
+        planned.slice(1).forEach(point => doc.lineTo(toX(point.date), toY(point.weight)));
+        doc.stroke().undash();
+    }
+
+    doc.fillColor(COLORS.raw);
+    weighIns.forEach(point => doc.circle(toX(point.date), toY(point.weight), 1.5).fill());
+
+    const trend = weighIns.filter(point => point.trendWeight !== undefined && point.trendWeight !== null);
+    if (trend.length > 1) {
+        doc.lineWidth(1.5).strokeColor(COLORS.trend);
+        doc.moveTo(toX(trend[0].date), toY(trend[0].trendWeight));
+        trend.slice(1).forEach(point => doc.lineTo(toX(point.date), toY(point.trendWeight)));
+        doc.stroke();
+    }
+
+    const legendY = box.y + box.height + 18;
+    [['Weigh-ins', COLORS.raw], ['Trend', COLORS.trend], ['Plan', COLORS.planned]].forEach(([label, color], index) => {
+        const x = box.x + index * 90;
+        doc.rect(x, legendY + 2, 8, 8).fill(color);
+        doc.fillColor(COLORS.text).fontSize(8).text(label, x + 12, legendY + 2);
+    });
+    doc.fillColor(COLORS.muted).text(`Weight in ${unit}`, box.x + box.width - 80, legendY + 2, { width: 80, align: 'right' });
+
+    doc.x = doc.page.margins.left;
+    doc.y = legendY + 20;
+    doc.fontSize(10);
+}
+
+exports.writeProgressReport = (doc, { user, report, generatedAt = new Date() }) => {
+    const unit = report.units.weight;
+
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(18).text('Progress report');
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+        .text(`${user.username || ''} ${user.email ? `<${user.email}>` : ''}`.trim())
+        .text(`Generated ${formatDate(generatedAt)}. Weights in ${unit}.`);
+
+    sectionTitle(doc, 'Plan');
+    const planRows = [
+        ['Goal', report.goalType || 'lose'],
+        ['Status', report.status || 'active'],
+        ['Started', formatDate(report.createdAt)],
+        ['Duration', `${report.durationWeeks} weeks`],
+        ['Starting weight', `${formatNumber(report.startingWeight)} ${unit}`],
+        ['Current weight', `${formatNumber(report.currentWeight)} ${unit}`],
+        ['Trend weight', `${formatNumber(report.trendWeight)} ${unit}`],
+        ['Goal weight', `${formatNumber(report.goalWeight)} ${unit}`],
+        ['Progress', `${formatNumber(report.progressPercentage, 0)}%`],
+        ['Daily calories', `${formatNumber(report.dailyCalories, 0)} kcal`]
+    ];
+    if (report.forecast && report.forecast.projectedDate) {
+        planRows.push(['Forecast goal date', `${formatDate(report.forecast.projectedDate)} (${formatDate(report.forecast.optimisticDate)} to ${formatDate(report.forecast.pessimisticDate)})`]);
+    }
+    drawTable(doc, ['', ''], planRows, [160, 320]);
+
+    sectionTitle(doc, 'Weight');
+    const startPoint = { date: report.createdAt, weight: report.startingWeight };
+    drawWeightChart(doc, report.chartData, report.weeklyProgress || [], startPoint, unit);
+
+    sectionTitle(doc, 'Daily targets');
+    const distribution = report.mealDistribution || {};
+    const slotRow = (label, slot) => [
+        label,
+        formatNumber(slot && slot.calories, 0),
+        formatNumber(slot && slot.macros && slot.macros.protein, 0),
+        formatNumber(slot && slot.macros && slot.macros.carbs, 0),
+        formatNumber(slot && slot.macros && slot.macros.fat, 0)
+    ];
+    const macroTargets = report.macroTargets || {};
+    drawTable(doc, ['Meal', 'kcal', 'Protein (g)', 'Carbs (g)', 'Fat (g)'], [
+        slotRow('Morning', distribution.morning),
+        slotRow('Afternoon', distribution.afternoon),
+        slotRow('Night', distribution.night),
+        ['Total', formatNumber(report.dailyCalories, 0), formatNumber(macroTargets.protein, 0), formatNumber(macroTargets.carbs, 0), formatNumber(macroTargets.fat, 0)]
+    ], [120, 90, 90, 90, 90]);
+
+    sectionTitle(doc, 'Adherence');
+    const adherence = report.adherenceMetrics || {};
+    const streak = adherence.streak || {};
+    doc.fillColor(COLORS.text).text(
+        `Overall adherence ${formatNumber(adherence.overallAdherence, 0)}%. ` +
+        `Current streak ${streak.current || 0} weeks, best ${streak.best || 0}. ` +
+        `Consistency score ${formatNumber(adherence.consistencyScore, 0)}.`
+    );
+    doc.moveDown(0.5);
+
+    const weeklyAdherence = adherence.weeklyAdherence || [];
+    drawTable(doc, ['Week', `Average (${unit})`, `Trend (${unit})`, `Plan (${unit})`, 'Adherence'],
+        (report.weeklyProgress || []).map((week, index) => [
+            week.week,
+            formatNumber(week.currentWeight),
+            formatNumber(week.trendWeight),
+            formatNumber(week.predictedWeight),
+            weeklyAdherence[index] === null || weeklyAdherence[index] === undefined ? '-' : `${formatNumber(weeklyAdherence[index], 0)}%`
+        ]),
+        [60, 105, 105, 105, 105]);
+};
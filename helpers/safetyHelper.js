@@ -0,0 +1,106 @@
+const { KCAL_PER_KG } = require('./energyHelper');
+const { fromCanonicalWeight, weightLabel } = require('./unitsHelper');
+
+// Guardrails applied to every generated calorie plan
+exports.MIN_DAILY_CALORIES = {
+    female: 1200,
+    male: 1500,
+    unspecified: 1350
+};
+
+// Maximum planned change per week as a fraction of current body weight
+exports.MAX_WEEKLY_LOSS_RATE = 0.01;
+exports.MAX_WEEKLY_GAIN_RATE = 0.005;
+
+exports.MIN_GOAL_BMI = 18.5;
+
+exports.calculateBMI = (weight, height) => weight / Math.pow(height / 100, 2);
+
+exports.getMinimumCalories = (sex) => exports.MIN_DAILY_CALORIES[sex] || exports.MIN_DAILY_CALORIES.unspecified;
+
+// Returns the (possibly clamped) daily calories and deficit together with structured
+// warnings. Severity is `block` when the plan must not be created, `adjusted` when a
+// value was changed and `advice` when the user should reconsider the plan. In `clamp`
+// mode a deficit above the safe loss rate is capped; other modes only advise.
+exports.evaluatePlanSafety = ({ goalType = 'lose', currentWeight, goalWeight, height, durationWeeks, sex, dailyCalories, dailyDeficit = 0, dailySurplus = 0, unitSystem = 'metric', guardrailMode = 'clamp' }) => {
+    const warnings = [];
+    const format = (kg) => `${fromCanonicalWeight(kg, unitSystem)} ${weightLabel(unitSystem)}`;
+
+    // Only a weight-loss goal can push someone below a healthy BMI
+    const goalBMI = exports.calculateBMI(goalWeight, height);
+    if (goalType === 'lose' && goalBMI < exports.MIN_GOAL_BMI) {
+        const minimumGoalWeight = exports.MIN_GOAL_BMI * Math.pow(height / 100, 2);
+        warnings.push({
+            code: 'GOAL_BMI_TOO_LOW',
+            severity: 'block',
+            message: `Goal weight gives a BMI of ${goalBMI.toFixed(1)}. The lowest healthy goal for your height is ${format(minimumGoalWeight)}.`,
+            value: Math.round(goalBMI * 10) / 10,
+            limit: exports.MIN_GOAL_BMI
+        });
+    }
+
+    const weeklyLoss = (dailyDeficit * 7) / KCAL_PER_KG;
+    const maxWeeklyLoss = currentWeight * exports.MAX_WEEKLY_LOSS_RATE;
+    let suggestedDurationWeeks = null;
+    let safeDailyCalories = dailyCalories;
+    let safeDailyDeficit = dailyDeficit;
+
+    if (weeklyLoss > maxWeeklyLoss && guardrailMode === 'clamp') {
+        suggestedDurationWeeks = Math.ceil((currentWeight - goalWeight) / maxWeeklyLoss);
+        safeDailyDeficit = (maxWeeklyLoss * KCAL_PER_KG) / 7;
+        safeDailyCalories = Math.round(dailyCalories + dailyDeficit - safeDailyDeficit);
+        warnings.push({
+            code: 'LOSS_RATE_TOO_HIGH',
+            severity: 'adjusted',
+            message: `Planned loss of ${format(weeklyLoss)} per week exceeds the safe maximum of ${format(maxWeeklyLoss)}. The daily target was raised to ${safeDailyCalories} kcal, so the goal will take about ${suggestedDurationWeeks} weeks instead of ${durationWeeks}.`,
+            value: Math.round(weeklyLoss * 100) / 100,
+            limit: Math.round(maxWeeklyLoss * 100) / 100,
+            suggestedDurationWeeks
+        });
+    } else if (weeklyLoss > maxWeeklyLoss) {
+        suggestedDurationWeeks = Math.ceil((currentWeight - goalWeight) / maxWeeklyLoss);
+        warnings.push({
+            code: 'LOSS_RATE_TOO_HIGH',
+            severity: 'advice',
+            message: `Planned loss of ${format(weeklyLoss)} per week exceeds the safe maximum of ${format(maxWeeklyLoss)}. Consider ${suggestedDurationWeeks} weeks instead of ${durationWeeks}.`,
+            value: Math.round(weeklyLoss * 100) / 100,
+            limit: Math.round(maxWeeklyLoss * 100) / 100,
+            suggestedDurationWeeks
+        });
+    }
+
+    const weeklyGain = (dailySurplus * 7) / KCAL_PER_KG;
+    const maxWeeklyGain = currentWeight * exports.MAX_WEEKLY_GAIN_RATE;
+
+    if (weeklyGain > maxWeeklyGain) {
+        suggestedDurationWeeks = Math.ceil((goalWeight - currentWeight) / maxWeeklyGain);
+        warnings.push({
+            code: 'GAIN_RATE_TOO_HIGH',
+            severity: 'advice',
+            message: `Planned gain of ${format(weeklyGain)} per week exceeds the recommended maximum of ${format(maxWeeklyGain)}. Consider ${suggestedDurationWeeks} weeks instead of ${durationWeeks}.`,
+            value: Math.round(weeklyGain * 100) / 100,
+            limit: Math.round(maxWeeklyGain * 100) / 100,
+            suggestedDurationWeeks
+        });
+    }
+
+    const minimumCalories = exports.getMinimumCalories(sex);
+
+    if (safeDailyCalories < minimumCalories) {
+        warnings.push({
+            code: 'CALORIE_FLOOR_APPLIED',
+            severity: 'adjusted',
+            message: `Calculated target of ${safeDailyCalories} kcal is below the minimum of ${minimumCalories} kcal and was raised.`,
+            value: safeDailyCalories,
+            limit: minimumCalories
+        });
+        safeDailyCalories = minimumCalories;
+    }
+
+    return {
+        dailyCalories: safeDailyCalories,
+        dailyDeficit: safeDailyDeficit,
+        suggestedDurationWeeks,
+        warnings
+    };
+};
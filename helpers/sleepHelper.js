@@ -0,0 +1,106 @@
+const { toDayKey, MS_PER_DAY } = require('./dateHelper');
+
+// Nights needed before a correlation is reported
+exports.MIN_SLEEP_SAMPLES = 7;
+
+// |r| below this is reported as Neutral
+const NEUTRAL_THRESHOLD = 0.2;
+
+// Data points returned alongside the coefficient
+const MAX_DATA_POINTS = 30;
+
+exports.pearsonCorrelation = (xs, ys) => {
+    const n = xs.length;
+    if (n < 2) return null;
+
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += Math.pow(xs[i] - meanX, 2);
+        varianceY += Math.pow(ys[i] - meanY, 2);
+    }
+
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+};
+
+function correlate(pairs) {
+    const coefficient = exports.pearsonCorrelation(pairs.map(p => p.sleepHours), pairs.map(p => p.value));
+    return {
+        coefficient: coefficient === null ? null : Math.round(coefficient * 100) / 100,
+        sampleSize: pairs.length
+    };
+}
+
+function labelFor(coefficient) {
+    if (coefficient === null) return null;
+    if (Math.abs(coefficient) < NEUTRAL_THRESHOLD) return 'Neutral';
+    return coefficient > 0 ? 'Positive' : 'Negative';
+}
+
+// Correlates sleep duration with two outcomes, both scored so that higher is better:
+//   weightTrend: change in trend weight over the day after the night, towards the goal
+//   intakeAdherence: how close that day's logged intake came to the calorie target
+// The weight trend is preferred once it has enough nights; a Positive label
+// means longer sleep went with better results.
+exports.analyseSleep = ({ sleepEntries, trendByDay, intakeByDay, dailyCalories, goalType = 'lose' }) => {
+    const direction = goalType === 'gain' ? 1 : -1;
+    const weightPairs = [];
+    const intakePairs = [];
+
+    for (const entry of sleepEntries) {
+        const night = {
+            date: entry.wakeDate,
+            sleepHours: entry.durationHours,
+            quality: entry.quality
+        };
+
+        const nextDay = toDayKey(new Date(`${entry.wakeDate}T00:00:00.000Z`).getTime() + MS_PER_DAY);
+        if (trendByDay[entry.wakeDate] !== undefined && trendByDay[nextDay] !== undefined) {
+            const change = trendByDay[nextDay] - trendByDay[entry.wakeDate];
+            // Maintenance plans do best when the trend does not move at all
+            const value = goalType === 'maintain' ? -Math.abs(change) : direction * change;
+            weightPairs.push({ ...night, value: Math.round(value * 1000) / 1000 });
+        }
+
+        if (intakeByDay[entry.wakeDate] !== undefined && dailyCalories) {
+            const deviation = Math.abs(intakeByDay[entry.wakeDate] - dailyCalories) / dailyCalories;
+            intakePairs.push({ ...night, value: Math.max(0, Math.round(100 - deviation * 100)) });
+        }
+    }
+
+    const weightTrend = correlate(weightPairs);
+    const intakeAdherence = correlate(intakePairs);
+
+    let metric = null;
+    let primary = { coefficient: null, sampleSize: 0 };
+    let dataPoints = [];
+    if (weightTrend.sampleSize >= exports.MIN_SLEEP_SAMPLES && weightTrend.coefficient !== null) {
+        metric = 'weightTrend';
+        primary = weightTrend;
+        dataPoints = weightPairs;
+    } else if (intakeAdherence.sampleSize >= exports.MIN_SLEEP_SAMPLES && intakeAdherence.coefficient !== null) {
+        metric = 'intakeAdherence';
+        primary = intakeAdherence;
+        dataPoints = intakePairs;
+    }
+
+    return {
+        label: labelFor(primary.coefficient),
+        coefficient: primary.coefficient,
+        metric,
+        sampleSize: primary.sampleSize,
+        nightsLogged: sleepEntries.length,
+        averageSleepHours: sleepEntries.length
+            ? Math.round(sleepEntries.reduce((sum, entry) => sum + entry.durationHours, 0) / sleepEntries.length * 10) / 10
+            : null,
+        weightTrend,
+        intakeAdherence,
+        dataPoints: dataPoints.slice(-MAX_DATA_POINTS)
+    };
+};
@@ -0,0 +1,53 @@
+// Least-squares line through { x, y } points. Returns the slope, the value at
+// x = 0, the standard error of the slope and the residual standard deviation.
+exports.fitLinearTrend = (points) => {
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    const sxx = points.reduce((sum, p) => sum + Math.pow(p.x - meanX, 2), 0);
+    const sxy = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+    const slope = sxx === 0 ? 0 : sxy / sxx;
+
+    const residualSquares = points.reduce((sum, p) => {
+        const fitted = meanY + slope * (p.x - meanX);
+        return sum + Math.pow(p.y - fitted, 2);
+    }, 0);
+    const residualVariance = points.length > 2 ? residualSquares / (points.length - 2) : 0;
+
+    return {
+        slope,
+        intercept: meanY - slope * meanX,
+        slopeError: sxx === 0 ? Infinity : Math.sqrt(residualVariance / sxx),
+        noise: Math.sqrt(residualVariance)
+    };
+};
+
+// Half-life of the smoothed trend weight: a reading's influence halves every
+// this many days. Longer half-lives smooth more but react more slowly.
+exports.TREND_HALF_LIFE_DAYS = 7;
+exports.MIN_TREND_HALF_LIFE_DAYS = 1;
+exports.MAX_TREND_HALF_LIFE_DAYS = 30;
+
+exports.isValidHalfLife = (halfLifeDays) =>
+    typeof halfLifeDays === 'number' &&
+    halfLifeDays >= exports.MIN_TREND_HALF_LIFE_DAYS &&
+    halfLifeDays <= exports.MAX_TREND_HALF_LIFE_DAYS;
+
+// Exponentially weighted moving average over weigh-ins sorted by measuredAt.
+// The smoothing factor depends on the gap since the previous reading, so a
+// reading after a week away moves the trend more than one taken the next day.
+exports.calculateTrendWeights = (weighIns, halfLifeDays = exports.TREND_HALF_LIFE_DAYS) => {
+    const trend = [];
+
+    weighIns.forEach((weighIn, index) => {
+        if (index === 0) {
+            trend.push(weighIn.weight);
+            return;
+        }
+
+        const gapDays = Math.max(0, new Date(weighIn.measuredAt) - new Date(weighIns[index - 1].measuredAt)) / (1000 * 60 * 60 * 24);
+        const alpha = 1 - Math.pow(0.5, gapDays / halfLifeDays);
+        trend.push(Math.round((trend[index - 1] + alpha * (weighIn.weight - trend[index - 1])) * 100) / 100);
+    });
+
+    return trend;
+};
@@ -0,0 +1,62 @@
+// All tracking values are stored in metric (kg / cm). Requests declare the
+// unit system they were entered in and responses are rendered back into the
+// caller's preferred system.
+const KG_PER_LB = 0.45359237;
+const CM_PER_IN = 2.54;
+
+exports.UNIT_SYSTEMS = ['metric', 'imperial'];
+exports.CANONICAL_UNITS = { weight: 'kg', height: 'cm' };
+
+exports.isValidUnitSystem = (unitSystem) => exports.UNIT_SYSTEMS.includes(unitSystem);
+
+// Declared unit wins, then the user's preference, then metric
+exports.resolveUnitSystem = (declared, preferred) => {
+    if (declared !== undefined && declared !== null) return declared;
+    return preferred || 'metric';
+};
+
+exports.toCanonicalWeight = (value, unitSystem) => {
+    if (value === undefined || value === null) return value;
+    return unitSystem === 'imperial' ? Number(value) * KG_PER_LB : Number(value);
+};
+
+exports.fromCanonicalWeight = (value, unitSystem) => {
+    if (value === undefined || value === null) return value;
+    const converted = unitSystem === 'imperial' ? value / KG_PER_LB : value;
+    return Math.round(converted * 10) / 10;
+};
+
+// Imperial heights are entered in inches
+exports.toCanonicalHeight = (value, unitSystem) => {
+    if (value === undefined || value === null) return value;
+    return unitSystem === 'imperial' ? Number(value) * CM_PER_IN : Number(value);
+};
+
+exports.fromCanonicalHeight = (value, unitSystem) => {
+    if (value === undefined || value === null) return value;
+    const converted = unitSystem === 'imperial' ? value / CM_PER_IN : value;
+    return Math.round(converted * 10) / 10;
+};
+
+exports.weightLabel = (unitSystem) => (unitSystem === 'imperial' ? 'lbs' : 'kg');
+
+exports.heightLabel = (unitSystem) => (unitSystem === 'imperial' ? 'in' : 'cm');
+
+// Body measurements (waist, hips, ...) use the same units as height
+exports.toCanonicalLength = exports.toCanonicalHeight;
+exports.fromCanonicalLength = exports.fromCanonicalHeight;
+exports.lengthLabel = exports.heightLabel;
+
+// Plans saved before units were recorded hold the raw request values. The old
+// analysis read weights under 100 as kg and anything heavier as lbs.
+exports.guessLegacyUnitSystem = (weight) => (Number(weight) < 100 ? 'metric' : 'imperial');
+
+// Legacy heights arrived as metres, feet, inches or cm
+exports.legacyHeightToCm = (value) => {
+    if (value === undefined || value === null) return value;
+    const height = Number(value);
+    if (height < 3) return height * 100;
+    if (height < 10) return height * 30.48;
+    if (height < 100) return height * CM_PER_IN;
+    return height;
+};
@@ -20,7 +20,7 @@ exports.protect = async (req, res, next) => {
             
             // Find user with decoded email
             const user = await User.findOne({ email: decoded.email })
-                .select('-password -refreshToken -resetPasswordToken -resetPasswordExpiry');
+                .select('-password -refreshToken -resetPasswordToken -resetPasswordExpiry -emailVerificationToken');
 
             if (!user) {
                 return res.status(401).json({
@@ -77,3 +77,16 @@ exports.protect = async (req, res, next) => {
     }
 };
 
+
+// Must run after protect
+exports.restrictToAdmin = (req, res, next) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({
+            status: 'error',
+            message: 'Admin access required',
+            code: 'FORBIDDEN'
+        });
+    }
+
+    next();
+};
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { BADGES } = require('../helpers/achievementHelper');
+
+// A badge awarded to a user. Plan milestones record the plan they were earned
+// on; other badges have no plan and can only be earned once.
+const achievementSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    badge: {
+        type: String,
+        required: true,
+        enum: Object.keys(BADGES)
+    },
+    tracking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tracking',
+        default: null
+    },
+    awardedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // What earned it, e.g. the streak length or the weight at the milestone
+    data: mongoose.Schema.Types.Mixed
+});
+
+// Backs the idempotent award in evaluateAchievements
+achievementSchema.index({ user: 1, badge: 1, tracking: 1 }, { unique: true });
+
+module.exports = mongoose.model('Achievement', achievementSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const lengthField = (label) => ({
+    type: Number,
+    min: [0, `${label} cannot be negative`]
+});
+
+const bodyMeasurementSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    tracking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tracking'
+    },
+    // Circumferences in cm regardless of how they were entered
+    waist: lengthField('Waist'),
+    hips: lengthField('Hips'),
+    chest: lengthField('Chest'),
+    arms: lengthField('Arms'),
+    thighs: lengthField('Thighs'),
+    bodyFatPercentage: {
+        type: Number,
+        min: [0, 'Body fat cannot be negative'],
+        max: [70, 'Body fat cannot exceed 70%']
+    },
+    entryUnitSystem: {
+        type: String,
+        enum: ['metric', 'imperial'],
+        default: 'metric'
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    measuredAt: {
+        type: Date,
+        required: true,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+bodyMeasurementSchema.index({ user: 1, measuredAt: 1 });
+
+module.exports = mongoose.model('BodyMeasurement', bodyMeasurementSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { EXERCISE_TYPES, INTENSITIES } = require('../helpers/exerciseHelper');
+
+const exerciseLogSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    tracking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tracking'
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: EXERCISE_TYPES
+    },
+    intensity: {
+        type: String,
+        enum: INTENSITIES,
+        default: 'moderate'
+    },
+    durationMinutes: {
+        type: Number,
+        required: true,
+        min: [1, 'Duration must be at least 1 minute']
+    },
+    met: Number,
+    caloriesBurned: {
+        type: Number,
+        required: true,
+        min: [0, 'Calories cannot be negative']
+    },
+    // Calories above resting expenditure, the part that can be eaten back
+    netCalories: {
+        type: Number,
+        min: [0, 'Calories cannot be negative']
+    },
+    // estimated from the MET table, or entered by the user
+    calorieSource: {
+        type: String,
+        enum: ['estimated', 'manual'],
+        default: 'estimated'
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    performedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+exerciseLogSchema.index({ user: 1, performedAt: -1 });
+
+module.exports = mongoose.model('ExerciseLog', exerciseLogSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const foodLogSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    tracking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tracking'
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    calories: {
+        type: Number,
+        required: true,
+        min: [0, 'Calories cannot be negative']
+    },
+    protein: {
+        type: Number,
+        min: [0, 'Protein cannot be negative']
+    },
+    carbs: {
+        type: Number,
+        min: [0, 'Carbs cannot be negative']
+    },
+    fat: {
+        type: Number,
+        min: [0, 'Fat cannot be negative']
+    },
+    mealSlot: {
+        type: String,
+        required: true,
+        enum: ['morning', 'afternoon', 'night']
+    },
+    consumedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+foodLogSchema.index({ user: 1, consumedAt: -1 });
+
+module.exports = mongoose.model('FoodLog', foodLogSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Background work run by helpers/jobScheduler. A job is claimed by setting
+// status to running with a lock; stale locks are taken over after a timeout.
+const jobSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    // Identifies a recurring job so it is only ever scheduled once
+    key: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'running', 'completed', 'failed'],
+        default: 'pending'
+    },
+    runAt: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+    lastError: String,
+    lockedBy: String,
+    lockedAt: Date,
+    // Set when the job is scheduled again while running, so the run's own
+    // next time doesn't overwrite the new one
+    rescheduled: Boolean,
+    lastRunAt: Date
+}, {
+    timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
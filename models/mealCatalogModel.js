@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const mealCatalogSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: { type: String },
+    servingSize: { type: String },
+    calories: {
+        type: Number,
+        required: true,
+        min: [0, 'Calories cannot be negative']
+    },
+    protein: {
+        type: Number,
+        default: 0,
+        min: [0, 'Protein cannot be negative']
+    },
+    carbs: {
+        type: Number,
+        default: 0,
+        min: [0, 'Carbs cannot be negative']
+    },
+    fat: {
+        type: Number,
+        default: 0,
+        min: [0, 'Fat cannot be negative']
+    },
+    tags: {
+        type: [String],
+        default: []
+    },
+    mealSlots: {
+        type: [String],
+        enum: ['morning', 'afternoon', 'night'],
+        required: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+mealCatalogSchema.index({ mealSlots: 1, isActive: 1 });
+mealCatalogSchema.index({ tags: 1 });
+
+module.exports = mongoose.model('MealCatalog', mealCatalogSchema);
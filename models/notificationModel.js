@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const deliverySchema = new mongoose.Schema({
+    channel: {
+        type: String,
+        enum: ['email', 'push', 'inApp'],
+        required: true
+    },
+    // deferred: held back by quiet hours; skipped: channel not usable for this user
+    status: {
+        type: String,
+        enum: ['pending', 'deferred', 'sent', 'failed', 'skipped'],
+        default: 'pending'
+    },
+    error: String,
+    sentAt: Date
+}, { _id: false });
+
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    category: {
+        type: String,
+        enum: ['transactional', 'reminders', 'digests', 'social'],
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    body: String,
+    // Frontend path or URL the notification opens
+    link: String,
+    // Full email, when it differs from title and body
+    email: {
+        subject: String,
+        html: String
+    },
+    deliveries: [deliverySchema],
+    // Shown in the in-app inbox
+    inbox: {
+        type: Boolean,
+        default: false
+    },
+    readAt: Date
+}, {
+    timestamps: true
+});
+
+notificationSchema.index({ user: 1, inbox: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const progressPhotoSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    tracking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tracking'
+    },
+    pose: {
+        type: String,
+        required: true,
+        enum: ['front', 'side', 'back']
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    // Cloudinary id, needed to delete the image
+    publicId: {
+        type: String,
+        required: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    takenAt: {
+        type: Date,
+        required: true,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+progressPhotoSchema.index({ user: 1, pose: 1, takenAt: 1 });
+
+module.exports = mongoose.model('ProgressPhoto', progressPhotoSchema);
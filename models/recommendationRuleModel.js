@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { METRICS, OPERATORS, RULE_CATEGORIES } = require('../helpers/recommendationHelper');
+const { GOAL_TYPES } = require('../helpers/energyHelper');
+
+// An admin-managed recommendation: when every condition holds for a plan, the
+// message (with {{metric}} placeholders filled in) is shown to the user
+const recommendationRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: String,
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    // Higher runs first; the top match with a focusArea sets the plan's focus
+    priority: {
+        type: Number,
+        default: 0
+    },
+    // Empty applies to every goal type
+    goalTypes: {
+        type: [String],
+        enum: GOAL_TYPES,
+        default: []
+    },
+    category: {
+        type: String,
+        enum: RULE_CATEGORIES,
+        required: true
+    },
+    conditions: [{
+        _id: false,
+        metric: { type: String, enum: Object.keys(METRICS), required: true },
+        operator: { type: String, enum: Object.keys(OPERATORS), required: true },
+        value: { type: mongoose.Schema.Types.Mixed, required: true }
+    }],
+    message: {
+        type: String,
+        required: true
+    },
+    focusArea: String,
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('RecommendationRule', recommendationRuleSchema);
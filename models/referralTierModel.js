@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A reward granted once a referrer reaches this many converted referrals
+const referralTierSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: String,
+    conversions: {
+        type: Number,
+        required: true,
+        unique: true,
+        min: [1, 'A tier needs at least one conversion']
+    },
+    // Unlocks the account features gated on isAuthorized
+    grantsAuthorization: {
+        type: Boolean,
+        default: false
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('ReferralTier', referralTierSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const reminderSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['weighIn', 'mealLogging', 'planCheckIn']
+    },
+    // Local wall-clock time (HH:MM) in the user's time zone
+    time: {
+        type: String,
+        required: true,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be HH:MM']
+    },
+    // 0 = Sunday; empty means every day
+    daysOfWeek: {
+        type: [Number],
+        default: []
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    nextRunAt: Date,
+    lastSentAt: Date
+}, {
+    timestamps: true
+});
+
+reminderSchema.index({ user: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('Reminder', reminderSchema);
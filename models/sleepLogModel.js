@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const sleepLogSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    tracking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tracking'
+    },
+    bedtime: {
+        type: Date,
+        required: true
+    },
+    durationHours: {
+        type: Number,
+        required: true,
+        min: [0, 'Sleep duration cannot be negative'],
+        max: [24, 'Sleep duration cannot exceed 24 hours']
+    },
+    // 1 (very poor) to 5 (excellent)
+    quality: {
+        type: Number,
+        min: [1, 'Quality must be between 1 and 5'],
+        max: [5, 'Quality must be between 1 and 5']
+    },
+    // UTC day the user woke up (YYYY-MM-DD); one entry per night
+    wakeDate: {
+        type: String,
+        required: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+sleepLogSchema.index({ user: 1, wakeDate: 1 }, { unique: true });
+
+module.exports = mongoose.model('SleepLog', sleepLogSchema);
@@ -12,11 +12,36 @@ const trackingSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    // Weights are stored in kg and heights in cm regardless of how they were entered
+    units: {
+        weight: { type: String, enum: ['kg'], default: 'kg' },
+        height: { type: String, enum: ['cm'], default: 'cm' }
+    },
+    entryUnitSystem: {
+        type: String,
+        enum: ['metric', 'imperial'],
+        default: 'metric'
+    },
+    // Weight at plan start, never overwritten by later weigh-ins
+    startingWeight: {
+        type: Number,
+        min: [0, 'Weight cannot be negative']
+    },
     currentWeight: {
         type: Number,
         required: true,
         min: [0, 'Weight cannot be negative']
     },
+    // Smoothed weight as of the latest weigh-in
+    trendWeight: {
+        type: Number,
+        min: [0, 'Weight cannot be negative']
+    },
+    trendHalfLifeDays: {
+        type: Number,
+        min: [1, 'Trend half-life must be at least 1 day'],
+        max: [30, 'Trend half-life cannot exceed 30 days']
+    },
     age: {
         type: Number,
         required: true,
@@ -32,6 +57,25 @@ const trackingSchema = new mongoose.Schema({
         required: true,
         enum: ['sedentary', 'lightlyActive', 'moderatelyActive', 'veryActive', 'extraActive']
     },
+    sex: {
+        type: String,
+        enum: ['male', 'female']
+    },
+    bodyFatPercentage: {
+        type: Number,
+        min: [0, 'Body fat cannot be negative'],
+        max: [70, 'Body fat cannot exceed 70%']
+    },
+    // Explicitly requested model; when unset the best model for the data is used
+    bmrModel: {
+        type: String,
+        enum: ['mifflinStJeor', 'harrisBenedict', 'katchMcArdle']
+    },
+    goalType: {
+        type: String,
+        enum: ['lose', 'maintain', 'gain'],
+        default: 'lose'
+    },
     goalWeight: {
         type: Number,
         required: true,
@@ -46,19 +90,85 @@ const trackingSchema = new mongoose.Schema({
         type: Number,
         min: [0, 'Calories cannot be negative']
     },
+    // How dailyCalories was derived, kept so users can audit their target
+    energyModel: {
+        model: String,
+        sex: String,
+        bodyFatPercentage: Number,
+        bmr: Number,
+        activityMultiplier: Number,
+        tdee: Number,
+        dailyDeficit: Number,
+        dailySurplus: Number,
+        dailyCalories: Number,
+        // Formula TDEE recalibrated from logged intake and weight trend
+        adaptive: {
+            formulaTdee: Number,
+            observedTdee: Number,
+            appliedTdee: Number,
+            confidence: {
+                type: String,
+                enum: ['insufficient', 'low', 'medium', 'high']
+            },
+            windowDays: Number,
+            loggedDays: Number,
+            weighInCount: Number,
+            averageIntake: Number,
+            weightTrendPerWeek: Number
+        }
+    },
+    safetyWarnings: [{
+        code: String,
+        severity: {
+            type: String,
+            enum: ['block', 'adjusted', 'advice']
+        },
+        message: String,
+        value: Number,
+        limit: Number,
+        suggestedDurationWeeks: Number
+    }],
+    macroPreset: {
+        type: String,
+        enum: ['balanced', 'highProtein', 'lowCarb', 'keto'],
+        default: 'balanced'
+    },
+    // Daily targets in grams
+    macroTargets: {
+        preset: String,
+        proteinPerKg: Number,
+        protein: Number,
+        carbs: Number,
+        fat: Number
+    },
     mealDistribution: {
         morning: {
             calories: Number,
+            macros: {
+                protein: Number,
+                carbs: Number,
+                fat: Number
+            },
             description: String,
             recommendedMeals: [String]
         },
         afternoon: {
             calories: Number,
+            macros: {
+                protein: Number,
+                carbs: Number,
+                fat: Number
+            },
             description: String,
             recommendedMeals: [String]
         },
         night: {
             calories: Number,
+            macros: {
+                protein: Number,
+                carbs: Number,
+                fat: Number
+            },
             description: String,
             recommendedMeals: [String]
         },
@@ -69,26 +179,81 @@ const trackingSchema = new mongoose.Schema({
             type: Number,
             min: [0, 'Week number cannot be negative']
         },
+        // Average of that week's weigh-ins, null when none were logged
         currentWeight: {
             type: Number,
             min: [0, 'Weight cannot be negative']
         },
+        predictedWeight: Number,
+        // Trend weight at the week's last weigh-in
+        trendWeight: Number,
+        weighInCount: Number,
         predictedDate: {
             type: Date
         },
         dailyCalories: Number,
-        calorieAdjustment: Number
+        calorieAdjustment: Number,
+        isOverdue: Boolean
     }],
     recommendations: {
         bestDays: {
             type: [String],
             enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
         },
+        // Share of on-target days per weekday behind bestDays
+        bestDaysBasis: [{
+            _id: false,
+            day: String,
+            days: Number,
+            adherence: Number
+        }],
+        // Label for sleepAnalysis.coefficient, unset until enough nights are logged
         sleepCorrelation: {
             type: String,
             enum: ['Positive', 'Negative', 'Neutral']
         },
-        focusAreas: String
+        sleepAnalysis: {
+            coefficient: Number,
+            metric: {
+                type: String,
+                enum: ['weightTrend', 'intakeAdherence']
+            },
+            sampleSize: Number,
+            nightsLogged: Number,
+            averageSleepHours: Number,
+            weightTrend: {
+                coefficient: Number,
+                sampleSize: Number
+            },
+            intakeAdherence: {
+                coefficient: Number,
+                sampleSize: Number
+            },
+            dataPoints: [{
+                date: String,
+                sleepHours: Number,
+                quality: Number,
+                value: Number
+            }]
+        },
+        focusAreas: String,
+        // Matched recommendation rules, highest priority first
+        items: [{
+            _id: false,
+            rule: String,
+            category: String,
+            priority: Number,
+            message: String,
+            focusArea: String,
+            because: [String]
+        }],
+        plateauSuggestions: [{
+            type: { type: String, enum: ['dietBreak', 'recalculateTarget', 'increaseActivity'] },
+            calories: Number,
+            durationDays: Number,
+            activityLevel: String,
+            message: String
+        }]
     },
     progressNotes: [{
         note: { type: String },
@@ -104,22 +269,59 @@ const trackingSchema = new mongoose.Schema({
             positiveChanges: Number,
             negativeChanges: Number,
             neutralChanges: Number
+        },
+        plateau: {
+            status: {
+                type: String,
+                enum: ['insufficient', 'notApplicable', 'progressing', 'noise', 'plateau']
+            },
+            windowDays: Number,
+            weighInCount: Number,
+            startedAt: Date,
+            weeklyRate: Number,
+            minimumWeeklyChange: Number,
+            noise: Number
         }
     },
+    // Share of net exercise calories added back to that day's budget (0 = none)
+    exerciseEatBackFraction: {
+        type: Number,
+        default: 0,
+        min: [0, 'Eat-back fraction cannot be negative'],
+        max: [1, 'Eat-back fraction cannot exceed 1']
+    },
+    // Days of weigh-ins used to decide whether progress has stalled
+    plateauWindowDays: {
+        type: Number,
+        min: [7, 'Plateau window must be at least 7 days'],
+        max: [56, 'Plateau window cannot exceed 56 days']
+    },
+    plateaus: [{
+        startedAt: { type: Date, required: true },
+        endedAt: { type: Date },
+        windowDays: Number,
+        weeklyRate: Number
+    }],
     chartData: {
         weightProgress: [{
             date: Date,
             weight: Number,
+            trendWeight: Number,
             isActual: Boolean
         }],
         calorieDistribution: {
             labels: [String],
             data: [Number]
         },
+        // forecast, optimistic and pessimistic follow the weigh-in trend from the current week
         progressTrend: [{
             week: Number,
             actual: Number,
-            predicted: Number
+            trend: Number,
+            predicted: Number,
+            forecast: Number,
+            optimistic: Number,
+            pessimistic: Number
         }]
     },
     progressPercentage: {
@@ -127,6 +329,25 @@ const trackingSchema = new mongoose.Schema({
         default: 0,
         min: 0,
         max: 100
+    },
+    // Only one plan per user may be active or paused at a time
+    status: {
+        type: String,
+        enum: ['active', 'paused', 'completed', 'archived'],
+        default: 'active',
+        index: true
+    },
+    pauses: [{
+        startedAt: { type: Date, required: true },
+        endedAt: { type: Date },
+        reason: { type: String }
+    }],
+    endedAt: { type: Date },
+    outcome: {
+        endWeight: Number,
+        weightChange: Number,
+        goalReached: Boolean,
+        pausedDays: Number
     }
 }, {
     timestamps: true,
@@ -134,16 +355,69 @@ const trackingSchema = new mongoose.Schema({
     toObject: { virtuals: true }
 });
 
-// Virtual to calculate progress percentage
+// Virtual to calculate progress percentage. Uses the trend weight so a single
+// heavy or light reading does not swing the percentage.
 trackingSchema.virtual('calculateProgressPercentage').get(function() {
-    if (this.currentWeight && this.goalWeight) {
-        const totalWeightDifference = Math.abs(this.currentWeight - this.goalWeight);
-        const progressMade = Math.abs(this.currentWeight - (this.weeklyProgress[this.weeklyProgress.length - 1]?.currentWeight || this.currentWeight));
-        return Math.min((progressMade / totalWeightDifference) * 100, 100);
+    const startingWeight = this.startingWeight || this.currentWeight;
+    const weight = this.trendWeight || this.currentWeight;
+    if (startingWeight && weight && this.goalWeight) {
+        const totalWeightDifference = startingWeight - this.goalWeight;
+        if (totalWeightDifference === 0) return 100;
+
+        // Only movement towards the goal counts as progress
+        const progressMade = (startingWeight - weight) / totalWeightDifference;
+        return Math.min(Math.max(progressMade * 100, 0), 100);
     }
     return 0;
 });
 
+// Trend-based like the progress percentage, so one light or heavy reading
+// doesn't count as reaching the goal
+trackingSchema.virtual('isGoalReached').get(function() {
+    const weight = this.trendWeight || this.currentWeight;
+    if (!weight || !this.goalWeight) return false;
+    if (this.goalType === 'gain') return weight >= this.goalWeight;
+    if (this.goalType === 'maintain') return false;
+    return weight <= this.goalWeight;
+});
+
+// Total days spent paused, counting an open pause up to now
+trackingSchema.methods.getPausedDays = function (asOf = new Date()) {
+    const pausedMs = (this.pauses || []).reduce((total, pause) => {
+        const end = pause.endedAt || asOf;
+        return total + Math.max(0, end - pause.startedAt);
+    }, 0);
+    return Math.round((pausedMs / (1000 * 60 * 60 * 24)) * 10) / 10;
+};
+
+trackingSchema.methods.getOutcome = function (asOf = new Date()) {
+    const startingWeight = this.startingWeight || this.currentWeight;
+
+    return {
+        endWeight: this.currentWeight,
+        weightChange: this.currentWeight - startingWeight,
+        goalReached: this.isGoalReached,
+        pausedDays: this.getPausedDays(asOf)
+    };
+};
+
+// Close the plan as completed or archived and record how it went
+trackingSchema.methods.close = function (status) {
+    const now = new Date();
+    const openPause = (this.pauses || []).find(pause => !pause.endedAt);
+    if (openPause) openPause.endedAt = now;
+
+    this.status = status;
+    this.endedAt = now;
+    this.outcome = this.getOutcome(now);
+};
+
+// Active or paused plan. Plans created before plan states existed have no
+// status and are treated as active.
+trackingSchema.statics.findCurrent = function (userId) {
+    return this.findOne({ user: userId, status: { $nin: ['completed', 'archived'] } }).sort({ createdAt: -1 });
+};
+
 // Pre-save middleware to update progress percentage
 trackingSchema.pre('save', function(next) {
     this.progressPercentage = this.calculateProgressPercentage;
@@ -153,5 +427,15 @@ trackingSchema.pre('save', function(next) {
 // Add indexes to improve query performance
 trackingSchema.index({ user: 1, createdAt: -1 });
 trackingSchema.index({ userId: 1 });
+// At most one active or paused plan per user, even under concurrent requests.
+// Partial indexes with $in need MongoDB 6.0 or later.
+trackingSchema.index(
+    { user: 1 },
+    {
+        name: 'user_open_plan_unique',
+        unique: true,
+        partialFilterExpression: { status: { $in: ['active', 'paused'] } }
+    }
+);
 
 module.exports = mongoose.model('Tracking', trackingSchema);
\ No newline at end of file
@@ -18,8 +18,76 @@ const userSchema = new mongoose.Schema(
     },
     referredBy: { type: String },
     referrals: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+    // Set once on a referred user who has verified their email and started a
+    // plan; only converted referrals count towards the referrer's rewards
+    referralConvertedAt: { type: Date },
+    // Reward tiers (models/referralTierModel) the user has been granted
+    referralRewards: [{
+      _id: false,
+      tier: { type: String, required: true },
+      conversions: { type: Number },
+      awardedAt: { type: Date, default: Date.now }
+    }],
     isAuthorized: { type: Boolean, default: false },
+    emailVerified: { type: Boolean, default: false },
+    emailVerificationToken: { type: String, index: true },
+    role: { type: String, enum: ['user', 'admin'], default: 'user' },
     profileImage: { type: String },
+    unitSystem: { type: String, enum: ['metric', 'imperial'], default: 'metric' },
+    sex: { type: String, enum: ['male', 'female'] },
+    // IANA zone used for reminder times, e.g. Europe/London
+    timeZone: { type: String, default: 'UTC' },
+    // Channels per notification category. Transactional email can't be turned
+    // off; quiet hours hold back email and push outside transactional messages.
+    notificationPreferences: {
+      transactional: {
+        push: { type: Boolean, default: false },
+        inApp: { type: Boolean, default: true }
+      },
+      reminders: {
+        email: { type: Boolean, default: true },
+        push: { type: Boolean, default: true },
+        inApp: { type: Boolean, default: true }
+      },
+      digests: {
+        email: { type: Boolean, default: true },
+        push: { type: Boolean, default: false },
+        inApp: { type: Boolean, default: true }
+      },
+      social: {
+        email: { type: Boolean, default: false },
+        push: { type: Boolean, default: true },
+        inApp: { type: Boolean, default: true }
+      },
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: '22:00' },
+        end: { type: String, default: '07:00' }
+      }
+    },
+    // Web push subscriptions, one per browser
+    pushSubscriptions: [{
+      endpoint: { type: String, required: true },
+      keys: {
+        p256dh: String,
+        auth: String
+      },
+      createdAt: { type: Date, default: Date.now }
+    }],
+    // Opt-in weekly progress email; the token backs the unsubscribe link
+    weeklyDigest: {
+      enabled: { type: Boolean, default: false },
+      unsubscribeToken: { type: String, index: true },
+      lastSentAt: { type: Date }
+    },
+    // Kept up to date by achievementController.evaluateAchievements. Logging
+    // counts UTC days with food logged, weighIn and adherence count weeks.
+    streaks: {
+      logging: { current: { type: Number, default: 0 }, best: { type: Number, default: 0 } },
+      weighIn: { current: { type: Number, default: 0 }, best: { type: Number, default: 0 } },
+      adherence: { current: { type: Number, default: 0 }, best: { type: Number, default: 0 } },
+      updatedAt: { type: Date }
+    },
     refreshToken: { type: String },
     refreshTokenExpiry: { type: Date },
     resetPasswordToken: { type: String },
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const weighInSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    tracking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tracking'
+    },
+    // Canonical value in kg
+    weight: {
+        type: Number,
+        required: true,
+        min: [0, 'Weight cannot be negative']
+    },
+    // Smoothed trend weight in kg, see helpers/trendHelper
+    trendWeight: {
+        type: Number,
+        min: [0, 'Weight cannot be negative']
+    },
+    unit: {
+        type: String,
+        enum: ['kg'],
+        default: 'kg'
+    },
+    // Value and unit exactly as the user entered them
+    enteredWeight: Number,
+    enteredUnit: {
+        type: String,
+        enum: ['kg', 'lbs']
+    },
+    source: {
+        type: String,
+        enum: ['initial', 'manual', 'scale', 'import'],
+        default: 'manual'
+    },
+    measuredAt: {
+        type: Date,
+        required: true,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+weighInSchema.index({ user: 1, measuredAt: 1 });
+
+module.exports = mongoose.model('WeighIn', weighInSchema);
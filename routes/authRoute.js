@@ -8,10 +8,13 @@ const {
     deleteAccount,
     resetPassword,
     updatePassword,
+    updatePreferences,
     updateProfileImage,
     toggleAuthorization,
     resetPasswordRequest,
     updateUsernameOrEmail,
+    verifyEmail,
+    resendVerificationEmail,
 } = require('../controllers/authController');
 const { protect } = require('../middleware/authMiddleware');
 
@@ -26,8 +29,11 @@ router.post('/refresh-token', refreshToken);
 router.put('/password', protect, updatePassword);
 router.post('/reset-link', resetPasswordRequest);
 router.put('/update', protect, updateUsernameOrEmail);
+router.put('/preferences', protect, updatePreferences);
 router.post('/authorize', protect, toggleAuthorization);
 router.put('/profile-image', protect, updateProfileImage);
 router.delete('/delete', protect, deleteAccount);
+router.get('/verify-email/:token', verifyEmail);
+router.post('/verification-email', protect, resendVerificationEmail);
 
 module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getMeals,
+    getMeal,
+    createMeal,
+    updateMeal,
+    deleteMeal
+} = require('../controllers/mealCatalogController');
+const { protect, restrictToAdmin } = require('../middleware/authMiddleware');
+
+router.get('/', getMeals);
+
+router.get('/:id', getMeal);
+
+router.post('/', protect, restrictToAdmin, createMeal);
+
+router.put('/:id', protect, restrictToAdmin, updateMeal);
+
+router.delete('/:id', protect, restrictToAdmin, deleteMeal);
+
+module.exports = router;
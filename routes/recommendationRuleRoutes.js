@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getRuleMetrics,
+    getRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule
+} = require('../controllers/recommendationRuleController');
+const { protect, restrictToAdmin } = require('../middleware/authMiddleware');
+
+router.use(protect, restrictToAdmin);
+
+router.get('/metrics', getRuleMetrics);
+
+router.get('/', getRules);
+
+router.get('/:id', getRule);
+
+router.post('/', createRule);
+
+router.put('/:id', updateRule);
+
+router.delete('/:id', deleteRule);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { getReferralDashboard, validateReferralCode } = require('../controllers/referralController');
+const { getTiers, createTier, updateTier, deleteTier } = require('../controllers/referralTierController');
+const { protect, restrictToAdmin } = require('../middleware/authMiddleware');
+
+router.get('/', protect, getReferralDashboard);
+
+router.get('/codes/:code', validateReferralCode);
+
+router.get('/tiers', protect, restrictToAdmin, getTiers);
+
+router.post('/tiers', protect, restrictToAdmin, createTier);
+
+router.put('/tiers/:id', protect, restrictToAdmin, updateTier);
+
+router.delete('/tiers/:id', protect, restrictToAdmin, deleteTier);
+
+module.exports = router;
@@ -4,14 +4,169 @@ const {
     initializeTracking,
     updateTracking,
     getTracking,
+    getForecast,
     getTrackingHistory,
     getAllTracking
 } = require('../controllers/trackingController');
+const {
+    createFoodEntry,
+    getFoodEntries,
+    updateFoodEntry,
+    deleteFoodEntry,
+    getDailySummary
+} = require('../controllers/foodLogController');
+const { getWeighIns } = require('../controllers/weighInController');
+const {
+    createExerciseEntry,
+    getExerciseEntries,
+    updateExerciseEntry,
+    deleteExerciseEntry,
+    getWeeklySummary
+} = require('../controllers/exerciseLogController');
+const {
+    createSleepEntry,
+    getSleepEntries,
+    updateSleepEntry,
+    deleteSleepEntry
+} = require('../controllers/sleepLogController');
+const {
+    createMeasurement,
+    getMeasurements,
+    compareMeasurements,
+    deleteMeasurement
+} = require('../controllers/measurementController');
+const {
+    uploadPhoto,
+    getPhotos,
+    comparePhotos,
+    deletePhoto
+} = require('../controllers/progressPhotoController');
+const { exportTracking } = require('../controllers/exportController');
+const { importWeighIns } = require('../controllers/importController');
+const { previewDigest, unsubscribeDigest } = require('../controllers/digestController');
+const { getReminders, setReminder, deleteReminder } = require('../controllers/reminderController');
+const { getAchievements, reevaluateAchievements } = require('../controllers/achievementController');
+const {
+    getNotifications,
+    markNotificationRead,
+    markAllNotificationsRead,
+    deleteNotification,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    getPushPublicKey,
+    addPushSubscription,
+    removePushSubscription
+} = require('../controllers/notificationController');
+const {
+    startPhase,
+    pausePlan,
+    resumePlan,
+    completePlan,
+    archivePlan,
+    updatePlanSettings
+} = require('../controllers/planController');
+const { protect } = require('../middleware/authMiddleware');
 
 router.post('/initialize', initializeTracking);
 
 router.post('/update', updateTracking);
 
+router.post('/food', protect, createFoodEntry);
+
+router.get('/food/summary', protect, getDailySummary);
+
+router.get('/food', protect, getFoodEntries);
+
+router.put('/food/:entryId', protect, updateFoodEntry);
+
+router.delete('/food/:entryId', protect, deleteFoodEntry);
+
+router.post('/exercise', protect, createExerciseEntry);
+
+router.get('/exercise/summary', protect, getWeeklySummary);
+
+router.get('/exercise', protect, getExerciseEntries);
+
+router.put('/exercise/:entryId', protect, updateExerciseEntry);
+
+router.delete('/exercise/:entryId', protect, deleteExerciseEntry);
+
+router.post('/sleep', protect, createSleepEntry);
+
+router.get('/sleep', protect, getSleepEntries);
+
+router.put('/sleep/:entryId', protect, updateSleepEntry);
+
+router.delete('/sleep/:entryId', protect, deleteSleepEntry);
+
+router.post('/measurements', protect, createMeasurement);
+
+router.get('/measurements/compare', protect, compareMeasurements);
+
+router.get('/measurements', protect, getMeasurements);
+
+router.delete('/measurements/:entryId', protect, deleteMeasurement);
+
+router.post('/photos', protect, uploadPhoto);
+
+router.get('/photos/compare', protect, comparePhotos);
+
+router.get('/photos', protect, getPhotos);
+
+router.delete('/photos/:photoId', protect, deletePhoto);
+
+router.get('/weigh-ins', protect, getWeighIns);
+
+router.get('/forecast', protect, getForecast);
+
+router.get('/export', protect, exportTracking);
+
+router.post('/import/weigh-ins', protect, importWeighIns);
+
+router.get('/digest/unsubscribe/:token', unsubscribeDigest);
+
+router.get('/digest/preview', protect, previewDigest);
+
+router.get('/reminders', protect, getReminders);
+
+router.put('/reminders/:type', protect, setReminder);
+
+router.delete('/reminders/:type', protect, deleteReminder);
+
+router.get('/achievements', protect, getAchievements);
+
+router.post('/achievements/evaluate', protect, reevaluateAchievements);
+
+router.get('/notifications/push/public-key', getPushPublicKey);
+
+router.get('/notifications/preferences', protect, getNotificationPreferences);
+
+router.put('/notifications/preferences', protect, updateNotificationPreferences);
+
+router.post('/notifications/push-subscriptions', protect, addPushSubscription);
+
+router.delete('/notifications/push-subscriptions', protect, removePushSubscription);
+
+router.put('/notifications/read-all', protect, markAllNotificationsRead);
+
+router.put('/notifications/:notificationId/read', protect, markNotificationRead);
+
+router.delete('/notifications/:notificationId', protect, deleteNotification);
+
+router.get('/notifications', protect, getNotifications);
+
+router.post('/plans/phase', protect, startPhase);
+
+router.post('/plans/:trackingId/pause', protect, pausePlan);
+
+router.post('/plans/:trackingId/resume', protect, resumePlan);
+
+router.post('/plans/:trackingId/complete', protect, completePlan);
+
+router.post('/plans/:trackingId/archive', protect, archivePlan);
+
+router.put('/plans/:trackingId/settings', protect, updatePlanSettings);
+
 router.get('/:userId', getTracking);
 
 router.get('/history/:id', getTrackingHistory);
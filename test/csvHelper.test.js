@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { escapeCell, toCSV, parseCSV, detectDelimiter } = require('../helpers/csvHelper');
+
+test('parseCSV handles quoted delimiters, doubled quotes, CRLF and blank lines', () => {
+    const rows = parseCSV('\uFEFFdate,note\r\n"2026-01-01","a, ""quoted"" note"\n\n2026-01-02,"two\nlines"\n');
+    assert.deepStrictEqual(rows, [
+        ['date', 'note'],
+        ['2026-01-01', 'a, "quoted" note'],
+        ['2026-01-02', 'two\nlines']
+    ]);
+});
+
+test('parseCSV uses the given delimiter', () => {
+    assert.deepStrictEqual(parseCSV('a;b\n1,5;2', ';'), [['a', 'b'], ['1,5', '2']]);
+});
+
+test('detectDelimiter picks the most common separator in the header', () => {
+    assert.strictEqual(detectDelimiter('date,weight\n1;2;3'), ',');
+    assert.strictEqual(detectDelimiter('date;weight;unit\n1,2'), ';');
+    assert.strictEqual(detectDelimiter('date\tweight\n'), '\t');
+});
+
+test('escapeCell quotes delimiters, quotes and line breaks', () => {
+    assert.strictEqual(escapeCell('a,b'), '"a,b"');
+    assert.strictEqual(escapeCell('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(escapeCell(null), '');
+    assert.strictEqual(escapeCell(new Date('2026-01-01T00:00:00.000Z')), '2026-01-01T00:00:00.000Z');
+});
+
+test('escapeCell neutralises formulas but leaves numbers alone', () => {
+    assert.strictEqual(escapeCell('=SUM(A1:A2)'), "'=SUM(A1:A2)");
+    assert.strictEqual(escapeCell('+1 555 0100'), "'+1 555 0100");
+    assert.strictEqual(escapeCell('@cmd'), "'@cmd");
+    assert.strictEqual(escapeCell('=1,2'), `"'=1,2"`);
+    assert.strictEqual(escapeCell(-2.5), '-2.5');
+    assert.strictEqual(escapeCell('-2.5'), '-2.5');
+});
+
+test('toCSV writes a header row and CRLF line endings', () => {
+    const csv = toCSV([{ key: 'food', header: 'Food' }, { key: 'calories' }], [{ food: 'Toast, buttered', calories: 210 }]);
+    assert.strictEqual(csv, 'Food,calories\r\n"Toast, buttered",210\r\n');
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { nextLocalTime, isValidLocalTime } = require('../helpers/dateHelper');
+
+const next = (time, timeZone, daysOfWeek, after) => nextLocalTime(time, timeZone, daysOfWeek, new Date(after)).toISOString();
+
+test('nextLocalTime picks today when the time is still ahead, otherwise tomorrow', () => {
+    assert.strictEqual(next('07:30', 'UTC', [], '2026-01-15T06:00:00Z'), '2026-01-15T07:30:00.000Z');
+    assert.strictEqual(next('07:30', 'UTC', [], '2026-01-15T08:00:00Z'), '2026-01-16T07:30:00.000Z');
+    assert.strictEqual(next('07:30', 'UTC', [], '2026-01-15T07:30:00Z'), '2026-01-16T07:30:00.000Z');
+});
+
+test('nextLocalTime skips to the next allowed weekday', () => {
+    // 15 January 2026 is a Thursday; 1 is Monday
+    assert.strictEqual(next('07:30', 'UTC', [1], '2026-01-15T06:00:00Z'), '2026-01-19T07:30:00.000Z');
+});
+
+test('nextLocalTime converts wall-clock time in the given time zone', () => {
+    assert.strictEqual(next('07:30', 'America/New_York', [], '2026-01-15T00:00:00Z'), '2026-01-15T12:30:00.000Z');
+    assert.strictEqual(next('07:30', 'Asia/Kolkata', [], '2026-01-15T00:00:00Z'), '2026-01-15T02:00:00.000Z');
+});
+
+test('nextLocalTime moves a time skipped by the spring DST change an hour later', () => {
+    // 02:30 does not exist in New York on 8 March 2026; 03:30 EDT is 07:30 UTC
+    assert.strictEqual(next('02:30', 'America/New_York', [], '2026-03-08T05:00:00Z'), '2026-03-08T07:30:00.000Z');
+});
+
+test('isValidLocalTime accepts 24-hour HH:MM only', () => {
+    assert.strictEqual(isValidLocalTime('00:00'), true);
+    assert.strictEqual(isValidLocalTime('23:59'), true);
+    assert.strictEqual(isValidLocalTime('24:00'), false);
+    assert.strictEqual(isValidLocalTime('7:30'), false);
+    assert.strictEqual(isValidLocalTime(730), false);
+});
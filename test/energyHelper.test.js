@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateBMR, resolveBmrModel, isValidBodyFatPercentage } = require('../helpers/energyHelper');
+
+const profile = { weight: 80, height: 180, age: 30 };
+
+test('calculateBMR applies each model', () => {
+    assert.strictEqual(calculateBMR({ ...profile, model: 'mifflinStJeor', sex: 'male' }), 1780);
+    assert.strictEqual(calculateBMR({ ...profile, model: 'mifflinStJeor', sex: 'female' }), 1614);
+    assert.ok(Math.abs(calculateBMR({ ...profile, model: 'harrisBenedict', sex: 'male' }) - 1853.632) < 0.001);
+    assert.ok(Math.abs(calculateBMR({ ...profile, model: 'katchMcArdle', bodyFatPercentage: 20 }) - 1752.4) < 0.001);
+});
+
+test('calculateBMR averages the sexes when none is given', () => {
+    assert.strictEqual(calculateBMR({ ...profile, model: 'mifflinStJeor' }), 1697);
+});
+
+test('calculateBMR rejects unknown models and Katch-McArdle without body fat', () => {
+    assert.throws(() => calculateBMR({ ...profile, model: 'unknown' }), /Unknown BMR model/);
+    assert.throws(() => calculateBMR({ ...profile, model: 'katchMcArdle' }), /Body fat percentage is required/);
+});
+
+test('resolveBmrModel prefers the requested model, then Katch-McArdle when body fat is known', () => {
+    assert.strictEqual(resolveBmrModel('harrisBenedict', 20), 'harrisBenedict');
+    assert.strictEqual(resolveBmrModel(undefined, 20), 'katchMcArdle');
+    assert.strictEqual(resolveBmrModel(undefined, undefined), 'mifflinStJeor');
+});
+
+test('isValidBodyFatPercentage accepts numbers strictly between 0 and 70', () => {
+    assert.strictEqual(isValidBodyFatPercentage(25), true);
+    assert.strictEqual(isValidBodyFatPercentage(0), false);
+    assert.strictEqual(isValidBodyFatPercentage(70), false);
+    assert.strictEqual(isValidBodyFatPercentage('25'), false);
+});
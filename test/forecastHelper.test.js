@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { forecastGoal } = require('../helpers/forecastHelper');
+
+const points = (weightOnDay, days = 15) => Array.from({ length: days }, (_, day) => ({ day, weight: weightOnDay(day) }));
+
+test('forecastGoal extrapolates the recent trend to the goal', () => {
+    const forecast = forecastGoal(points(day => 80 - 0.1 * day), { goalWeight: 75, currentDay: 14, deadlineDay: 84 });
+    assert.strictEqual(forecast.status, 'progressing');
+    assert.strictEqual(forecast.trendWeight, 78.6);
+    assert.strictEqual(forecast.weeklyRate, 0.7);
+    assert.strictEqual(forecast.expectedDay, 50);
+    assert.strictEqual(forecast.deadlinePassed, false);
+});
+
+test('forecastGoal reports a goal already passed as reached', () => {
+    const forecast = forecastGoal(points(day => 80 - 0.1 * day), { goalWeight: 79, currentDay: 14, deadlineDay: 84 });
+    assert.strictEqual(forecast.status, 'reached');
+    assert.strictEqual(forecast.expectedDay, 14);
+});
+
+test('forecastGoal reports a trend away from the goal as stalled', () => {
+    const forecast = forecastGoal(points(day => 80 + 0.1 * day), { goalWeight: 75, currentDay: 14, deadlineDay: 84 });
+    assert.strictEqual(forecast.status, 'stalled');
+    assert.strictEqual(forecast.expectedDay, null);
+});
+
+test('forecastGoal needs enough weigh-ins and does not apply to maintenance', () => {
+    assert.strictEqual(forecastGoal(points(() => 80, 2), { goalWeight: 75, currentDay: 1, deadlineDay: 84 }).status, 'insufficient');
+    assert.strictEqual(forecastGoal(points(() => 80), { goalType: 'maintain', goalWeight: 80, currentDay: 14, deadlineDay: 84 }).status, 'notApplicable');
+});
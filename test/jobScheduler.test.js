@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Job = require('../models/jobModel');
+const { registerJobHandler, runDueJobs, getRetryDelay } = require('../helpers/jobScheduler');
+
+const MINUTE = 60 * 1000;
+
+// Runs one claimed job against a stubbed jobs collection and returns the
+// updates the scheduler wrote back
+async function runOnce(t, job, { rescheduled = false } = {}) {
+    const claims = [job];
+    t.mock.method(Job, 'findOneAndUpdate', async () => claims.shift() || null);
+
+    const updates = [];
+    t.mock.method(Job, 'updateOne', async (filter, update) => {
+        updates.push({ filter, update });
+        const matched = filter.rescheduled === true ? rescheduled : !rescheduled;
+        return { matchedCount: matched ? 1 : 0 };
+    });
+
+    assert.strictEqual(await runDueJobs(), 1);
+    return updates;
+}
+
+const claimedJob = (name, attempts, maxAttempts = 5) => ({ _id: 'job-1', name, attempts, maxAttempts, data: {} });
+
+test('getRetryDelay doubles from one minute and caps at six hours', () => {
+    assert.strictEqual(getRetryDelay(1), MINUTE);
+    assert.strictEqual(getRetryDelay(2), 2 * MINUTE);
+    assert.strictEqual(getRetryDelay(4), 8 * MINUTE);
+    assert.strictEqual(getRetryDelay(20), 6 * 60 * MINUTE);
+});
+
+test('a failed run is retried after the backoff delay', async (t) => {
+    registerJobHandler('failing', async () => {
+        throw new Error('SMTP down');
+    });
+
+    const before = Date.now();
+    const [{ update }] = await runOnce(t, claimedJob('failing', 3));
+
+    assert.strictEqual(update.$set.status, 'pending');
+    assert.strictEqual(update.$set.lastError, 'SMTP down');
+    const delay = update.$set.runAt.getTime() - before;
+    assert.ok(delay >= 4 * MINUTE && delay < 4 * MINUTE + 5000);
+});
+
+test('a job out of retries fails, or moves to its next slot when recurring', async (t) => {
+    const nextSlot = new Date('2030-01-01T00:00:00.000Z');
+    registerJobHandler('oneOff', async () => {
+        throw new Error('boom');
+    });
+    registerJobHandler('recurring', async () => {
+        throw new Error('boom');
+    }, { nextRunAt: () => nextSlot });
+
+    const [oneOff] = await runOnce(t, claimedJob('oneOff', 5));
+    assert.strictEqual(oneOff.update.$set.status, 'failed');
+
+    t.mock.restoreAll();
+    const [recurring] = await runOnce(t, claimedJob('recurring', 5));
+    assert.deepStrictEqual(recurring.update.$set, { status: 'pending', runAt: nextSlot, attempts: 0, lastError: 'boom' });
+});
+
+test('a successful run reschedules at the returned time or completes', async (t) => {
+    const nextRun = new Date('2030-01-01T00:00:00.000Z');
+    registerJobHandler('repeats', async () => nextRun);
+    registerJobHandler('once', async () => null);
+
+    const [repeats] = await runOnce(t, claimedJob('repeats', 1));
+    assert.deepStrictEqual(repeats.update.$set, { status: 'pending', runAt: nextRun, attempts: 0 });
+
+    t.mock.restoreAll();
+    const [once] = await runOnce(t, claimedJob('once', 1));
+    assert.strictEqual(once.update.$set.status, 'completed');
+});
+
+test('a job rescheduled while running keeps its new time', async (t) => {
+    registerJobHandler('edited', async () => new Date('2030-01-01T00:00:00.000Z'));
+
+    const updates = await runOnce(t, claimedJob('edited', 1), { rescheduled: true });
+
+    assert.strictEqual(updates.length, 2);
+    assert.strictEqual(updates[1].filter.rescheduled, true);
+    assert.deepStrictEqual(updates[1].update.$set, { status: 'pending', attempts: 0 });
+    assert.strictEqual(updates[1].update.$set.runAt, undefined);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isQuietTime } = require('../helpers/notificationHelper');
+
+const userWithQuietHours = (start, end, timeZone) => ({
+    timeZone,
+    notificationPreferences: { quietHours: { enabled: true, start, end } }
+});
+
+const at = (time) => new Date(`2026-01-15T${time}:00.000Z`);
+
+test('isQuietTime wraps quiet hours past midnight', () => {
+    const user = userWithQuietHours('22:00', '07:00');
+    assert.strictEqual(isQuietTime(user, 'reminders', at('23:30')), true);
+    assert.strictEqual(isQuietTime(user, 'reminders', at('06:59')), true);
+    assert.strictEqual(isQuietTime(user, 'reminders', at('07:00')), false);
+    assert.strictEqual(isQuietTime(user, 'reminders', at('12:00')), false);
+});
+
+test('isQuietTime handles quiet hours within one day', () => {
+    const user = userWithQuietHours('13:00', '14:00');
+    assert.strictEqual(isQuietTime(user, 'social', at('13:30')), true);
+    assert.strictEqual(isQuietTime(user, 'social', at('14:00')), false);
+    assert.strictEqual(isQuietTime(user, 'social', at('23:00')), false);
+});
+
+test('isQuietTime uses the user\'s time zone', () => {
+    // 03:30 UTC is 22:30 in New York in January
+    const user = userWithQuietHours('22:00', '07:00', 'America/New_York');
+    assert.strictEqual(isQuietTime(user, 'reminders', at('03:30')), true);
+    assert.strictEqual(isQuietTime(user, 'reminders', at('15:00')), false);
+});
+
+test('isQuietTime never holds back transactional messages or disabled quiet hours', () => {
+    assert.strictEqual(isQuietTime(userWithQuietHours('22:00', '07:00'), 'transactional', at('23:30')), false);
+    assert.strictEqual(isQuietTime({ notificationPreferences: { quietHours: { enabled: false, start: '22:00', end: '07:00' } } }, 'reminders', at('23:30')), false);
+    assert.strictEqual(isQuietTime({}, 'reminders', at('23:30')), false);
+});
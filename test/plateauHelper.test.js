@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectPlateau } = require('../helpers/plateauHelper');
+
+const day = (n) => new Date(Date.UTC(2026, 0, 1 + n));
+const series = (weightOnDay, days = 15) => Array.from({ length: days }, (_, n) => ({ weight: weightOnDay(n), measuredAt: day(n) }));
+const asOf = day(14);
+
+test('detectPlateau reports steady loss as progressing', () => {
+    const result = detectPlateau(series(n => 80 - 0.1 * n), { asOf });
+    assert.strictEqual(result.status, 'progressing');
+    assert.strictEqual(result.weeklyRate, 0.7);
+});
+
+test('detectPlateau reports a flat trend over the full window as a plateau', () => {
+    const result = detectPlateau(series(n => 80 + (n % 2 ? 0.05 : -0.05)), { asOf });
+    assert.strictEqual(result.status, 'plateau');
+});
+
+test('detectPlateau treats a stall within the scatter as noise', () => {
+    const result = detectPlateau(series(n => 80 - 0.01 * n + (n % 2 ? 2 : -2)), { asOf });
+    assert.strictEqual(result.status, 'noise');
+});
+
+test('detectPlateau needs enough weigh-ins and does not apply to maintenance', () => {
+    assert.strictEqual(detectPlateau(series(() => 80, 3), { asOf: day(2) }).status, 'insufficient');
+    assert.strictEqual(detectPlateau(series(() => 80), { asOf, goalType: 'maintain' }).status, 'notApplicable');
+});
+
+test('detectPlateau measures progress towards a gain goal', () => {
+    assert.strictEqual(detectPlateau(series(n => 60 + 0.05 * n), { asOf, goalType: 'gain' }).status, 'progressing');
+    assert.strictEqual(detectPlateau(series(n => 60 + 0.05 * n), { asOf }).status, 'plateau');
+});
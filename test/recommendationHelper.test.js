@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluateRules, validateConditions, calculateBestDays } = require('../helpers/recommendationHelper');
+
+const rule = (name, priority, conditions, extra = {}) => ({
+    name,
+    category: 'nutrition',
+    priority,
+    message: `${name}: adherence {{adherence}}`,
+    conditions,
+    ...extra
+});
+
+test('evaluateRules returns matching rules by priority with their reasons', () => {
+    const rules = [
+        rule('low', 1, [{ metric: 'adherence', operator: 'lt', value: 70 }]),
+        rule('veryLow', 5, [{ metric: 'adherence', operator: 'lt', value: 80 }]),
+        rule('met', 9, [{ metric: 'adherence', operator: 'gte', value: 90 }])
+    ];
+    const items = evaluateRules(rules, { adherence: 62.34 });
+
+    assert.deepStrictEqual(items.map(item => item.rule), ['veryLow', 'low']);
+    assert.strictEqual(items[1].message, 'low: adherence 62.3');
+    assert.deepStrictEqual(items[1].because, ['adherence is 62.3, below 70']);
+});
+
+test('evaluateRules skips disabled rules, other goal types and missing metrics', () => {
+    const rules = [
+        rule('disabled', 1, [{ metric: 'adherence', operator: 'lt', value: 70 }], { enabled: false }),
+        rule('gainOnly', 1, [{ metric: 'adherence', operator: 'lt', value: 70 }], { goalTypes: ['gain'] }),
+        rule('plateau', 1, [{ metric: 'plateau', operator: 'eq', value: true }])
+    ];
+    assert.deepStrictEqual(evaluateRules(rules, { adherence: 50, plateau: null }, 'lose'), []);
+});
+
+test('validateConditions rejects unknown metrics, operators and value types', () => {
+    assert.strictEqual(validateConditions([{ metric: 'adherence', operator: 'lt', value: 70 }]), null);
+    assert.match(validateConditions([]), /At least one condition/);
+    assert.match(validateConditions([{ metric: 'mood', operator: 'lt', value: 1 }]), /Unknown metric/);
+    assert.match(validateConditions([{ metric: 'adherence', operator: 'near', value: 1 }]), /Unknown operator/);
+    assert.match(validateConditions([{ metric: 'plateau', operator: 'eq', value: 1 }]), /boolean/);
+});
+
+test('calculateBestDays ranks weekdays by on-target days', () => {
+    // Two full weeks starting on a Sunday, on target every Monday and Tuesday
+    const from = new Date('2026-01-04T00:00:00.000Z');
+    const to = new Date('2026-01-18T00:00:00.000Z');
+    const intakeByDay = {
+        '2026-01-05': 2000, '2026-01-06': 2050, '2026-01-12': 1950, '2026-01-13': 2000,
+        '2026-01-07': 2600, '2026-01-14': 1500
+    };
+
+    const { bestDays, adherenceByWeekday } = calculateBestDays(intakeByDay, 2000, from, to);
+    assert.deepStrictEqual(bestDays, ['Monday', 'Tuesday']);
+    assert.deepStrictEqual(adherenceByWeekday.find(weekday => weekday.day === 'Wednesday'), { day: 'Wednesday', days: 2, adherence: 0 });
+});
+
+test('calculateBestDays waits for two samples of every weekday', () => {
+    const from = new Date('2026-01-04T00:00:00.000Z');
+    const to = new Date('2026-01-11T00:00:00.000Z');
+    assert.deepStrictEqual(calculateBestDays({ '2026-01-05': 2000 }, 2000, from, to).bestDays, []);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluatePlanSafety, MIN_DAILY_CALORIES } = require('../helpers/safetyHelper');
+
+// 100 kg -> 70 kg in 10 weeks plans 3 kg a week, three times the safe rate
+const fastLoss = {
+    goalType: 'lose',
+    currentWeight: 100,
+    goalWeight: 70,
+    height: 180,
+    durationWeeks: 10,
+    sex: 'male',
+    dailyCalories: 3000,
+    dailyDeficit: 3300
+};
+
+test('evaluatePlanSafety caps the deficit at the safe loss rate in clamp mode', () => {
+    const safety = evaluatePlanSafety(fastLoss);
+    assert.strictEqual(safety.dailyDeficit, 1100);
+    assert.strictEqual(safety.dailyCalories, 5200);
+    assert.strictEqual(safety.suggestedDurationWeeks, 30);
+    assert.deepStrictEqual(safety.warnings.map(warning => [warning.code, warning.severity]), [['LOSS_RATE_TOO_HIGH', 'adjusted']]);
+});
+
+test('evaluatePlanSafety only advises on the loss rate outside clamp mode', () => {
+    for (const guardrailMode of ['strict', 'extend']) {
+        const safety = evaluatePlanSafety({ ...fastLoss, guardrailMode });
+        assert.strictEqual(safety.dailyDeficit, 3300);
+        assert.strictEqual(safety.dailyCalories, 3000);
+        assert.strictEqual(safety.warnings[0].severity, 'advice');
+    }
+});
+
+test('evaluatePlanSafety raises targets below the calorie floor', () => {
+    const safety = evaluatePlanSafety({ ...fastLoss, goalWeight: 95, dailyCalories: 1000, dailyDeficit: 500, sex: 'female' });
+    assert.strictEqual(safety.dailyCalories, MIN_DAILY_CALORIES.female);
+    assert.deepStrictEqual(safety.warnings.map(warning => warning.code), ['CALORIE_FLOOR_APPLIED']);
+});
+
+test('evaluatePlanSafety blocks goals below a healthy BMI', () => {
+    const safety = evaluatePlanSafety({ ...fastLoss, goalWeight: 55, dailyDeficit: 0 });
+    assert.strictEqual(safety.warnings[0].code, 'GOAL_BMI_TOO_LOW');
+    assert.strictEqual(safety.warnings[0].severity, 'block');
+});
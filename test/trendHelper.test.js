@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateTrendWeights } = require('../helpers/trendHelper');
+
+const day = (n) => new Date(Date.UTC(2026, 0, 1 + n));
+
+test('calculateTrendWeights starts at the first weigh-in', () => {
+    assert.deepStrictEqual(calculateTrendWeights([{ weight: 80, measuredAt: day(0) }]), [80]);
+    assert.deepStrictEqual(calculateTrendWeights([]), []);
+});
+
+test('calculateTrendWeights moves halfway after one half-life', () => {
+    const trend = calculateTrendWeights([
+        { weight: 80, measuredAt: day(0) },
+        { weight: 78, measuredAt: day(7) }
+    ], 7);
+    assert.deepStrictEqual(trend, [80, 79]);
+});
+
+test('calculateTrendWeights weighs a reading by the gap before it', () => {
+    const nextDay = calculateTrendWeights([{ weight: 80, measuredAt: day(0) }, { weight: 78, measuredAt: day(1) }]);
+    const nextWeek = calculateTrendWeights([{ weight: 80, measuredAt: day(0) }, { weight: 78, measuredAt: day(7) }]);
+    assert.ok(nextDay[1] > nextWeek[1]);
+
+    const sameTime = calculateTrendWeights([{ weight: 80, measuredAt: day(0) }, { weight: 78, measuredAt: day(0) }]);
+    assert.deepStrictEqual(sameTime, [80, 80]);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    toCanonicalWeight,
+    fromCanonicalWeight,
+    toCanonicalHeight,
+    fromCanonicalHeight,
+    resolveUnitSystem,
+    isValidUnitSystem,
+    weightLabel,
+    heightLabel,
+    guessLegacyUnitSystem,
+    legacyHeightToCm
+} = require('../helpers/unitsHelper');
+
+test('toCanonicalWeight converts pounds to kilograms', () => {
+    assert.ok(Math.abs(toCanonicalWeight(220, 'imperial') - 99.79032) < 0.00001);
+    assert.strictEqual(toCanonicalWeight(80, 'metric'), 80);
+    assert.strictEqual(toCanonicalWeight('80.5', 'metric'), 80.5);
+});
+
+test('toCanonicalHeight converts inches to centimetres', () => {
+    assert.ok(Math.abs(toCanonicalHeight(70, 'imperial') - 177.8) < 0.00001);
+    assert.strictEqual(toCanonicalHeight(180, 'metric'), 180);
+});
+
+test('fromCanonical rounds to one decimal in the requested system', () => {
+    assert.strictEqual(fromCanonicalWeight(80, 'imperial'), 176.4);
+    assert.strictEqual(fromCanonicalWeight(80.04, 'metric'), 80);
+    assert.strictEqual(fromCanonicalHeight(180, 'imperial'), 70.9);
+});
+
+test('imperial values round-trip through canonical units', () => {
+    for (const pounds of [98.6, 150, 220.4, 365]) {
+        assert.strictEqual(fromCanonicalWeight(toCanonicalWeight(pounds, 'imperial'), 'imperial'), pounds);
+    }
+    for (const inches of [55, 66.5, 79]) {
+        assert.strictEqual(fromCanonicalHeight(toCanonicalHeight(inches, 'imperial'), 'imperial'), inches);
+    }
+});
+
+test('missing values pass through unchanged', () => {
+    assert.strictEqual(toCanonicalWeight(undefined, 'imperial'), undefined);
+    assert.strictEqual(fromCanonicalWeight(null, 'imperial'), null);
+    assert.strictEqual(toCanonicalHeight(null, 'imperial'), null);
+});
+
+test('resolveUnitSystem prefers the declared system, then the user preference', () => {
+    assert.strictEqual(resolveUnitSystem('imperial', 'metric'), 'imperial');
+    assert.strictEqual(resolveUnitSystem(undefined, 'imperial'), 'imperial');
+    assert.strictEqual(resolveUnitSystem(undefined, undefined), 'metric');
+    assert.strictEqual(isValidUnitSystem('imperial'), true);
+    assert.strictEqual(isValidUnitSystem('stone'), false);
+});
+
+test('labels follow the unit system', () => {
+    assert.strictEqual(weightLabel('imperial'), 'lbs');
+    assert.strictEqual(heightLabel('metric'), 'cm');
+});
+
+test('guessLegacyUnitSystem follows the old kg/lbs threshold', () => {
+    assert.strictEqual(guessLegacyUnitSystem(85), 'metric');
+    assert.strictEqual(guessLegacyUnitSystem(180), 'imperial');
+});
+
+test('legacyHeightToCm converts metres, feet and inches', () => {
+    assert.strictEqual(legacyHeightToCm(1.8), 180);
+    assert.ok(Math.abs(legacyHeightToCm(6) - 182.88) < 0.00001);
+    assert.ok(Math.abs(legacyHeightToCm(70) - 177.8) < 0.00001);
+    assert.strictEqual(legacyHeightToCm(180), 180);
+    assert.strictEqual(legacyHeightToCm(undefined), undefined);
+});